@@ -1,3 +1,112 @@
+import json
+
+from django.db import connection
 from django.test import TestCase
 
-# Create your tests here.
+from .views import describe_table
+
+SCHEMA_SQL = [
+    'CREATE TABLE department (dept_id TEXT PRIMARY KEY, dept_name TEXT NOT NULL)',
+    '''CREATE TABLE enrolment (
+        emp_id INTEGER NOT NULL,
+        course_id INTEGER DEFAULT 0,
+        dept_id TEXT REFERENCES department(dept_id),
+        PRIMARY KEY (course_id, emp_id)
+    )''',
+]
+
+
+class SchemaViewTests(TestCase):
+    def setUp(self):
+        with connection.cursor() as cursor:
+            for sql in SCHEMA_SQL:
+                cursor.execute(sql)
+
+    def test_describe_table_reports_columns_keys_and_foreign_keys(self):
+        with connection.cursor() as cursor:
+            table = describe_table(cursor, 'enrolment')
+
+        self.assertEqual(table['name'], 'enrolment')
+        self.assertEqual(table['columns'][0], {
+            'name': 'emp_id', 'type': 'INTEGER', 'notNull': True, 'default': None, 'primaryKey': True
+        })
+        self.assertEqual(table['columns'][1]['default'], '0')
+        # Composite keys come back in key order, not column order
+        self.assertEqual(table['primaryKey'], ['course_id', 'emp_id'])
+        self.assertEqual(table['foreignKeys'], [
+            {'columns': ['dept_id'], 'refTable': 'department', 'refColumns': ['dept_id']}
+        ])
+
+    def test_get_schema_lists_student_tables_only(self):
+        response = self.client.get('/api/schema/')
+
+        self.assertEqual(response.status_code, 200)
+        body = response.json()
+        self.assertEqual(body['status'], 'success')
+        # Django's auth_/django_ tables live in the same database but are hidden
+        self.assertEqual([t['name'] for t in body['tables']], ['department', 'enrolment'])
+
+    def test_get_schema_rejects_other_methods(self):
+        response = self.client.post('/api/schema/')
+
+        self.assertEqual(response.status_code, 405)
+
+
+class ExecuteScriptTests(TestCase):
+    script = [
+        "INSERT INTO course VALUES (1, 'SQL')",
+        'INSERT INTO nope VALUES (1)',
+        "INSERT INTO course VALUES (2, 'Python')",
+    ]
+
+    def setUp(self):
+        with connection.cursor() as cursor:
+            cursor.execute('CREATE TABLE course (id INTEGER PRIMARY KEY, title TEXT)')
+
+    def run_script(self, statements, **options):
+        response = self.client.post(
+            '/api/execute-script/',
+            json.dumps({'statements': statements, **options}),
+            content_type='application/json',
+        )
+        return response.json()
+
+    def course_ids(self):
+        with connection.cursor() as cursor:
+            cursor.execute('SELECT id FROM course ORDER BY id')
+            return [row[0] for row in cursor.fetchall()]
+
+    def test_runs_every_statement_and_reports_each_result(self):
+        body = self.run_script(self.script + ['SELECT title FROM course ORDER BY id'])
+
+        self.assertEqual(body['status'], 'error')
+        self.assertFalse(body['rolledBack'])
+        self.assertEqual([r['status'] for r in body['results']], ['success', 'error', 'success', 'success'])
+        self.assertEqual(body['results'][0]['message'], '1 row(s) affected.')
+        self.assertIn('no such table', body['results'][1]['message'])
+        self.assertEqual(body['results'][3]['data'], [['SQL'], ['Python']])
+
+    def test_stop_on_error_keeps_earlier_changes(self):
+        body = self.run_script(self.script, stop_on_error=True)
+
+        self.assertEqual([r['status'] for r in body['results']], ['success', 'error'])
+        self.assertFalse(body['rolledBack'])
+        self.assertEqual(self.course_ids(), [1])
+
+    def test_transaction_rolls_back_everything_on_error(self):
+        body = self.run_script(self.script, transaction=True)
+
+        self.assertEqual([r['status'] for r in body['results']], ['success', 'error'])
+        self.assertTrue(body['rolledBack'])
+        self.assertEqual(self.course_ids(), [])
+
+    def test_successful_transaction_commits(self):
+        body = self.run_script([self.script[0], self.script[2]], transaction=True)
+
+        self.assertEqual(body['status'], 'success')
+        self.assertEqual(self.course_ids(), [1, 2])
+
+    def test_rejects_malformed_requests(self):
+        response = self.client.post('/api/execute-script/', 'not json', content_type='application/json')
+        self.assertEqual(response.status_code, 400)
+        self.assertEqual(self.client.get('/api/execute-script/').status_code, 405)
@@ -1,6 +1,8 @@
 from django.urls import path
-from .views import execute_query
+from .views import execute_query, execute_script, get_schema
 
 urlpatterns = [
     path('execute/', execute_query),
+    path('execute-script/', execute_script),
+    path('schema/', get_schema),
 ]
\ No newline at end of file
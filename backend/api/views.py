@@ -1,8 +1,32 @@
+from contextlib import nullcontext
 from django.http import JsonResponse
-from django.db import connection
+from django.db import connection, transaction
 from django.views.decorators.csrf import csrf_exempt
 import json
 
+# Django's own bookkeeping tables are hidden from students
+INTERNAL_TABLE_PREFIXES = ('sqlite_', 'django_', 'auth_')
+
+# Raised inside transaction.atomic() so a failed script is rolled back
+class ScriptAborted(Exception):
+    pass
+
+def run_statement(cursor, query):
+    cursor.execute(query)
+
+    # Anything that produces rows (SELECT, WITH, PRAGMA, VALUES) has a description
+    if cursor.description is not None:
+        columns = [col[0] for col in cursor.description]
+        return {
+            "status": "success",
+            "columns": columns,
+            "data": [list(row) for row in cursor.fetchall()]
+        }
+
+    # For CREATE, INSERT, DELETE, ALTER (rowcount is -1 for DDL)
+    message = f"{cursor.rowcount} row(s) affected." if cursor.rowcount >= 0 else "Command executed successfully!"
+    return {"status": "success", "message": message, "columns": [], "data": []}
+
 @csrf_exempt
 def execute_query(request):
     if request.method == 'POST':
@@ -11,25 +35,85 @@ def execute_query(request):
             query = data.get('query', '')
             
             with connection.cursor() as cursor:
-                cursor.execute(query)
-                
-                # If it's a SELECT query, we fetch the results
-                if query.strip().upper().startswith("SELECT"):
-                    columns = [col[0] for col in cursor.description]
-                    rows = cursor.fetchall()
-                    return JsonResponse({
-                        "status": "success",
-                        "columns": columns,
-                        "data": [list(row) for row in rows]
-                    })
-                
-                # For CREATE, INSERT, DELETE, ALTER
-                return JsonResponse({
-                    "status": "success",
-                    "message": "Command executed successfully!",
-                    "columns": [],
-                    "data": []
-                })
+                return JsonResponse(run_statement(cursor, query))
+        except Exception as e:
+            return JsonResponse({"status": "error", "message": str(e)}, status=400)
+    return JsonResponse({"status": "error", "message": "Invalid request"}, status=405)
+
+@csrf_exempt
+def execute_script(request):
+    if request.method == 'POST':
+        try:
+            data = json.loads(request.body)
+            statements = data.get('statements', [])
+            stop_on_error = data.get('stop_on_error', False)
+            use_transaction = data.get('transaction', False)
+        except Exception as e:
+            return JsonResponse({"status": "error", "message": str(e)}, status=400)
+
+        results = []
+        rolled_back = False
+        try:
+            with transaction.atomic() if use_transaction else nullcontext():
+                with connection.cursor() as cursor:
+                    for query in statements:
+                        try:
+                            results.append(run_statement(cursor, query))
+                        except Exception as e:
+                            results.append({"status": "error", "message": str(e), "columns": [], "data": []})
+                            if use_transaction:
+                                raise ScriptAborted()
+                            if stop_on_error:
+                                break
+        except ScriptAborted:
+            rolled_back = True
+
+        failed = any(result["status"] == "error" for result in results)
+        return JsonResponse({
+            "status": "error" if failed else "success",
+            "results": results,
+            "rolledBack": rolled_back
+        })
+    return JsonResponse({"status": "error", "message": "Invalid request"}, status=405)
+
+def describe_table(cursor, name):
+    quoted = name.replace('"', '""')
+
+    # PRAGMA table_info rows: (cid, name, type, notnull, dflt_value, pk)
+    cursor.execute(f'PRAGMA table_info("{quoted}")')
+    info = cursor.fetchall()
+    columns = [{
+        "name": col[1],
+        "type": col[2],
+        "notNull": bool(col[3]),
+        "default": col[4],
+        "primaryKey": col[5] > 0
+    } for col in info]
+
+    # PRAGMA foreign_key_list rows: (id, seq, table, from, to, on_update, on_delete, match)
+    cursor.execute(f'PRAGMA foreign_key_list("{quoted}")')
+    foreign_keys = {}
+    for fk in cursor.fetchall():
+        entry = foreign_keys.setdefault(fk[0], {"columns": [], "refTable": fk[2], "refColumns": []})
+        entry["columns"].append(fk[3])
+        if fk[4]:
+            entry["refColumns"].append(fk[4])
+
+    return {
+        "name": name,
+        "columns": columns,
+        "primaryKey": [col[1] for col in sorted(info, key=lambda col: col[5]) if col[5] > 0],
+        "foreignKeys": list(foreign_keys.values())
+    }
+
+def get_schema(request):
+    if request.method == 'GET':
+        try:
+            with connection.cursor() as cursor:
+                cursor.execute("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")
+                names = [row[0] for row in cursor.fetchall() if not row[0].startswith(INTERNAL_TABLE_PREFIXES)]
+                tables = [describe_table(cursor, name) for name in names]
+            return JsonResponse({"status": "success", "tables": tables})
         except Exception as e:
             return JsonResponse({"status": "error", "message": str(e)}, status=400)
-    return JsonResponse({"status": "error", "message": "Invalid request"}, status=405)
\ No newline at end of file
+    return JsonResponse({"status": "error", "message": "Invalid request"}, status=405)
@@ -1,54 +1,78 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import Editor from '@monaco-editor/react';
-import axios from 'axios';
 import SmartSuggestions from './SmartSuggestions';
+import SchemaExplorer from './SchemaExplorer';
+import ScriptResults, { buildResultCards } from './ScriptResults';
+import DiffView from './DiffView';
+import ExercisePanel from './ExercisePanel';
+import HistoryPanel from './HistoryPanel';
+import ResultGrid from './ResultGrid';
+import QueryVisualizer from './QueryVisualizer';
+import SafeModePanel, { UndoStack } from './SafeModePanel';
+import DatasetImporter from './DatasetImporter';
+import EditorSettings from './EditorSettings';
+import { buildRegistry, isDdl, lookupTable, mergeTables, starterQuery } from './schemaRegistry';
+import { registerSqlLanguage, updateDiagnostics } from './sqlLanguage';
+import { formatSql, loadFormatOptions, saveFormatOptions } from './sqlFormatter';
+import { lintSql, loadLintRules, saveLintRules } from './sqlLinter';
+import { DESTRUCTIVE_TYPES, applyUndo, captureUndo, isDestructive, previewStatements, pushUndo } from './safeMode';
+import { clearHistory, loadDraft, loadHistory, recordHistory, saveDraft, summarizeRun } from './queryLibrary';
+import { evaluateRoadmap, explainError, planQuestion, pointAt } from './tutorEngine';
+import { getReferencedTables, parseScript, quoteIdentifier, statementAt } from './sqlParser';
+import { ENGINE_MODES, executeQuery, executeScript, fetchSchema, loadEngineMode, resetSandbox, saveEngineMode } from './sqlEngine';
 
-// --- 1. DYNAMIC SCHEMA REGISTRY (Local Source of Truth) ---
-const SCHEMA_REGISTRY = {
-  student: [
-    { name: 'emp_id' }, { name: 'emp_name' }, { name: 'departmenit_id' }
-  ],
-  department: [
-    { name: 'dept_id' }, { name: 'dept_name' }, { name: 'location' }
-  ],
-  courses: [
-    { name: 'course_id' }, { name: 'course_title' }, { name: 'credits' }
-  ]
-};
-
-// --- 2. ROBUST PARSING LOGIC ---
-const parseSchema = (text) => {
-  const createMatch = text.match(/CREATE\s+TABLE\s+(\w+)\s*\(([\s\S]*)\)/i);
-  if (createMatch) {
-    const tableName = createMatch[1];
-    const columnsContent = createMatch[2];
-    const columnsRaw = columnsContent.split(/,(?![^(]*\))/);
-    const parsedCols = columnsRaw.map(col => {
-      const parts = col.trim().split(/\s+/);
-      const name = parts[0];
-      return { name, type: "TEXT" };
-    }).filter(c => c.name && !['PRIMARY', 'FOREIGN', 'CONSTRAINT', 'KEY'].includes(c.name.toUpperCase()));
-    return { name: tableName, columns: parsedCols };
-  }
-  return null;
-};
-
-const parseAllInsertRows = (text) => {
-  const matches = [...text.matchAll(/VALUES\s*\(([\s\S]*?)(?:\)|$)/gi)];
-  return matches.map(match => match[1].split(',').map(val => val.trim().replace(/['"]/g, '')));
-};
+// --- 1. PARSE-DRIVEN LOOKUPS (see sqlParser.js and schemaRegistry.js) ---
+// Statements whose effect is shown as a BEFORE → AFTER diff
+const SNAPSHOT_TYPES = [...DESTRUCTIVE_TYPES, 'INSERT'];
+
+// Ghost rows aligned to the schema's columns, honouring INSERT INTO t (a, b) column lists.
+const previewInsertRows = (statements, schema) => statements
+  .filter(s => s.insert && s.insert.table && s.insert.table.toLowerCase() === schema.name.toLowerCase())
+  .flatMap(s => s.insert.rows.map(values => {
+    if (!s.insert.columns) return values;
+    return schema.columns.map(col => {
+      const idx = s.insert.columns.findIndex(name => name.toLowerCase() === col.name.toLowerCase());
+      return idx === -1 ? undefined : values[idx];
+    });
+  }));
 
 function App() {
-  const [query, setQuery] = useState("");
+  const [query, setQuery] = useState(loadDraft);
   const [results, setResults] = useState({ columns: [], data: [] });
   const [sources, setSources] = useState([]);
   const [existingData, setExistingData] = useState([]);
   const [multiRowPreview, setMultiRowPreview] = useState([]);
+  const [touchedTables, setTouchedTables] = useState([]);
   const [activeSchema, setActiveSchema] = useState(null);
   const [successMsg, setSuccessMsg] = useState("");
   const [error, setError] = useState("");
   const [studentQuestion, setStudentQuestion] = useState("");
-  const [roadmap, setRoadmap] = useState([]);
+  const [roadmap, setRoadmap] = useState(null);
+  const [errorHelp, setErrorHelp] = useState(null);
+  const [engineMode, setEngineMode] = useState(loadEngineMode);
+  const [schemaRegistry, setSchemaRegistry] = useState({});
+  const [schemaStatus, setSchemaStatus] = useState("Loading schema...");
+  const [resultCards, setResultCards] = useState([]);
+  const [runOptions, setRunOptions] = useState({ stopOnError: true, transaction: false });
+  const [exerciseMode, setExerciseMode] = useState(false);
+  const [history, setHistory] = useState(loadHistory);
+  const [visualized, setVisualized] = useState(null);
+  const [safeMode, setSafeMode] = useState(true);
+  const [pendingRun, setPendingRun] = useState(null);
+  const [undoStack, setUndoStack] = useState([]);
+  const [undoing, setUndoing] = useState(false);
+  const [importMode, setImportMode] = useState(false);
+  const [importDraft, setImportDraft] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [formatOptions, setFormatOptions] = useState(loadFormatOptions);
+  const [lintRules, setLintRules] = useState(loadLintRules);
+  const editorRef = useRef(null);
+  const monacoRef = useRef(null);
+  const languageRef = useRef(null);
+  const schemaRef = useRef(schemaRegistry);
+  const formatRef = useRef(formatOptions);
+  const runQueryRef = useRef(null);
+  const reanalyzeRef = useRef(null);
 
   const colors = {
     bg: '#0f0f0f',
@@ -63,108 +87,313 @@ function App() {
     suggestionText: '#00f2fe'
   };
 
-  // --- 3. LIVE EDITOR SYNC (Synchronous & Local-First) ---
+  // --- 2. LIVE EDITOR SYNC (Synchronous & Local-First) ---
   const handleEditorChange = (value) => {
     const val = value || "";
     setQuery(val);
     
-    // Detect Table Name
-    const tableMatch = val.match(/(?:INSERT\s+INTO|FROM|UPDATE|TABLE|DELETE\s+FROM)\s+(\w+)/i);
-    
-    if (tableMatch) {
-      const tableName = tableMatch[1].toLowerCase();
-      // SHOW TABLE IMMEDIATELY: No async, no network, no 400-error blocking
-      if (SCHEMA_REGISTRY[tableName]) {
-        setActiveSchema({ name: tableName, columns: SCHEMA_REGISTRY[tableName] });
-      }
-    }
+    // Detect every table the script touches
+    const statements = parseScript(val);
+    const tables = getReferencedTables(statements);
+    setTouchedTables(tables);
 
-    // GHOST-TEXT PREVIEW: Instant mapping of typed values to columns
-    setMultiRowPreview(parseAllInsertRows(val));
-
-    const detectedSchema = parseSchema(val);
+    // SHOW TABLE IMMEDIATELY: No async, no network, no 400-error blocking
+    const created = statements.filter(s => s.create).pop();
+    const detectedSchema = created
+      ? { name: created.create.table, columns: created.create.columns }
+      : tables.map(name => lookupTable(schemaRegistry, name, statements)).find(Boolean);
     if (detectedSchema) setActiveSchema(detectedSchema);
+
+    // GHOST-TEXT PREVIEW: Instant mapping of typed values to columns
+    const previewSchema = detectedSchema || activeSchema;
+    const ghostRows = previewSchema ? previewInsertRows(statements, previewSchema) : [];
+    // Same rows, same array: keystrokes that don't change the ghost rows shouldn't reset the preview grid
+    setMultiRowPreview(previous => (JSON.stringify(previous) === JSON.stringify(ghostRows) ? previous : ghostRows));
   };
 
-  // --- 4. SILENT BACKGROUND FETCH (Separated from Typing) ---
+  // --- 3. SILENT BACKGROUND FETCH (Separated from Typing) ---
   useEffect(() => {
-    const tableMatch = query.match(/(?:FROM|INTO|UPDATE)\s+(\w+)/i);
-    if (tableMatch && activeSchema) {
-      const tableName = tableMatch[1].toLowerCase();
+    if (activeSchema && touchedTables.includes(activeSchema.name.toLowerCase())) {
+      const tableName = activeSchema.name;
       // Only fetch background rows if we don't have them yet
       if (existingData.length === 0) {
         const fetchExisting = async () => {
-          try {
-            const res = await axios.post('https://sql-smart-lab.onrender.com/api/execute/', { 
-              query: `SELECT * FROM ${tableName} LIMIT 5;` 
-            });
-            if (res.data.status === 'success') setExistingData(res.data.data);
-          } catch (e) { /* Fail silently to keep console clean */ }
+          // Engines report failures in the payload, so there is nothing to catch here
+          const res = await executeQuery(`SELECT * FROM ${quoteIdentifier(tableName)} LIMIT 5;`, engineMode);
+          if (res.status === 'success') setExistingData(res.data);
         };
         fetchExisting();
       }
     }
-  }, [activeSchema, query]);
+  }, [activeSchema, touchedTables, engineMode]);
+
+  // One array per change, not per render: ResultGrid starts over whenever its data changes
+  const previewRows = useMemo(() => [...existingData, ...multiRowPreview], [existingData, multiRowPreview]);
+
+  // --- 4. LIVE SCHEMA (Introspected from whichever engine is active) ---
+  const refreshSchema = useCallback(async () => {
+    const res = await fetchSchema(engineMode);
+    if (res.status === 'success') {
+      setSchemaRegistry(buildRegistry(res.tables));
+      setSchemaStatus("");
+    } else {
+      setSchemaStatus(res.message || "Schema unavailable");
+    }
+  }, [engineMode]);
+
+  useEffect(() => { refreshSchema(); }, [refreshSchema]);
+
+  // --- 5. EDITOR INTELLIGENCE (Completions, hover, red underlines from the live schema) ---
+  const handleEditorMount = (editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+    if (languageRef.current) languageRef.current.dispose();
+    languageRef.current = registerSqlLanguage(monaco, () => schemaRef.current, () => formatRef.current);
+    updateDiagnostics(monaco, editor.getModel(), schemaRef.current, lintSql(editor.getModel().getValue(), schemaRef.current, lintRules));
+    // Ctrl/Cmd+Enter: run the selection, or the statement under the cursor
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => runAtCursor());
+  };
+
+  const runAtCursor = () => {
+    const editor = editorRef.current;
+    if (!editor) return;
+    const model = editor.getModel();
+    const selection = editor.getSelection();
+    if (selection && !selection.isEmpty()) {
+      runQueryRef.current(model.getValueInRange(selection), model.getOffsetAt(selection.getStartPosition()));
+      return;
+    }
+    const stmt = statementAt(parseScript(model.getValue()), model.getOffsetAt(editor.getPosition()));
+    if (stmt) runQueryRef.current(stmt.text, stmt.start);
+  };
+
+  // Parsed once per edit, not on every render
+  const queryStatements = useMemo(() => parseScript(query), [query]);
+
+  // The SELECT under the cursor (or the first SELECT in the script) goes to the stage visualizer
+  const visualizeAtCursor = () => {
+    const editor = editorRef.current;
+    const atCursor = editor ? statementAt(queryStatements, editor.getModel().getOffsetAt(editor.getPosition())) : null;
+    setVisualized(atCursor && atCursor.type === 'SELECT' ? atCursor : queryStatements.find(s => s.type === 'SELECT') || atCursor || null);
+  };
+
+  useEffect(() => () => { if (languageRef.current) languageRef.current.dispose(); }, []);
+
+  useEffect(() => {
+    schemaRef.current = schemaRegistry;
+    if (editorRef.current && monacoRef.current) {
+      const model = editorRef.current.getModel();
+      updateDiagnostics(monacoRef.current, model, schemaRegistry, lintSql(model.getValue(), schemaRegistry, lintRules));
+    }
+  }, [query, schemaRegistry, lintRules]);
+
+  useEffect(() => {
+    formatRef.current = formatOptions;
+    saveFormatOptions(formatOptions);
+  }, [formatOptions]);
+
+  useEffect(() => { saveLintRules(lintRules); }, [lintRules]);
+
+  // Shift+Alt+F does the same through Monaco's formatting provider (see sqlLanguage.js)
+  const formatQuery = () => {
+    const editor = editorRef.current;
+    // Running Monaco's own action keeps the change on the editor's undo stack
+    if (editor) editor.getAction('editor.action.formatDocument').run();
+    else handleEditorChange(formatSql(query, formatOptions));
+  };
+
+  // --- 6. HISTORY & DRAFT AUTOSAVE (see queryLibrary.js) ---
+  useEffect(() => {
+    const timer = setTimeout(() => saveDraft(query), 500);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // Re-analyse a restored draft once the schema it refers to has loaded. Through a ref so typing
+  // (which changes query and handleEditorChange) doesn't re-run it.
+  reanalyzeRef.current = () => { if (query) handleEditorChange(query); };
+  useEffect(() => { reanalyzeRef.current(); }, [schemaRegistry]);
+
+  const restoreQuery = (sql) => handleEditorChange(sql);
+
+  const rerunQuery = (sql) => {
+    handleEditorChange(sql);
+    runQuery(sql);
+  };
+
+  const clearAll = () => {
+    // Keep what was wiped so it can be restored from the history panel
+    if (query.trim()) setHistory(recordHistory(history, { query, status: 'cleared', engine: engineMode }));
+    setQuery(""); setResults({columns:[], data:[]}); setSources([]); setActiveSchema(null); setTouchedTables([]); setResultCards([]); setRoadmap(null); setErrorHelp(null); setStudentQuestion(""); setSuccessMsg(""); setPendingRun(null);
+  };
+
+  // Only the newest entry is offered, so snapshots are always restored newest-first
+  const undoLast = async (entry) => {
+    setUndoing(true);
+    const outcome = await applyUndo(entry);
+    setUndoing(false);
+    setError(""); setErrorHelp(null); setSuccessMsg(""); setResultCards([]); setSources([]);
+    if (outcome.status !== 'success') {
+      const failed = outcome.results.find(r => r.status === 'error');
+      setError(`Undo failed: ${failed ? failed.message : outcome.message || 'unknown error'}`);
+      return;
+    }
+    setUndoStack(previous => previous.filter(e => e.id !== entry.id));
+    setSuccessMsg(`Restored ${entry.snapshots.map(s => s.name).join(', ')} to before: ${entry.label}`);
+    refreshSchema();
+    const table = entry.snapshots.find(s => s.existed && s.kind === 'table');
+    if (table) {
+      const restored = await executeQuery(`SELECT * FROM ${quoteIdentifier(table.name)};`, entry.engine);
+      if (restored.status === 'success') setResults({ name: table.name, columns: restored.columns, data: restored.data });
+    }
+    setExistingData([]);
+  };
+
+  // --- 7. DATASET IMPORT (see datasetImport.js) ---
+  const loadImportIntoEditor = (sql) => {
+    setImportMode(false);
+    handleEditorChange(sql);
+  };
+
+  // Runs the generated script in one transaction and registers the table straight away
+  const runImport = async ({ sql, table, rowCount, replace }) => {
+    setError(""); setErrorHelp(null); setSuccessMsg(""); setResultCards([]); setSources([]);
+    setImporting(true);
+    const statements = parseScript(sql);
+    const undoEntry = replace ? await captureUndo(statements, engineMode) : null;
+    const outcome = await executeScript(statements, engineMode, { stopOnError: true, transaction: true });
+    setImporting(false);
+    if (outcome.status !== 'success') {
+      const failed = outcome.results.find(r => r.status === 'error');
+      setError(`Import failed${outcome.rolledBack ? ' (nothing was changed)' : ''}: ${failed ? failed.message : outcome.message || 'unknown error'}`);
+      return;
+    }
+    if (undoEntry && !undoEntry.error) setUndoStack(previous => pushUndo(previous, undoEntry));
+    setSchemaRegistry(previous => mergeTables(previous, [table]));
+    refreshSchema();
+    setImportMode(false);
+    setActiveSchema(table); setExistingData([]); setMultiRowPreview([]);
+    setSuccessMsg(`Imported ${rowCount} row(s) into ${table.name}.`);
+    const imported = await executeQuery(`SELECT * FROM ${quoteIdentifier(table.name)};`, engineMode);
+    if (imported.status === 'success') setResults({ name: table.name, columns: imported.columns, data: imported.data });
+  };
+
+  const switchEngine = (mode) => {
+    saveEngineMode(mode);
+    setEngineMode(mode);
+    setExistingData([]); setSources([]); setResults({ columns: [], data: [] });
+    setError(""); setSuccessMsg(""); setPendingRun(null);
+  };
+
+  const handleResetSandbox = async () => {
+    await resetSandbox();
+    // Snapshots taken before the reset would bring back the old sandbox
+    setUndoStack(previous => previous.filter(e => e.engine !== ENGINE_MODES.LOCAL));
+    setExistingData([]); setSources([]); setResults({ columns: [], data: [] });
+    setError(""); setSuccessMsg("Sandbox reset to the starter tables.");
+    refreshSchema();
+  };
 
   const applySuggestion = (sql) => {
     setQuery(sql);
     runQuery(sql);
   };
 
-  const analyzeQuestion = () => {
-    const q = studentQuestion.toLowerCase();
-    let steps = [];
-    if (q.match(/minimum|maximum|max|min|avg|average|count|sum/)) {
-      steps = [
-        { id: 1, text: "Use Aggregate Function: SELECT MAX(), MIN(), etc.", regex: /(MAX|MIN|AVG|COUNT|SUM)/i },
-        { id: 2, text: "Specify Source: FROM [Table]", regex: /FROM/i }
-      ];
-    } else if (q.match(/delete|remove|clear/)) {
-      steps = [
-        { id: 1, text: "Start with DELETE FROM [Table]", regex: /DELETE\s+FROM/i },
-        { id: 2, text: "Filter using WHERE [Condition]", regex: /WHERE/i }
-      ];
-    } else if (q.match(/list|show|find|select|who/)) {
-      steps.push({ id: 1, text: "Start with SELECT [Columns] or *", regex: /SELECT/i });
-      steps.push({ id: 2, text: "Identify Source: FROM [Table]", regex: /FROM/i });
-      if (q.match(/where|scoring|more than|greater|less|whose/)) {
-        steps.push({ id: 3, text: "Filter results using WHERE [Condition]", regex: /WHERE/i });
-      }
-    }
-    setRoadmap(steps);
+  // Roadmap steps are ticked against the parsed query on every render (see tutorEngine.js)
+  const analyzeQuestion = () => setRoadmap(planQuestion(studentQuestion, schemaRegistry));
+
+  const showErrorInEditor = () => {
+    const editor = editorRef.current;
+    if (!editor || !errorHelp || !errorHelp.token) return;
+    const model = editor.getModel();
+    const from = model.getPositionAt(errorHelp.offset + errorHelp.token.start);
+    const to = model.getPositionAt(errorHelp.offset + errorHelp.token.end);
+    editor.setSelection({ startLineNumber: from.lineNumber, startColumn: from.column, endLineNumber: to.lineNumber, endColumn: to.column });
+    editor.revealPositionInCenter(from);
+    editor.focus();
   };
 
-  const runQuery = async (overrideQuery = null) => {
+  // editorOffset: where overrideQuery starts in the editor, so error positions can be mapped back
+  // confirmed: the student has already seen the safe-mode dry run for this script
+  const runQuery = async (overrideQuery = null, editorOffset = 0, { confirmed = false } = {}) => {
     const activeQuery = overrideQuery || query;
-    setError(""); setSuccessMsg("");
-    const upperQ = activeQuery.toUpperCase();
-    
-    try {
-      const tableMatch = activeQuery.match(/(?:FROM|TABLE|UPDATE|INSERT\s+INTO|INTO|DELETE\s+FROM)\s+(\w+)/i);
-      const tableName = tableMatch ? tableMatch[1] : null;
+    setError(""); setErrorHelp(null); setSuccessMsg(""); setResultCards([]); setSources([]); setResults({ columns: [], data: [] }); setPendingRun(null);
+    const statements = parseScript(activeQuery);
+    if (!statements.length) return;
+    const destructive = statements.some(isDestructive);
 
-      if (tableName && (upperQ.includes("ALTER") || upperQ.includes("DELETE") || upperQ.includes("DROP") || upperQ.includes("UPDATE"))) {
-        const snapshot = await axios.post('https://sql-smart-lab.onrender.com/api/execute/', { query: `SELECT * FROM ${tableName};` });
-        setSources([{ name: tableName, columns: snapshot.data.columns, data: snapshot.data.data }]);
+    // Safe mode: show what would be deleted/changed/dropped and wait for the student to confirm
+    if (safeMode && destructive && !confirmed) {
+      const previews = await previewStatements(statements, engineMode, schemaRegistry);
+      setPendingRun({ query: activeQuery, editorOffset, previews, statementCount: statements.length });
+      return;
+    }
+    const primary = statements.find(s => s.target);
+    const tableName = primary ? primary.target : null;
+    const isDrop = statements.some(s => s.type === 'DROP');
+
+    if (tableName && statements.some(s => SNAPSHOT_TYPES.includes(s.type))) {
+      const snapshot = await executeQuery(`SELECT * FROM ${quoteIdentifier(tableName)};`, engineMode);
+      if (snapshot.status === 'success') {
+        setSources([{ name: tableName, columns: snapshot.columns, data: snapshot.data }]);
       }
+    }
 
-      const response = await axios.post('https://sql-smart-lab.onrender.com/api/execute/', { query: activeQuery });
-      
-      if (response.data.status === 'success') {
-        setSuccessMsg(response.data.message || "Command executed successfully!");
-        if (upperQ.includes("DROP")) {
-          setActiveSchema(null); setResults({ columns: [], data: [] }); setSources([]); setExistingData([]);
-        } 
-        else if (tableName) {
-          const updated = await axios.post('https://sql-smart-lab.onrender.com/api/execute/', { query: `SELECT * FROM ${tableName};` });
-          setResults({ columns: updated.data.columns, data: updated.data.data });
-        }
-        setExistingData([]); setMultiRowPreview([]);
+    // Snapshot every table the script will change, so the run can be undone
+    const undoEntry = destructive ? await captureUndo(statements, engineMode) : null;
+    // Safe mode promised an undo: without a snapshot, don't run at all
+    if (undoEntry && undoEntry.error && safeMode) {
+      setSources([]);
+      setError(`Nothing was run: the undo snapshot failed (${undoEntry.error}). Try again, or turn off Safe mode to run without undo.`);
+      return;
+    }
+    const undoNote = undoEntry && undoEntry.error ? ` Undo is not available for this run: ${undoEntry.error}` : '';
+
+    // Each statement runs on its own so it gets its own result card
+    const outcome = await executeScript(statements, engineMode, runOptions);
+    const cards = buildResultCards(statements, outcome);
+    setResultCards(cards);
+    // The request never reached the database: there is no statement to blame and nothing to record
+    if (outcome.notRun) {
+      setError(outcome.message);
+      setSources([]);
+      return;
+    }
+    if (undoEntry && !undoEntry.error && !outcome.rolledBack && cards.some((c, i) => c.status === 'success' && isDestructive(statements[i]))) {
+      setUndoStack(previous => pushUndo(previous, undoEntry));
+    }
+    setHistory(previous => recordHistory(previous, { query: activeQuery, engine: engineMode, ...summarizeRun(cards) }));
+    if (isDdl(statements)) refreshSchema();
+
+    const failures = cards.filter(c => c.status === 'error');
+    if (failures.length) {
+      setError(statements.length === 1
+        ? failures[0].message || "Execution Failed"
+        : `Statement #${cards.indexOf(failures[0]) + 1} failed${outcome.rolledBack ? ' (transaction rolled back)' : ''}: ${failures[0].message}`);
+      const failed = statements[cards.indexOf(failures[0])];
+      const help = explainError(failures[0].message, failed.text, schemaRegistry);
+      // Token offsets are relative to the failing statement; offset maps them back into the editor
+      if (help) setErrorHelp({ ...help, sql: failed.text, offset: failed.start + editorOffset });
+    }
+
+    // Nothing was kept, so there is no AFTER to compare the snapshot with
+    if (outcome.rolledBack || !cards.some(c => c.status === 'success')) setSources([]);
+
+    if (!outcome.rolledBack && cards.some(c => c.status === 'success')) {
+      setSuccessMsg((statements.length === 1
+        ? cards[0].message || "Command executed successfully!"
+        : `${cards.filter(c => c.status === 'success').length} of ${statements.length} statements succeeded.`) + undoNote);
+      if (isDrop) {
+        setActiveSchema(null); setResults({ columns: [], data: [] }); setSources([]); setExistingData([]);
+      } 
+      else if (tableName) {
+        const updated = await executeQuery(`SELECT * FROM ${quoteIdentifier(tableName)};`, engineMode);
+        if (updated.status === 'success') setResults({ name: tableName, columns: updated.columns, data: updated.data });
       }
-    } catch (err) {
-      setError(err.response?.data?.message || "Execution Failed");
+      setExistingData([]); setMultiRowPreview([]);
     }
   };
+  runQueryRef.current = runQuery;
+  const errorPointer = errorHelp && errorHelp.token ? pointAt(errorHelp.sql, errorHelp.token) : null;
 
   return (
     <div style={{ display: 'flex', backgroundColor: colors.bg, color: '#ccc', minHeight: '100vh', fontFamily: 'sans-serif' }}>
@@ -180,100 +409,188 @@ function App() {
         />
         <button onClick={analyzeQuestion} style={{ width: '100%', marginTop: '10px', padding: '8px', background: colors.mellowBlue, border: 'none', color: '#fff', borderRadius: '4px', cursor: 'pointer', fontWeight:'bold' }}>ANALYZE</button>
         
-        {roadmap.length > 0 && (
+        {roadmap && (
           <div style={{ marginTop: '20px' }}>
-            <p style={{ fontSize: '11px', color: '#888', marginBottom: '10px', textTransform: 'uppercase' }}>Roadmap</p>
-            {roadmap.map(step => (
-              <div key={step.id} style={{ display: 'flex', alignItems: 'center', marginBottom: '10px', opacity: step.regex.test(query) ? 1 : 0.5 }}>
-                <span style={{ color: step.regex.test(query) ? colors.successGreen : '#fff', marginRight: '10px' }}>
-                  {step.regex.test(query) ? '✓' : '○'}
-                </span>
-                <span style={{ fontSize: '12px', color: step.regex.test(query) ? '#fff' : '#aaa' }}>{step.text}</span>
-              </div>
-            ))}
+            {roadmap.steps.length === 0 ? (
+              <p style={{ fontSize: '12px', color: '#888' }}>I couldn't tell what that question asks for. Try words like "list", "how many", "per", "sorted by", "add" or "remove".</p>
+            ) : (
+              <>
+                <p style={{ fontSize: '11px', color: '#888', marginBottom: '10px', textTransform: 'uppercase' }}>Roadmap · {roadmap.intents.join(', ')}</p>
+                {evaluateRoadmap(roadmap, query).map(step => (
+                  <div key={step.id} style={{ display: 'flex', alignItems: 'center', marginBottom: '10px', opacity: step.done ? 1 : 0.5 }}>
+                    <span style={{ color: step.done ? colors.successGreen : '#fff', marginRight: '10px' }}>
+                      {step.done ? '✓' : '○'}
+                    </span>
+                    <span style={{ fontSize: '12px', color: step.done ? '#fff' : '#aaa' }}>{step.text}</span>
+                  </div>
+                ))}
+              </>
+            )}
           </div>
         )}
+
+        <SchemaExplorer
+          registry={schemaRegistry}
+          status={schemaStatus}
+          onRefresh={refreshSchema}
+          onSelectTable={(table) => handleEditorChange(starterQuery(table))}
+        />
+
+        <HistoryPanel
+          history={history}
+          currentQuery={query}
+          onRestore={restoreQuery}
+          onRun={rerunQuery}
+          onClearHistory={() => setHistory(clearHistory())}
+        />
       </div>
 
       {/* MAIN CONTENT */}
       <div style={{ flex: 1, padding: '30px', overflowY: 'auto' }}>
-        <h2 style={{ color: colors.mellowBlue, fontWeight: '400', marginBottom: '20px' }}>SQL Smart Lab</h2>
-        
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ color: colors.mellowBlue, fontWeight: '400', margin: 0, flex: 1 }}>SQL Smart Lab</h2>
+          <button onClick={() => setExerciseMode(!exerciseMode)} style={{ padding: '6px 14px', background: exerciseMode ? colors.mellowBlue : 'transparent', border: `1px solid ${colors.mellowBlue}`, color: exerciseMode ? '#fff' : colors.mellowBlue, borderRadius: '4px', cursor: 'pointer' }}>
+            {exerciseMode ? 'Exit Exercise Mode' : 'Exercise Mode'}
+          </button>
+          <button onClick={() => setImportMode(!importMode)} style={{ marginLeft: '10px', padding: '6px 14px', background: importMode ? colors.successGreen : 'transparent', border: `1px solid ${colors.successGreen}`, color: importMode ? '#fff' : colors.successGreen, borderRadius: '4px', cursor: 'pointer' }}>
+            {importMode ? 'Close Import' : 'Import Data'}
+          </button>
+        </div>
+
+        {exerciseMode && <ExercisePanel query={query} onLoadQuery={handleEditorChange} />}
+        {importMode && (
+          <DatasetImporter
+            registry={schemaRegistry}
+            onDraftChange={setImportDraft}
+            onLoadIntoEditor={loadImportIntoEditor}
+            onRunImport={runImport}
+            busy={importing}
+          />
+        )}
+
         <div style={{ border: `1px solid ${colors.border}`, borderRadius: '8px', overflow: 'hidden' }}>
-          <Editor height="22vh" theme="vs-dark" defaultLanguage="sql" value={query} onChange={handleEditorChange} />
+          <Editor height="22vh" theme="vs-dark" defaultLanguage="sql" value={query} onChange={handleEditorChange} onMount={handleEditorMount} />
         </div>
 
         <div style={{ marginTop: '15px', display: 'flex', gap: '10px' }}>
           <button onClick={() => runQuery()} style={{ padding: '10px 25px', backgroundColor: colors.mellowBlue, color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' }}>RUN & ANALYZE</button>
-          <button onClick={() => {setQuery(""); setResults({columns:[], data:[]}); setSources([]); setActiveSchema(null); setRoadmap([]); setStudentQuestion(""); setSuccessMsg("");}} style={{ padding: '10px 20px', background: 'transparent', border: `1px solid ${colors.border}`, color: '#666', borderRadius: '4px', cursor: 'pointer' }}>Clear All</button>
+          <button onClick={runAtCursor} title="Ctrl+Enter" style={{ padding: '10px 15px', background: 'transparent', border: `1px solid ${colors.mellowBlue}`, color: colors.mellowBlue, borderRadius: '4px', cursor: 'pointer' }}>Run Selection / Statement</button>
+          <button onClick={formatQuery} title="Shift+Alt+F" style={{ padding: '10px 15px', background: 'transparent', border: `1px solid ${colors.border}`, color: '#aaa', borderRadius: '4px', cursor: 'pointer' }}>Format</button>
+          <button onClick={visualizeAtCursor} title="Step through the logical order a SELECT is evaluated in" style={{ padding: '10px 15px', background: 'transparent', border: `1px solid ${colors.previewPurple}`, color: colors.previewPurple, borderRadius: '4px', cursor: 'pointer' }}>Visualize</button>
+          <select value={engineMode} onChange={(e) => switchEngine(e.target.value)} title="Where queries run" style={{ padding: '10px', background: colors.sidebar, border: `1px solid ${colors.border}`, color: '#ccc', borderRadius: '4px', cursor: 'pointer' }}>
+            <option value={ENGINE_MODES.REMOTE}>Shared Server DB</option>
+            <option value={ENGINE_MODES.LOCAL}>Offline Sandbox (in-browser)</option>
+          </select>
+          {engineMode === ENGINE_MODES.LOCAL && (
+            <button onClick={handleResetSandbox} style={{ padding: '10px 20px', background: 'transparent', border: `1px solid ${colors.previewPurple}`, color: colors.previewPurple, borderRadius: '4px', cursor: 'pointer' }}>Reset Sandbox</button>
+          )}
+          <button onClick={clearAll} style={{ padding: '10px 20px', background: 'transparent', border: `1px solid ${colors.border}`, color: '#666', borderRadius: '4px', cursor: 'pointer' }}>Clear All</button>
+        </div>
+
+        <div style={{ marginTop: '10px', display: 'flex', gap: '20px', fontSize: '12px', color: '#888' }}>
+          <label style={{ cursor: 'pointer' }}>
+            <input type="checkbox" checked={runOptions.stopOnError} onChange={(e) => setRunOptions({ ...runOptions, stopOnError: e.target.checked })} /> Stop on first error
+          </label>
+          <label style={{ cursor: 'pointer' }}>
+            <input type="checkbox" checked={runOptions.transaction} onChange={(e) => setRunOptions({ ...runOptions, transaction: e.target.checked })} /> Run as one transaction (roll back on failure)
+          </label>
+          <label style={{ cursor: 'pointer' }} title="Preview DELETE / UPDATE / DROP / ALTER and ask before running them">
+            <input type="checkbox" checked={safeMode} onChange={(e) => setSafeMode(e.target.checked)} /> Safe mode
+          </label>
         </div>
 
+        <EditorSettings formatOptions={formatOptions} onFormatOptionsChange={setFormatOptions} lintRules={lintRules} onLintRulesChange={setLintRules} />
+
         {/* CURIOSITY SUGGESTIONS */}
-        {query.toLowerCase().includes('student') && (
-          <SmartSuggestions query={query} onApplySuggestion={applySuggestion} />
+        {activeSchema && (
+          <SmartSuggestions
+            table={lookupTable(schemaRegistry, activeSchema.name) || activeSchema}
+            registry={schemaRegistry}
+            stmt={queryStatements.find(s => s.tables.some(t => t.name.toLowerCase() === activeSchema.name.toLowerCase())) || null}
+            engineMode={engineMode}
+            onApplySuggestion={applySuggestion}
+          />
+        )}
+
+        {/* STRUCTURAL PREVIEW (DATASET BEING IMPORTED) */}
+        {importDraft && (
+          <div style={{ marginTop: '20px', background: colors.sidebar, padding: '15px', border: `1px dashed ${colors.successGreen}`, borderRadius: '8px', overflowX: 'auto' }}>
+            <h5 style={{ margin: '0 0 10px 0', fontSize: '12px' }}>
+              Structural Preview: {importDraft.name || '(unnamed table)'}
+              <span style={{ color: '#888', fontWeight: 'normal' }}> · import preview, {Math.min(importDraft.data.length, importDraft.total)} of {importDraft.total} row(s) as they will be stored</span>
+            </h5>
+            <ResultGrid
+              columns={importDraft.columns}
+              data={importDraft.data}
+              interactive={false}
+              cellStyle={{ padding: '10px', fontSize: '12px' }}
+              rowStyle={() => ({ color: colors.previewPurple })}
+            />
+          </div>
         )}
 
         {/* STRUCTURAL PREVIEW (ACTIVE SCHEMA) */}
-        {activeSchema && (
+        {!importDraft && activeSchema && (
           <div style={{ marginTop: '20px', background: colors.sidebar, padding: '15px', border: `1px dashed ${colors.mellowBlue}`, borderRadius: '8px', overflowX: 'auto' }}>
-            <h5 style={{ margin: '0 0 10px 0', fontSize: '12px' }}>Structural Preview: {activeSchema.name}</h5>
-            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
-              <thead>
-                <tr>
-                  {activeSchema.columns.map((c, i) => (
-                    <th key={i} style={{ textAlign: 'left', padding: '10px', border: `1px solid ${colors.border}`, color: colors.mellowBlue }}>{c.name}</th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {/* Existing Data (Snapshot) */}
-                {existingData.map((row, rIdx) => (
-                  <tr key={`ex-${rIdx}`} style={{ opacity: 0.3 }}>
-                    {row.map((cell, cIdx) => <td key={cIdx} style={{ padding: '10px', border: `1px solid ${colors.border}` }}>{cell}</td>)}
-                  </tr>
-                ))}
-                {/* Live Typing Ghost Text */}
-                {multiRowPreview.map((row, rIdx) => (
-                  <tr key={`new-${rIdx}`}>
-                    {activeSchema.columns.map((_, cIdx) => (
-                      <td key={cIdx} style={{ padding: '10px', border: `1px solid ${colors.border}`, color: colors.previewPurple, fontWeight: 'bold' }}>
-                        {row[cIdx] || '...'}
-                      </td>
-                    ))}
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+            <h5 style={{ margin: '0 0 10px 0', fontSize: '12px' }}>
+              Structural Preview: {activeSchema.name}
+              {touchedTables.filter(t => t !== activeSchema.name.toLowerCase()).length > 0 && (
+                <span style={{ color: '#888', fontWeight: 'normal' }}> · also touches {touchedTables.filter(t => t !== activeSchema.name.toLowerCase()).join(', ')}</span>
+              )}
+            </h5>
+            {/* Existing rows (dimmed snapshot) followed by live ghost rows from the INSERT being typed */}
+            <ResultGrid
+              columns={activeSchema.columns}
+              data={previewRows}
+              interactive={false}
+              cellStyle={{ padding: '10px', fontSize: '12px' }}
+              rowStyle={(index) => (index < existingData.length ? { opacity: 0.3 } : { color: colors.previewPurple, fontWeight: 'bold' })}
+            />
           </div>
         )}
 
+        {/* SAFE MODE: DRY RUN & CONFIRMATION */}
+        {pendingRun && (
+          <SafeModePanel
+            key={pendingRun.query}
+            pending={pendingRun}
+            onConfirm={() => runQuery(pendingRun.query, pendingRun.editorOffset, { confirmed: true })}
+            onCancel={() => setPendingRun(null)}
+          />
+        )}
+        <UndoStack entries={undoStack} engineMode={engineMode} onUndo={undoLast} busy={undoing} />
+
         {successMsg && <div style={{ marginTop: '20px', color: colors.successGreen }}>✓ {successMsg}</div>}
         {error && <div style={{ marginTop: '20px', color: colors.errorRed }}>⚠ {error}</div>}
-
-        <div style={{ display: 'flex', gap: '20px', marginTop: '30px' }}>
-          {sources.length > 0 && (
-            <div style={{ flex: 1 }}>
-              <h5 style={{ color: '#888', marginBottom:'10px' }}>BEFORE (Snapshot)</h5>
-              <div style={{ background: colors.sidebar, padding: '15px', borderRadius: '8px', border: `1px solid ${colors.border}`, overflowX: 'auto' }}>
-                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
-                  <thead><tr>{sources[0].columns.map((c, i) => <th key={i} style={{ padding: '8px', border: `1px solid ${colors.border}`, textAlign: 'left' }}>{c}</th>)}</tr></thead>
-                  <tbody>{sources[0].data.map((row, rIdx) => (<tr key={rIdx}>{row.map((cell, cIdx) => <td key={cIdx} style={{ padding: '8px', border: `1px solid ${colors.border}` }}>{cell}</td>)}</tr>))}</tbody>
-                </table>
-              </div>
-            </div>
-          )}
-          {results.columns.length > 0 && (
-            <div style={{ flex: 1 }}>
-              <h5 style={{ color: colors.mellowBlue, marginBottom:'10px' }}>AFTER (Updated Result)</h5>
-              <div style={{ background: colors.sidebar, padding: '15px', borderRadius: '8px', border: `1px solid ${colors.mellowBlue}`, overflowX: 'auto' }}>
-                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
-                  <thead><tr>{results.columns.map((c, i) => <th key={i} style={{ padding: '8px', border: `1px solid ${colors.border}`, textAlign: 'left' }}>{c}</th>)}</tr></thead>
-                  <tbody>{results.data.map((row, rIdx) => (<tr key={rIdx}>{row.map((cell, cIdx) => <td key={cIdx} style={{ padding: '8px', border: `1px solid ${colors.border}` }}>{cell}</td>)}</tr>))}</tbody>
-                </table>
-              </div>
+        {errorHelp && (
+          <div style={{ marginTop: '10px', padding: '12px', background: colors.suggestionBg, borderLeft: `3px solid ${colors.errorRed}`, borderRadius: '4px', fontSize: '13px' }}>
+            <div style={{ color: '#fff' }}>{errorHelp.summary}</div>
+            <div style={{ color: '#aaa', marginTop: '4px', fontSize: '12px' }}>{errorHelp.detail}</div>
+            {errorPointer && (
+              <pre style={{ margin: '10px 0 0', fontSize: '12px', color: '#ccc', overflowX: 'auto' }}>
+                {errorPointer.line}{'\n'}
+                <span style={{ color: colors.errorRed }}>{errorPointer.caret}</span>
+              </pre>
+            )}
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginTop: '8px', fontSize: '12px' }}>
+              {errorHelp.suggestions.length > 0 && <span style={{ color: colors.suggestionText }}>Did you mean {errorHelp.suggestions.join(', ')}?</span>}
+              {errorHelp.token && <button onClick={showErrorInEditor} style={{ padding: '3px 10px', background: 'transparent', border: `1px solid ${colors.border}`, color: '#aaa', borderRadius: '4px', cursor: 'pointer', fontSize: '11px' }}>Show in editor</button>}
             </div>
-          )}
-        </div>
+          </div>
+        )}
+
+        {/* STEP-BY-STEP VISUALIZER */}
+        {visualized && <QueryVisualizer stmt={visualized} engineMode={engineMode} onClose={() => setVisualized(null)} />}
+
+        {/* PER-STATEMENT RESULTS */}
+        <ScriptResults cards={resultCards} />
+
+        {/* BEFORE → AFTER DIFF */}
+        <DiffView
+          before={sources[0] || null}
+          after={results}
+          keyColumns={sources[0] ? (lookupTable(schemaRegistry, sources[0].name) || {}).primaryKey || [] : []}
+        />
       </div>
     </div>
   );
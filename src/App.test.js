@@ -1,8 +1,21 @@
 import { render, screen } from '@testing-library/react';
+import axios from 'axios';
 import App from './App';
 
-test('renders learn react link', () => {
+// Monaco loads its editor from a CDN, which jsdom can't do; a textarea stands in for it
+jest.mock('@monaco-editor/react', () => ({ value, onChange }) => (
+  <textarea aria-label="SQL editor" value={value} onChange={(e) => onChange(e.target.value)} />
+));
+jest.mock('axios');
+
+test('renders the editor, its run controls and the server schema', async () => {
+  axios.get.mockResolvedValue({
+    data: { status: 'success', tables: [{ name: 'student', columns: [{ name: 'emp_id', type: 'INTEGER' }], primaryKey: ['emp_id'], foreignKeys: [] }] }
+  });
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(screen.getByLabelText('SQL editor')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'RUN & ANALYZE' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Run Selection / Statement' })).toBeInTheDocument();
+  expect(await screen.findByText('student')).toBeInTheDocument();
 });
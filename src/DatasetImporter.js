@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { findTable } from './schemaRegistry';
+import {
+  IMPORT_TYPES, INSERT_BATCH_SIZE, buildImportSql, convertRows, decodeBytes, importedTable, inferColumns, parseDataset, tableNameFromFile
+} from './datasetImport';
+
+const PREVIEW_ROWS = 20;
+
+// Drop a CSV/JSON file, adjust the inferred columns, then load the generated script into the
+// editor or run it. The rows themselves are previewed in App's Structural Preview via onDraftChange.
+const DatasetImporter = ({ registry, onDraftChange, onLoadIntoEditor, onRunImport, busy }) => {
+  const [source, setSource] = useState(null);
+  const [dataset, setDataset] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [table, setTable] = useState('');
+  const [replace, setReplace] = useState(false);
+  const [error, setError] = useState('');
+  const [dragging, setDragging] = useState(false);
+
+  // onDraftChange should be stable (App passes its state setter), or the preview is re-sent every render
+  useEffect(() => {
+    onDraftChange(dataset ? {
+      name: table,
+      columns: columns.filter(c => c.include).map(c => ({ name: c.name, type: `${c.type}${c.notNull ? ' NOT NULL' : ''}` })),
+      data: convertRows(columns, dataset.rows.slice(0, PREVIEW_ROWS)),
+      total: dataset.rows.length
+    } : null);
+  }, [dataset, columns, table, onDraftChange]);
+
+  useEffect(() => () => onDraftChange(null), [onDraftChange]);
+
+  const parse = (text, name, options, keepTable = false) => {
+    try {
+      const parsed = parseDataset(text, name, options);
+      setDataset(parsed);
+      setColumns(inferColumns(parsed.header, parsed.rows));
+      if (!keepTable) setTable(tableNameFromFile(name));
+      setError('');
+    } catch (e) {
+      setDataset(null);
+      setError(`Could not read ${name}: ${e.message}`);
+    }
+  };
+
+  const readFile = async (file) => {
+    if (!file) return;
+    const decoded = decodeBytes(new Uint8Array(await file.arrayBuffer()));
+    setSource({ name: file.name, ...decoded });
+    setReplace(false);
+    parse(decoded.text, file.name);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    readFile(e.dataTransfer.files[0]);
+  };
+
+  const updateColumn = (source, changes) => setColumns(columns.map(c => (c.source === source ? { ...c, ...changes } : c)));
+
+  const clash = dataset && findTable(registry, table.trim());
+  // The whole dataset is converted, so only redo it when the import itself changes (App re-renders on every keystroke)
+  const built = useMemo(() => (dataset ? buildImportSql({ table, columns, rows: dataset.rows, replace }) : null), [table, columns, dataset, replace]);
+  const problems = built ? [...built.errors, ...(clash && !replace ? [`A table named ${clash.name} already exists. Pick another name or replace it.`] : [])] : [];
+  const warnings = source ? [source.warning, ...(dataset ? dataset.warnings : [])].filter(Boolean) : [];
+  const ready = built && !problems.length;
+  const draftTable = () => importedTable(table, columns);
+
+  return (
+    <div style={styles.container}>
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        style={{ ...styles.dropZone, ...(dragging ? styles.dropActive : {}) }}
+      >
+        Drop a .csv or .json file here, or{' '}
+        <label style={styles.browse}>
+          browse
+          <input type="file" accept=".csv,.tsv,.txt,.json" onChange={(e) => { readFile(e.target.files[0]); e.target.value = ''; }} style={{ display: 'none' }} />
+        </label>
+        {source && <div style={styles.muted}>{source.name} · {source.encoding}{dataset ? ` · ${dataset.rows.length} row(s), ${dataset.header.length} field(s)` : ''}</div>}
+      </div>
+
+      {error && <p style={styles.error}>{error}</p>}
+      {warnings.map((w, i) => <p key={i} style={styles.warning}>⚠ {w}</p>)}
+
+      {dataset && (
+        <>
+          <div style={styles.row}>
+            <label style={styles.label}>Table name</label>
+            <input value={table} onChange={(e) => setTable(e.target.value)} style={styles.input} />
+            {dataset.format === 'csv' && (
+              <label style={styles.check}>
+                <input type="checkbox" checked={dataset.hasHeader} onChange={(e) => parse(source.text, source.name, { hasHeader: e.target.checked }, true)} /> First row is a header
+              </label>
+            )}
+            {clash && (
+              <label style={{ ...styles.check, color: '#ff8a80' }}>
+                <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} /> Replace the existing {clash.name} table
+              </label>
+            )}
+          </div>
+
+          <table style={styles.columns}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Use</th><th style={styles.th}>Field</th><th style={styles.th}>Column name</th>
+                <th style={styles.th}>Type</th><th style={styles.th}>NOT NULL</th><th style={styles.th}>Example</th>
+              </tr>
+            </thead>
+            <tbody>
+              {columns.map(col => {
+                const example = dataset.rows.map(r => r[col.source]).find(v => v !== null && String(v).trim() !== '');
+                return (
+                  <tr key={col.source} style={{ opacity: col.include ? 1 : 0.4 }}>
+                    <td style={styles.td}><input type="checkbox" checked={col.include} onChange={(e) => updateColumn(col.source, { include: e.target.checked })} /></td>
+                    <td style={{ ...styles.td, color: '#777' }}>{dataset.header[col.source]}</td>
+                    <td style={styles.td}><input value={col.name} onChange={(e) => updateColumn(col.source, { name: e.target.value })} style={styles.cellInput} /></td>
+                    <td style={styles.td}>
+                      <select value={col.type} onChange={(e) => updateColumn(col.source, { type: e.target.value })} style={styles.cellInput}>
+                        {IMPORT_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                      </select>
+                    </td>
+                    <td style={styles.td}><input type="checkbox" checked={col.notNull} onChange={(e) => updateColumn(col.source, { notNull: e.target.checked })} /></td>
+                    <td style={{ ...styles.td, color: '#888' }}>{example === undefined ? <em>all blank</em> : String(example).slice(0, 40)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {problems.map((p, i) => <p key={i} style={styles.error}>{p}</p>)}
+
+          <div style={styles.actions}>
+            <button onClick={() => onLoadIntoEditor(built.sql)} disabled={!ready} style={{ ...styles.secondaryBtn, opacity: ready ? 1 : 0.4 }}>Load into editor</button>
+            <button
+              onClick={() => onRunImport({ sql: built.sql, table: draftTable(), rowCount: dataset.rows.length, replace })}
+              disabled={!ready || busy}
+              style={{ ...styles.primaryBtn, opacity: ready && !busy ? 1 : 0.4 }}
+            >
+              {busy ? 'Importing...' : `Create table & insert ${dataset.rows.length} row(s)`}
+            </button>
+            {built && built.statements > 0 && <span style={styles.muted}>{built.statements} statement(s), up to {INSERT_BATCH_SIZE} rows per INSERT</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { marginBottom: '20px', padding: '15px', background: '#161616', border: '1px solid #00c853', borderRadius: '8px' },
+  dropZone: { padding: '18px', border: '2px dashed #444', borderRadius: '6px', textAlign: 'center', fontSize: '13px', color: '#aaa' },
+  dropActive: { borderColor: '#00c853', background: 'rgba(0, 200, 83, 0.08)' },
+  browse: { color: '#00c853', cursor: 'pointer', textDecoration: 'underline' },
+  row: { display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap', margin: '12px 0' },
+  label: { fontSize: '12px', color: '#888' },
+  input: { padding: '5px 8px', background: '#121212', color: '#fff', border: '1px solid #444', borderRadius: '4px', fontSize: '12px', fontFamily: 'monospace' },
+  check: { fontSize: '12px', color: '#aaa', cursor: 'pointer' },
+  columns: { width: '100%', borderCollapse: 'collapse', fontSize: '12px' },
+  th: { padding: '5px 8px', borderBottom: '1px solid #333', textAlign: 'left', color: '#888', fontWeight: 'normal' },
+  td: { padding: '4px 8px', borderBottom: '1px solid #222' },
+  cellInput: { padding: '3px 6px', background: '#121212', color: '#fff', border: '1px solid #333', borderRadius: '3px', fontSize: '12px', fontFamily: 'monospace' },
+  actions: { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '12px' },
+  primaryBtn: { padding: '8px 16px', background: '#00c853', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' },
+  secondaryBtn: { padding: '8px 16px', background: 'transparent', border: '1px solid #00c853', color: '#00c853', borderRadius: '4px', cursor: 'pointer' },
+  error: { fontSize: '12px', color: '#ff5252', margin: '6px 0' },
+  warning: { fontSize: '12px', color: '#ffb74d', margin: '6px 0' },
+  muted: { fontSize: '11px', color: '#777', marginTop: '4px' }
+};
+
+export default DatasetImporter;
@@ -0,0 +1,126 @@
+import React, { useMemo, useState } from 'react';
+import ResultGrid from './ResultGrid';
+import { formatCell } from './resultFormat';
+import { diffTables } from './rowDiff';
+
+const ROW_STYLES = {
+  inserted: { background: 'rgba(0, 200, 83, 0.12)', color: '#69f0ae' },
+  deleted: { background: 'rgba(255, 82, 82, 0.12)', color: '#ff8a80', textDecoration: 'line-through' },
+  updated: {},
+  unchanged: {}
+};
+
+const COLUMN_STYLES = {
+  added: { color: '#69f0ae', background: 'rgba(0, 200, 83, 0.12)' },
+  dropped: { color: '#ff8a80', background: 'rgba(255, 82, 82, 0.12)', textDecoration: 'line-through' },
+  same: {}
+};
+
+const MARKERS = { inserted: '+', deleted: '−', updated: '~', unchanged: '' };
+
+const display = (value) => (value === undefined ? '' : formatCell(value).text);
+
+// Unified BEFORE → AFTER diff, with the original side-by-side panels behind a toggle.
+// Both views page through ResultGrid, so a DELETE over a big table stays responsive.
+const DiffView = ({ before, after, keyColumns }) => {
+  const [mode, setMode] = useState('unified');
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  // An AFTER with no columns means the run failed or was rolled back: there is nothing to compare
+  const comparable = Boolean(before) && after.columns.length > 0;
+  // Keyed on the names, not the array App rebuilds on every render
+  const keyList = keyColumns.join('\u0000');
+  const diff = useMemo(
+    () => (comparable ? diffTables(before, after, keyList ? keyList.split('\u0000') : []) : null),
+    [comparable, before, after, keyList]
+  );
+  const changed = diff ? diff.rows.length - diff.counts.unchanged : 0;
+  // Only the changes by default; everything when nothing changed
+  const rows = useMemo(
+    () => (diff ? diff.rows.filter(row => showUnchanged || !changed || row.status !== 'unchanged') : []),
+    [diff, showUnchanged, changed]
+  );
+  const data = useMemo(() => rows.map(row => [MARKERS[row.status], ...row.cells.map(cell => (cell.value === undefined ? '' : cell.value))]), [rows]);
+
+  const afterPanel = (
+    <div style={{ flex: 1 }}>
+      <h5 style={{ ...styles.heading, color: '#4facfe' }}>AFTER (Updated Result)</h5>
+      <div style={{ ...styles.panel, borderColor: '#4facfe' }}><ResultGrid columns={after.columns} data={after.data} tableName={after.name || 'result'} /></div>
+    </div>
+  );
+
+  if (!diff) {
+    return after.columns.length > 0 ? <div style={styles.container}>{afterPanel}</div> : null;
+  }
+
+  const columns = [
+    { name: '', type: null },
+    // Added/dropped columns are labelled under their name
+    ...diff.columns.map(col => ({ name: col.name, type: col.status === 'same' ? null : col.status }))
+  ];
+
+  const decorateCell = (index, cIdx) => {
+    if (cIdx === 0) return { style: styles.marker };
+    const cell = rows[index].cells[cIdx - 1];
+    const column = diff.columns[cIdx - 1];
+    if (cell.changed) return { style: styles.changedCell, title: `was: ${display(cell.oldValue)}` };
+    return column.status === 'same' ? null : { style: COLUMN_STYLES[column.status] };
+  };
+
+  return (
+    <div style={{ marginTop: '30px' }}>
+      <div style={styles.toolbar}>
+        <span style={styles.summary}>
+          Δ {before.name}: {diff.summary}
+          <span style={styles.matchNote}> · matched by {diff.matchedBy === 'key' ? `primary key (${keyColumns.join(', ')})` : 'whole row'}</span>
+        </span>
+        {['unified', 'side'].map(option => (
+          <button key={option} onClick={() => setMode(option)} style={{ ...styles.toggle, ...(mode === option ? styles.activeToggle : {}) }}>
+            {option === 'unified' ? 'Unified Diff' : 'Side by Side'}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'unified' ? (
+        <div style={{ ...styles.panel, borderColor: '#4facfe' }}>
+          {changed > 0 && diff.counts.unchanged > 0 && (
+            <label style={styles.unchangedToggle}>
+              <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} /> Show {diff.counts.unchanged} unchanged row(s)
+            </label>
+          )}
+          <ResultGrid
+            columns={columns}
+            data={data}
+            tableName={`${before.name}_diff`}
+            rowStyle={(index) => ROW_STYLES[rows[index].status]}
+            decorateCell={decorateCell}
+          />
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: '20px' }}>
+          <div style={{ flex: 1 }}>
+            <h5 style={{ ...styles.heading, color: '#888' }}>BEFORE (Snapshot)</h5>
+            <div style={styles.panel}><ResultGrid columns={before.columns} data={before.data} tableName={before.name} /></div>
+          </div>
+          {afterPanel}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { display: 'flex', gap: '20px', marginTop: '30px' },
+  toolbar: { display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px' },
+  summary: { flex: 1, fontSize: '13px', color: '#fff' },
+  matchNote: { color: '#666', fontSize: '11px' },
+  toggle: { padding: '4px 10px', background: 'transparent', border: '1px solid #444', color: '#888', borderRadius: '4px', cursor: 'pointer', fontSize: '11px' },
+  activeToggle: { borderColor: '#4facfe', color: '#4facfe' },
+  heading: { marginBottom: '10px' },
+  panel: { background: '#161616', padding: '15px', borderRadius: '8px', border: '1px solid #333', overflowX: 'auto' },
+  unchangedToggle: { display: 'block', marginBottom: '8px', fontSize: '11px', color: '#888', cursor: 'pointer' },
+  marker: { color: '#888', width: '20px' },
+  changedCell: { background: 'rgba(255, 213, 79, 0.18)', color: '#ffd54f', cursor: 'help' }
+};
+
+export default DiffView;
@@ -0,0 +1,23 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import DiffView from './DiffView';
+
+const columns = ['id', 'name'];
+const before = { name: 'big', columns, data: Array.from({ length: 500 }, (_, i) => [i + 1, `row ${i + 1}`]) };
+
+test('shows nothing when the run failed or rolled back, instead of a table wiped out', () => {
+  const { container } = render(<DiffView before={before} after={{ columns: [], data: [] }} keyColumns={['id']} />);
+  expect(container).toBeEmptyDOMElement();
+});
+
+test('pages the changed rows and hides unchanged ones behind a toggle', () => {
+  // DELETE FROM big WHERE id > 100, plus one update
+  const after = { name: 'big', columns, data: [[1, 'renamed'], ...before.data.slice(1, 100)] };
+  render(<DiffView before={before} after={after} keyColumns={['id']} />);
+  expect(screen.getByText(/1 row updated, 400 deleted/)).toBeInTheDocument();
+  expect(screen.getByText('401 row(s)')).toBeInTheDocument();
+  expect(screen.getAllByRole('row')).toHaveLength(51);
+  expect(screen.getByText('renamed')).toHaveAttribute('title', 'was: row 1');
+
+  fireEvent.click(screen.getByLabelText(/Show 99 unchanged row\(s\)/));
+  expect(screen.getByText('500 row(s)')).toBeInTheDocument();
+});
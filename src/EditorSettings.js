@@ -0,0 +1,57 @@
+import React from 'react';
+import { INDENTS, KEYWORD_CASES } from './sqlFormatter';
+import { LINT_RULES } from './sqlLinter';
+
+// Collapsible settings for the Format button and the linter's warning rules.
+const EditorSettings = ({ formatOptions, onFormatOptionsChange, lintRules, onLintRulesChange }) => {
+  const enabledCount = LINT_RULES.filter(rule => lintRules[rule.id] !== false).length;
+
+  return (
+    <details style={styles.container}>
+      <summary style={styles.summary}>Format & lint settings · {enabledCount} of {LINT_RULES.length} lint rules on</summary>
+
+      <div style={styles.row}>
+        <label style={styles.label}>
+          Keywords
+          <select value={formatOptions.keywordCase} onChange={(e) => onFormatOptionsChange({ ...formatOptions, keywordCase: e.target.value })} style={styles.select}>
+            {KEYWORD_CASES.map(c => <option key={c} value={c}>{c === 'preserve' ? 'as typed' : c === 'upper' ? 'UPPER' : 'lower'}</option>)}
+          </select>
+        </label>
+        <label style={styles.label}>
+          Indent
+          <select
+            value={String(formatOptions.indent)}
+            onChange={(e) => onFormatOptionsChange({ ...formatOptions, indent: e.target.value === 'tab' ? 'tab' : Number(e.target.value) })}
+            style={styles.select}
+          >
+            {INDENTS.map(i => <option key={i} value={String(i)}>{i === 'tab' ? 'tab' : `${i} spaces`}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div style={styles.rules}>
+        {LINT_RULES.map(rule => (
+          <label key={rule.id} title={rule.description} style={styles.rule}>
+            <input
+              type="checkbox"
+              checked={lintRules[rule.id] !== false}
+              onChange={(e) => onLintRulesChange({ ...lintRules, [rule.id]: e.target.checked })}
+            /> {rule.label}
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+const styles = {
+  container: { marginTop: '10px', fontSize: '12px', color: '#888' },
+  summary: { cursor: 'pointer', userSelect: 'none' },
+  row: { display: 'flex', gap: '20px', margin: '10px 0 8px' },
+  label: { display: 'flex', alignItems: 'center', gap: '6px' },
+  select: { background: '#121212', color: '#ccc', border: '1px solid #444', borderRadius: '4px', fontSize: '12px', padding: '3px' },
+  rules: { display: 'grid', gridTemplateColumns: 'repeat(2, minmax(0, 1fr))', gap: '4px 20px' },
+  rule: { cursor: 'pointer' }
+};
+
+export default EditorSettings;
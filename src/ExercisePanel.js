@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { EXERCISE_PACKS } from './exercisePacks';
+import { gradeExercise, loadProgress, recordAttempt, recordHint } from './exerciseGrader';
+
+const MAX_DIFF_ROWS = 10;
+
+const display = (value) => (value === null ? 'NULL' : String(value));
+
+const RowList = ({ title, color, columns, rows }) => (
+  <div style={{ flex: 1 }}>
+    <h5 style={{ ...styles.rowTitle, color }}>{title} ({rows.length})</h5>
+    <table style={styles.table}>
+      <thead><tr>{columns.map((c, i) => <th key={i} style={styles.cell}>{c}</th>)}</tr></thead>
+      <tbody>
+        {rows.slice(0, MAX_DIFF_ROWS).map((row, rIdx) => (
+          <tr key={rIdx}>{row.map((cell, cIdx) => <td key={cIdx} style={{ ...styles.cell, color }}>{display(cell)}</td>)}</tr>
+        ))}
+      </tbody>
+    </table>
+    {rows.length > MAX_DIFF_ROWS && <div style={styles.more}>…and {rows.length - MAX_DIFF_ROWS} more</div>}
+  </div>
+);
+
+// Challenge picker + grader. The student's editor query is graded in a private scratch
+// database, so checking an answer never touches the shared DB or the offline sandbox.
+const ExercisePanel = ({ query, onLoadQuery }) => {
+  const [packId, setPackId] = useState(EXERCISE_PACKS[0].id);
+  const [exerciseId, setExerciseId] = useState(EXERCISE_PACKS[0].exercises[0].id);
+  const [progress, setProgress] = useState(loadProgress);
+  const [verdict, setVerdict] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  const pack = EXERCISE_PACKS.find(p => p.id === packId);
+  const exercise = pack.exercises.find(ex => ex.id === exerciseId) || pack.exercises[0];
+  const entry = progress[exercise.id] || { attempts: 0, passed: false, hintsShown: 0 };
+  const solvedInPack = pack.exercises.filter(ex => progress[ex.id] && progress[ex.id].passed).length;
+
+  const selectExercise = (id) => {
+    setExerciseId(id);
+    setVerdict(null);
+  };
+
+  const selectPack = (id) => {
+    setPackId(id);
+    selectExercise(EXERCISE_PACKS.find(p => p.id === id).exercises[0].id);
+  };
+
+  const showHint = () => setProgress(recordHint(progress, exercise.id, entry.hintsShown + 1));
+
+  const checkAnswer = async () => {
+    if (!query.trim()) {
+      setVerdict({ passed: false, reasons: ['Write a query in the editor first.'], missing: [], extra: [] });
+      return;
+    }
+    setChecking(true);
+    const result = await gradeExercise(exercise, query);
+    setChecking(false);
+    setVerdict(result);
+    setProgress(recordAttempt(progress, exercise.id, { passed: result.passed, query }));
+  };
+
+  const verdictColumns = verdict && (verdict.expected ? verdict.expected.columns : []);
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.toolbar}>
+        <select value={pack.id} onChange={(e) => selectPack(e.target.value)} style={styles.select}>
+          {EXERCISE_PACKS.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+        </select>
+        <select value={exercise.id} onChange={(e) => selectExercise(e.target.value)} style={{ ...styles.select, flex: 1 }}>
+          {pack.exercises.map((ex, i) => (
+            <option key={ex.id} value={ex.id}>{progress[ex.id] && progress[ex.id].passed ? '✓' : '○'} {i + 1}. {ex.title}</option>
+          ))}
+        </select>
+        <span style={styles.packProgress}>{solvedInPack}/{pack.exercises.length} solved</span>
+      </div>
+
+      <div style={styles.prompt}>{exercise.prompt}</div>
+      <div style={styles.meta}>
+        {exercise.grading.orderMatters && <span style={styles.tag}>row order checked</span>}
+        {exercise.grading.columnNamesMatter && <span style={styles.tag}>column names checked</span>}
+        {entry.attempts > 0 && <span>{entry.attempts} attempt(s){entry.passed ? ' · solved' : ''}</span>}
+      </div>
+
+      {exercise.hints.slice(0, entry.hintsShown).map((hint, i) => (
+        <div key={i} style={styles.hint}>💡 Hint {i + 1}: {hint}</div>
+      ))}
+
+      <div style={styles.actions}>
+        <button onClick={checkAnswer} disabled={checking} style={styles.checkBtn}>{checking ? 'Checking...' : 'Check Answer'}</button>
+        {entry.hintsShown < exercise.hints.length && (
+          <button onClick={showHint} style={styles.ghostBtn}>Show hint ({entry.hintsShown}/{exercise.hints.length})</button>
+        )}
+        {entry.lastQuery && entry.lastQuery !== query && (
+          <button onClick={() => onLoadQuery(entry.lastQuery)} style={styles.ghostBtn}>Load last attempt</button>
+        )}
+        <span style={styles.sandboxNote}>Graded in a private sandbox — your data is not changed.</span>
+      </div>
+
+      {verdict && (
+        <div style={{ ...styles.verdict, borderColor: verdict.passed ? '#00c853' : '#ff5252' }}>
+          <strong style={{ color: verdict.passed ? '#00c853' : '#ff5252' }}>{verdict.passed ? '✓ Correct!' : '✗ Not quite.'}</strong>
+          {verdict.reasons.map((reason, i) => <div key={i} style={styles.reason}>{reason}</div>)}
+          {(verdict.missing.length > 0 || verdict.extra.length > 0) && (
+            <div style={{ display: 'flex', gap: '15px', marginTop: '10px' }}>
+              {verdict.missing.length > 0 && <RowList title="Missing rows" color="#ffb74d" columns={verdictColumns} rows={verdict.missing} />}
+              {verdict.extra.length > 0 && <RowList title="Unexpected rows" color="#ff8a80" columns={verdict.actual.columns} rows={verdict.extra} />}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { background: '#161616', border: '1px solid #333', borderRadius: '8px', padding: '15px', marginBottom: '15px' },
+  toolbar: { display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '12px' },
+  select: { padding: '6px', background: '#1a1a1a', border: '1px solid #333', color: '#ccc', borderRadius: '4px' },
+  packProgress: { fontSize: '11px', color: '#888' },
+  prompt: { fontSize: '14px', color: '#fff', lineHeight: '1.5' },
+  meta: { display: 'flex', gap: '8px', marginTop: '6px', fontSize: '11px', color: '#666' },
+  tag: { border: '1px solid #444', borderRadius: '3px', padding: '0 5px' },
+  hint: { marginTop: '8px', fontSize: '12px', color: '#ffd54f' },
+  actions: { display: 'flex', gap: '10px', alignItems: 'center', marginTop: '12px' },
+  checkBtn: { padding: '8px 18px', background: '#00c853', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' },
+  ghostBtn: { padding: '8px 14px', background: 'transparent', border: '1px solid #444', color: '#aaa', borderRadius: '4px', cursor: 'pointer' },
+  sandboxNote: { marginLeft: 'auto', fontSize: '11px', color: '#555' },
+  verdict: { marginTop: '12px', padding: '12px', border: '1px solid', borderRadius: '6px', background: '#111' },
+  reason: { fontSize: '12px', color: '#aaa', marginTop: '4px' },
+  rowTitle: { margin: '0 0 6px' },
+  table: { width: '100%', borderCollapse: 'collapse', fontSize: '11px' },
+  cell: { padding: '5px 8px', border: '1px solid #333', textAlign: 'left' },
+  more: { fontSize: '11px', color: '#666', marginTop: '4px' }
+};
+
+export default ExercisePanel;
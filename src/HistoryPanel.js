@@ -0,0 +1,195 @@
+import React, { useState, useRef } from 'react';
+import {
+  DEFAULT_FOLDER, deleteSnippet, exportLibrary, groupByFolder, importLibrary, loadSnippets, mergeSnippets, saveSnippet, searchHistory
+} from './queryLibrary';
+import { downloadText } from './resultFormat';
+
+const STATUS_COLORS = { success: '#00c853', error: '#ff5252', partial: '#ffb74d', cleared: '#777' };
+
+const timeLabel = (iso) => {
+  const date = new Date(iso);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+const outcomeLabel = (entry) => {
+  if (entry.status === 'cleared') return 'cleared from editor';
+  if (entry.status === 'error') return entry.error;
+  return `${entry.rowCount} row(s)${entry.status === 'partial' ? ` · ${entry.error}` : ''}`;
+};
+
+// Inline "star into a snippet" form; folder suggestions come from existing snippets.
+const SaveForm = ({ query, folders, onSave, onCancel }) => {
+  const [name, setName] = useState(query.trim().split('\n')[0].slice(0, 40));
+  const [folder, setFolder] = useState(folders[0] || DEFAULT_FOLDER);
+  return (
+    <div style={styles.saveForm}>
+      <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Snippet name" style={styles.input} autoFocus />
+      <input value={folder} onChange={(e) => setFolder(e.target.value)} placeholder="Folder" list="snippet-folders" style={styles.input} />
+      <datalist id="snippet-folders">{folders.map(f => <option key={f} value={f} />)}</datalist>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button onClick={() => onSave({ name, folder, query })} style={{ ...styles.smallBtn, borderColor: '#4facfe', color: '#4facfe' }}>Save</button>
+        <button onClick={onCancel} style={styles.smallBtn}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+const HistoryPanel = ({ history, currentQuery, onRestore, onRun, onClearHistory }) => {
+  const [open, setOpen] = useState(true);
+  const [view, setView] = useState('history');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [snippets, setSnippets] = useState(loadSnippets);
+  const [saving, setSaving] = useState(null);
+  const [collapsed, setCollapsed] = useState({});
+  const [notice, setNotice] = useState('');
+  const fileRef = useRef(null);
+
+  const folders = groupByFolder(snippets).map(group => group.folder);
+  const visibleHistory = searchHistory(history, search, statusFilter);
+  const needle = search.trim().toLowerCase();
+  const visibleGroups = groupByFolder(snippets.filter(s => !needle
+    || s.name.toLowerCase().includes(needle) || s.query.toLowerCase().includes(needle) || s.folder.toLowerCase().includes(needle)));
+
+  const handleSave = (snippet) => {
+    setSnippets(saveSnippet(snippets, snippet));
+    setSaving(null);
+    setNotice(`Saved "${snippet.name.trim() || 'Untitled'}".`);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const imported = importLibrary(await file.text());
+    const merged = mergeSnippets(snippets, imported);
+    setNotice(`Imported ${merged.length - snippets.length} of ${imported.length} snippet(s) from ${file.name}.`);
+    setSnippets(merged);
+    setView('snippets');
+  };
+
+  const renderSaveForm = (key, query) => saving === key && (
+    <SaveForm query={query} folders={folders} onSave={handleSave} onCancel={() => setSaving(null)} />
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <span onClick={() => setOpen(!open)} style={styles.title}>{open ? '▾' : '▸'} HISTORY & SNIPPETS</span>
+      </div>
+
+      {open && (
+        <>
+          <div style={styles.tabs}>
+            {['history', 'snippets'].map(mode => (
+              <button key={mode} onClick={() => setView(mode)} style={{ ...styles.tab, ...(view === mode ? styles.activeTab : {}) }}>
+                {mode === 'history' ? `History (${history.length})` : `Snippets (${snippets.length})`}
+              </button>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+            <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search..." style={{ ...styles.input, flex: 1, marginBottom: 0 }} />
+            {view === 'history' && (
+              <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={styles.select}>
+                <option value="all">All</option>
+                <option value="success">OK</option>
+                <option value="error">Errors</option>
+                <option value="partial">Partial</option>
+                <option value="cleared">Cleared</option>
+              </select>
+            )}
+          </div>
+
+          {notice && <p onClick={() => setNotice('')} style={styles.notice}>{notice}</p>}
+
+          {view === 'history' && (
+            <>
+              {visibleHistory.length === 0 && <p style={styles.empty}>{history.length ? 'No matching queries.' : 'Queries you run will appear here.'}</p>}
+              <div style={styles.list}>
+                {visibleHistory.map(entry => (
+                  <div key={entry.id} style={styles.entry}>
+                    <div style={styles.entryMeta}>
+                      <span style={{ color: STATUS_COLORS[entry.status] }}>●</span>
+                      <span>{timeLabel(entry.at)}</span>
+                      <span style={styles.outcome} title={outcomeLabel(entry)}>{outcomeLabel(entry)}</span>
+                    </div>
+                    <code style={styles.code} title={entry.query}>{entry.query}</code>
+                    <div style={styles.entryActions}>
+                      <button onClick={() => onRestore(entry.query)} title="Put back in the editor" style={styles.smallBtn}>↩ Restore</button>
+                      <button onClick={() => onRun(entry.query)} style={styles.smallBtn}>▶ Re-run</button>
+                      <button onClick={() => setSaving(entry.id)} title="Save as snippet" style={styles.smallBtn}>☆</button>
+                    </div>
+                    {renderSaveForm(entry.id, entry.query)}
+                  </div>
+                ))}
+              </div>
+              {history.length > 0 && <button onClick={onClearHistory} style={{ ...styles.smallBtn, marginTop: '8px' }}>Clear history</button>}
+            </>
+          )}
+
+          {view === 'snippets' && (
+            <>
+              <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+                <button onClick={() => setSaving('current')} disabled={!currentQuery.trim()} style={styles.smallBtn}>☆ Save editor query</button>
+                <button onClick={() => downloadText('sql-smart-lab-snippets.sql', exportLibrary(snippets), 'application/sql')} disabled={!snippets.length} style={styles.smallBtn}>Export .sql</button>
+                <button onClick={() => fileRef.current.click()} style={styles.smallBtn}>Import</button>
+                <input ref={fileRef} type="file" accept=".sql,text/plain" onChange={handleImport} style={{ display: 'none' }} />
+              </div>
+              {renderSaveForm('current', currentQuery)}
+
+              {snippets.length === 0 && <p style={styles.empty}>Star a query to keep it here.</p>}
+              <div style={styles.list}>
+                {visibleGroups.map(group => (
+                  <div key={group.folder} style={{ marginBottom: '8px' }}>
+                    <div onClick={() => setCollapsed({ ...collapsed, [group.folder]: !collapsed[group.folder] })} style={styles.folder}>
+                      {collapsed[group.folder] ? '▸' : '▾'} 📁 {group.folder} <span style={styles.count}>{group.snippets.length}</span>
+                    </div>
+                    {!collapsed[group.folder] && group.snippets.map(snippet => (
+                      <div key={snippet.id} style={{ ...styles.entry, marginLeft: '12px' }}>
+                        <div style={{ ...styles.entryMeta, color: '#fff' }}>{snippet.name}</div>
+                        <code style={styles.code} title={snippet.query}>{snippet.query}</code>
+                        <div style={styles.entryActions}>
+                          <button onClick={() => onRestore(snippet.query)} style={styles.smallBtn}>↩ Open</button>
+                          <button onClick={() => onRun(snippet.query)} style={styles.smallBtn}>▶ Run</button>
+                          <button onClick={() => setSnippets(deleteSnippet(snippets, snippet.id))} title="Delete snippet" style={styles.smallBtn}>✕</button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { marginTop: '25px', borderTop: '1px solid #333', paddingTop: '15px' },
+  header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' },
+  title: { color: '#4facfe', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
+  tabs: { display: 'flex', gap: '6px', margin: '10px 0' },
+  tab: { flex: 1, padding: '4px', background: 'transparent', border: '1px solid #444', color: '#888', borderRadius: '4px', cursor: 'pointer', fontSize: '11px' },
+  activeTab: { borderColor: '#4facfe', color: '#4facfe' },
+  input: { width: '100%', boxSizing: 'border-box', padding: '5px', background: '#121212', color: '#fff', border: '1px solid #444', borderRadius: '4px', fontSize: '11px', marginBottom: '6px' },
+  select: { background: '#121212', color: '#ccc', border: '1px solid #444', borderRadius: '4px', fontSize: '11px' },
+  notice: { fontSize: '11px', color: '#69f0ae', cursor: 'pointer', margin: '0 0 8px' },
+  empty: { fontSize: '11px', color: '#888' },
+  list: { maxHeight: '320px', overflowY: 'auto' },
+  entry: { padding: '6px 0', borderBottom: '1px solid #222' },
+  entryMeta: { display: 'flex', gap: '6px', fontSize: '10px', color: '#888', marginBottom: '3px' },
+  outcome: { flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+  code: { display: 'block', fontSize: '11px', color: '#ccc', whiteSpace: 'pre-wrap', maxHeight: '30px', overflow: 'hidden' },
+  entryActions: { display: 'flex', gap: '4px', marginTop: '4px' },
+  smallBtn: { padding: '2px 6px', background: 'transparent', border: '1px solid #444', color: '#aaa', borderRadius: '4px', cursor: 'pointer', fontSize: '10px' },
+  saveForm: { marginTop: '6px', padding: '6px', background: '#101010', borderRadius: '4px' },
+  folder: { fontSize: '12px', color: '#ccc', cursor: 'pointer', marginBottom: '4px' },
+  count: { fontSize: '10px', color: '#666' }
+};
+
+export default HistoryPanel;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import ResultGrid from './ResultGrid';
+import { annotateStage, buildStages } from './queryStages';
+import { executeQuery } from './sqlEngine';
+
+const STATUS_STYLES = {
+  kept: {},
+  removed: { background: 'rgba(255, 82, 82, 0.12)', color: '#ff8a80', textDecoration: 'line-through' },
+  moved: { background: 'rgba(255, 213, 79, 0.12)', color: '#ffd54f' }
+};
+const GROUP_TINTS = ['rgba(79, 172, 254, 0.10)', 'rgba(179, 136, 255, 0.12)'];
+
+// Runs each logical stage of a SELECT as its own query and lets the student step through them.
+const QueryVisualizer = ({ stmt, engineMode, onClose }) => {
+  const [stages, setStages] = useState([]);
+  const [current, setCurrent] = useState(0);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const plan = buildStages(stmt);
+    setCurrent(0);
+    setStages([]);
+    if (plan.error) {
+      setError(plan.error);
+      return;
+    }
+    setError('');
+    setLoading(true);
+    let cancelled = false;
+    const run = async () => {
+      const done = [];
+      // Sequential on purpose: ORDER BY compares its rows with the stage before it
+      for (const stage of plan) {
+        const res = await executeQuery(stage.sql, engineMode);
+        const previous = done.length ? done[done.length - 1].view : null;
+        done.push(res.status === 'success'
+          ? { ...stage, view: annotateStage(stage, res, previous) }
+          : { ...stage, error: res.message || 'This stage failed to run.' });
+      }
+      if (!cancelled) {
+        setStages(done);
+        setLoading(false);
+      }
+    };
+    run();
+    return () => { cancelled = true; };
+  }, [stmt, engineMode]);
+
+  const stage = stages[current];
+
+  const rowStyle = (index) => {
+    const { view } = stage;
+    const group = view.groups ? { background: GROUP_TINTS[(view.groups[index] - 1) % 2] } : {};
+    return { ...group, ...STATUS_STYLES[view.statuses[index]] };
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <span style={styles.title}>🔎 Logical execution order</span>
+        <button onClick={onClose} style={styles.ghostBtn}>Close</button>
+      </div>
+
+      {error && <p style={styles.error}>{error}</p>}
+      {loading && <p style={styles.muted}>Running each stage...</p>}
+
+      {stages.length > 0 && (
+        <>
+          <div style={styles.steps}>
+            {stages.map((s, i) => (
+              <React.Fragment key={s.key}>
+                {i > 0 && <span style={styles.arrow}>→</span>}
+                <button
+                  onClick={() => setCurrent(i)}
+                  style={{ ...styles.step, ...(i === current ? styles.activeStep : {}), ...(s.error ? { borderColor: '#ff5252' } : {}) }}
+                >
+                  {i + 1}. {s.title}
+                </button>
+              </React.Fragment>
+            ))}
+          </div>
+
+          <p style={styles.explanation}>{stage.explanation}</p>
+
+          {stage.error ? (
+            <p style={styles.error}>⚠ This stage could not be run on its own: {stage.error}</p>
+          ) : (
+            <>
+              <div style={styles.summary}>
+                {stage.view.summary}
+                {stage.view.statuses.includes('removed') && <span style={{ color: '#ff8a80' }}> · struck-out rows are dropped here</span>}
+                {stage.view.statuses.includes('moved') && <span style={{ color: '#ffd54f' }}> · highlighted rows moved</span>}
+                {stage.view.groups && <span style={{ color: '#4facfe' }}> · alternating tints mark each group</span>}
+              </div>
+              <ResultGrid columns={stage.view.columns} data={stage.view.data} rowStyle={rowStyle} tableName={stage.key} />
+            </>
+          )}
+
+          <details style={styles.details}>
+            <summary style={styles.muted}>Query used for this stage</summary>
+            <code style={styles.code}>{stage.sql}</code>
+          </details>
+
+          <div style={styles.nav}>
+            <button onClick={() => setCurrent(current - 1)} disabled={current === 0} style={styles.ghostBtn}>‹ Back</button>
+            <span style={styles.muted}>Stage {current + 1} of {stages.length}</span>
+            <button onClick={() => setCurrent(current + 1)} disabled={current === stages.length - 1} style={styles.ghostBtn}>Next ›</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { marginTop: '20px', background: '#161616', border: '1px solid #4facfe', borderRadius: '8px', padding: '15px' },
+  header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' },
+  title: { color: '#4facfe', fontWeight: 'bold', fontSize: '14px' },
+  steps: { display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px', marginBottom: '10px' },
+  step: { padding: '4px 10px', background: 'transparent', border: '1px solid #444', color: '#888', borderRadius: '12px', cursor: 'pointer', fontSize: '11px' },
+  activeStep: { borderColor: '#4facfe', color: '#fff', background: 'rgba(79, 172, 254, 0.15)' },
+  arrow: { color: '#555', fontSize: '11px' },
+  explanation: { fontSize: '13px', color: '#ddd', margin: '0 0 8px' },
+  summary: { fontSize: '11px', color: '#aaa', marginBottom: '6px' },
+  error: { fontSize: '12px', color: '#ff5252' },
+  muted: { fontSize: '11px', color: '#777', cursor: 'pointer' },
+  details: { marginTop: '8px' },
+  code: { display: 'block', marginTop: '4px', fontSize: '11px', color: '#ccc', whiteSpace: 'pre-wrap' },
+  nav: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' },
+  ghostBtn: { padding: '5px 12px', background: 'transparent', border: '1px solid #444', color: '#aaa', borderRadius: '4px', cursor: 'pointer', fontSize: '11px' }
+};
+
+export default QueryVisualizer;
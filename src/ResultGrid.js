@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { EXPORT_FORMATS, downloadText, filterEntries, formatCell, sortEntries } from './resultFormat';
+
+const CELL_STYLES = {
+  null: { color: '#777', fontStyle: 'italic' },
+  number: { textAlign: 'right', fontFamily: 'monospace', fontVariantNumeric: 'tabular-nums' },
+  blob: { color: '#b388ff', fontStyle: 'italic' },
+  pending: { color: '#666' },
+  text: {}
+};
+
+const SORT_CYCLE = { undefined: 'asc', asc: 'desc', desc: undefined };
+
+// Shared table for every result in the app. Only the current page is rendered, so a
+// SELECT * over thousands of rows stays responsive.
+// columns: names or { name, type }; data: row arrays; rowStyle(originalIndex) styles special rows;
+// interactive={false} hides sorting/filtering/paging/export (e.g. the live structural preview).
+// decorateCell(originalIndex, columnIndex) → { style, title } marks individual cells (e.g. the diff's changed values).
+const ResultGrid = ({ columns, data, tableName = 'result', pageSize = 50, rowStyle, interactive = true, cellStyle = {}, decorateCell }) => {
+  const [sort, setSort] = useState({ column: null, direction: undefined });
+  const [filter, setFilter] = useState('');
+  const [page, setPage] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+
+  const names = columns.map(c => (typeof c === 'string' ? c : c.name));
+  const columnKey = names.join('\u0000');
+
+  // A new result starts on page one, unsorted
+  useEffect(() => {
+    setSort({ column: null, direction: undefined });
+    setFilter('');
+    setPage(0);
+    setExpanded(null);
+  }, [columnKey, data]);
+
+  const entries = data.map((row, index) => ({ row, index }));
+  const visible = interactive ? sortEntries(filterEntries(entries, filter), sort.column, sort.direction) : entries;
+  const pageCount = interactive ? Math.max(1, Math.ceil(visible.length / pageSize)) : 1;
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageEntries = interactive ? visible.slice(currentPage * pageSize, (currentPage + 1) * pageSize) : visible;
+
+  const toggleSort = (column) => {
+    const direction = sort.column === column ? SORT_CYCLE[sort.direction] : 'asc';
+    setSort({ column: direction ? column : null, direction });
+    setPage(0);
+  };
+
+  const exportAs = (format) => {
+    if (!format) return;
+    const { build, extension, mime } = EXPORT_FORMATS[format];
+    downloadText(`${tableName}.${extension}`, build(tableName, names, visible.map(e => e.row)), mime);
+  };
+
+  return (
+    <div>
+      {interactive && (
+        <div style={styles.toolbar}>
+          <input
+            value={filter}
+            onChange={(e) => { setFilter(e.target.value); setPage(0); }}
+            placeholder="Filter rows..."
+            style={styles.filter}
+          />
+          <span style={styles.count}>
+            {visible.length === data.length ? `${data.length} row(s)` : `${visible.length} of ${data.length} row(s)`}
+          </span>
+          <select value="" onChange={(e) => exportAs(e.target.value)} disabled={!visible.length} style={styles.export}>
+            <option value="">Export…</option>
+            {Object.entries(EXPORT_FORMATS).map(([key, format]) => <option key={key} value={key}>{format.label}</option>)}
+          </select>
+        </div>
+      )}
+
+      <div style={styles.scroll}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              {columns.map((c, i) => {
+                const type = typeof c === 'string' ? null : c.type;
+                const arrow = sort.column === i ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+                return (
+                  <th
+                    key={i}
+                    onClick={interactive ? () => toggleSort(i) : undefined}
+                    title={interactive ? 'Sort' : undefined}
+                    style={{ ...styles.cell, ...styles.header, ...cellStyle, cursor: interactive ? 'pointer' : 'default' }}
+                  >
+                    {names[i]}{arrow}
+                    {type && <span style={styles.type}>{type}</span>}
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {pageEntries.map(({ row, index }) => (
+              <tr key={index} style={rowStyle ? rowStyle(index) : undefined}>
+                {names.map((_, cIdx) => {
+                  const cell = formatCell(row[cIdx]);
+                  const key = `${index}:${cIdx}`;
+                  const showFull = cell.full && expanded === key;
+                  const decoration = decorateCell ? decorateCell(index, cIdx) || {} : {};
+                  return (
+                    <td
+                      key={cIdx}
+                      title={decoration.title || (cell.full && !showFull ? 'Click to show the full text' : undefined)}
+                      onClick={cell.full ? () => setExpanded(showFull ? null : key) : undefined}
+                      style={{ ...styles.cell, ...cellStyle, ...CELL_STYLES[cell.kind], ...(cell.full ? styles.longText : {}), ...decoration.style }}
+                    >
+                      {showFull ? cell.full : cell.text}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {interactive && pageEntries.length === 0 && (
+              <tr><td colSpan={names.length || 1} style={{ ...styles.cell, color: '#666' }}>{data.length ? 'No rows match the filter.' : 'No rows.'}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {interactive && pageCount > 1 && (
+        <div style={styles.pager}>
+          <button onClick={() => setPage(0)} disabled={currentPage === 0} style={styles.pageBtn}>«</button>
+          <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} style={styles.pageBtn}>‹</button>
+          <span>
+            Rows {currentPage * pageSize + 1}–{Math.min((currentPage + 1) * pageSize, visible.length)} · page {currentPage + 1} of {pageCount}
+          </span>
+          <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} style={styles.pageBtn}>›</button>
+          <button onClick={() => setPage(pageCount - 1)} disabled={currentPage >= pageCount - 1} style={styles.pageBtn}>»</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  toolbar: { display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' },
+  filter: { flex: 1, maxWidth: '220px', padding: '4px 6px', background: '#121212', color: '#fff', border: '1px solid #444', borderRadius: '4px', fontSize: '11px' },
+  count: { flex: 1, fontSize: '10px', color: '#666' },
+  export: { background: '#121212', color: '#aaa', border: '1px solid #444', borderRadius: '4px', fontSize: '11px', padding: '3px' },
+  scroll: { overflowX: 'auto' },
+  table: { width: '100%', borderCollapse: 'collapse', fontSize: '11px' },
+  cell: { padding: '6px 8px', border: '1px solid #333', textAlign: 'left', verticalAlign: 'top' },
+  header: { whiteSpace: 'nowrap', userSelect: 'none' },
+  type: { display: 'block', color: '#666', fontSize: '10px', fontWeight: 'normal' },
+  longText: { maxWidth: '360px', whiteSpace: 'pre-wrap', wordBreak: 'break-word', cursor: 'pointer' },
+  pager: { display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '6px', marginTop: '6px', fontSize: '10px', color: '#888' },
+  pageBtn: { padding: '2px 8px', background: 'transparent', border: '1px solid #444', color: '#aaa', borderRadius: '4px', cursor: 'pointer' }
+};
+
+export default ResultGrid;
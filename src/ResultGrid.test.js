@@ -0,0 +1,21 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ResultGrid from './ResultGrid';
+
+const data = Array.from({ length: 1000 }, (_, i) => [i + 1, i % 7 === 0 ? null : `row ${i + 1}`]);
+
+test('renders one page at a time and sorts on header click', () => {
+  render(<ResultGrid columns={['id', 'label']} data={data} pageSize={50} />);
+  expect(screen.getAllByRole('row')).toHaveLength(51);
+  expect(screen.getByText('Rows 1–50 · page 1 of 20')).toBeInTheDocument();
+  expect(screen.getAllByText('NULL').length).toBeGreaterThan(0);
+
+  fireEvent.click(screen.getByText('id'));
+  fireEvent.click(screen.getByText('id ▲'));
+  expect(screen.getAllByRole('row')[1]).toHaveTextContent('1000');
+});
+
+test('filters rows across every column', () => {
+  render(<ResultGrid columns={['id', 'label']} data={data} />);
+  fireEvent.change(screen.getByPlaceholderText('Filter rows...'), { target: { value: 'row 99' } });
+  expect(screen.getByText('9 of 1000 row(s)')).toBeInTheDocument();
+});
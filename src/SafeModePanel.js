@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import ResultGrid from './ResultGrid';
+import { ENGINE_MODES } from './sqlEngine';
+
+// Dry-run results for the destructive statements in a pending run, with Run / Cancel.
+// Statements that affect every row need an extra tick before the Run button unlocks.
+const SafeModePanel = ({ pending, onConfirm, onCancel }) => {
+  const [acknowledged, setAcknowledged] = useState(false);
+  const warned = pending.previews.some(p => p.warning);
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>🛡 Safe mode: check what this will do before it runs</div>
+      {pending.statementCount > pending.previews.length && (
+        <p style={styles.note}>Previews show the database as it is now, before any earlier statement in the script has run.</p>
+      )}
+
+      {pending.previews.map((preview, i) => (
+        <div key={i} style={styles.preview}>
+          <div style={styles.title}>{preview.title}</div>
+          {preview.warning && <div style={styles.warning}>⚠ {preview.warning}</div>}
+          <div style={styles.description}>
+            {preview.description}
+            {preview.result && <strong style={{ color: '#fff' }}> {preview.result.data.length} row(s)</strong>}
+          </div>
+          {preview.error && <div style={styles.error}>Preview failed: {preview.error}</div>}
+          {preview.result && preview.result.data.length > 0 && (
+            <ResultGrid columns={preview.result.columns} data={preview.result.data} tableName={preview.stmt.target || 'preview'} pageSize={20} />
+          )}
+        </div>
+      ))}
+
+      {warned && (
+        <label style={styles.acknowledge}>
+          <input type="checkbox" checked={acknowledged} onChange={(e) => setAcknowledged(e.target.checked)} /> I understand, run it anyway
+        </label>
+      )}
+      <div style={styles.actions}>
+        <button onClick={onConfirm} disabled={warned && !acknowledged} style={{ ...styles.runBtn, opacity: warned && !acknowledged ? 0.4 : 1 }}>Run it</button>
+        <button onClick={onCancel} style={styles.cancelBtn}>Cancel</button>
+        <span style={styles.note}>The tables involved are snapshotted first, so you can undo afterwards. If the snapshot fails, nothing runs.</span>
+      </div>
+    </div>
+  );
+};
+
+// Most recent first; only the newest entry can be undone so snapshots are restored in order.
+// On the shared server a snapshot also wipes other people's later changes, so that undo asks first.
+export const UndoStack = ({ entries, engineMode, onUndo, busy }) => {
+  const [confirming, setConfirming] = useState(null);
+  if (!entries.length) return null;
+  const undo = (entry) => {
+    if (entry.engine === ENGINE_MODES.REMOTE && confirming !== entry.id) {
+      setConfirming(entry.id);
+      return;
+    }
+    setConfirming(null);
+    onUndo(entry);
+  };
+
+  return (
+    <div style={styles.undo}>
+      <span style={styles.undoTitle}>↶ Undo ({entries.length})</span>
+      {entries.map((entry, i) => (
+        <div key={entry.id} style={styles.undoRow}>
+          <code style={styles.undoLabel} title={entry.label}>{entry.label}</code>
+          {confirming === entry.id
+            ? <span style={styles.undoWarning}>⚠ This restores {entry.snapshots.map(s => s.name).join(', ')} on the shared server, undoing anyone else's changes made since.</span>
+            : <span style={styles.note}>{entry.snapshots.map(s => s.name).join(', ')}</span>}
+          {i === 0 && (
+            <button
+              onClick={() => undo(entry)}
+              disabled={busy || entry.engine !== engineMode}
+              title={entry.engine !== engineMode ? 'Switch back to the database this ran on to undo it' : 'Restore the tables as they were before this ran'}
+              style={styles.undoBtn}
+            >
+              {busy ? 'Restoring...' : confirming === entry.id ? 'Restore anyway' : 'Undo'}
+            </button>
+          )}
+          {confirming === entry.id && <button onClick={() => setConfirming(null)} style={styles.undoBtn}>Cancel</button>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const styles = {
+  container: { marginTop: '20px', padding: '15px', background: '#1a1208', border: '1px solid #ffb74d', borderRadius: '8px' },
+  header: { color: '#ffb74d', fontWeight: 'bold', fontSize: '14px', marginBottom: '10px' },
+  preview: { marginBottom: '12px', paddingBottom: '12px', borderBottom: '1px solid #333' },
+  title: { color: '#fff', fontSize: '13px', fontFamily: 'monospace', marginBottom: '6px' },
+  warning: { color: '#ff5252', fontSize: '12px', fontWeight: 'bold', marginBottom: '6px' },
+  description: { color: '#aaa', fontSize: '12px', marginBottom: '6px' },
+  error: { color: '#ff8a80', fontSize: '12px' },
+  acknowledge: { display: 'block', color: '#ff8a80', fontSize: '12px', marginBottom: '10px', cursor: 'pointer' },
+  actions: { display: 'flex', alignItems: 'center', gap: '10px' },
+  runBtn: { padding: '8px 20px', background: '#ff5252', color: '#fff', border: 'none', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' },
+  cancelBtn: { padding: '8px 16px', background: 'transparent', border: '1px solid #444', color: '#aaa', borderRadius: '4px', cursor: 'pointer' },
+  note: { fontSize: '11px', color: '#777' },
+  undo: { marginTop: '15px', padding: '10px', background: '#161616', border: '1px solid #333', borderRadius: '6px' },
+  undoTitle: { fontSize: '12px', color: '#4facfe', fontWeight: 'bold' },
+  undoRow: { display: 'flex', alignItems: 'center', gap: '10px', marginTop: '6px' },
+  undoWarning: { fontSize: '11px', color: '#ff8a80' },
+  undoLabel: { flex: 1, fontSize: '11px', color: '#ccc', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' },
+  undoBtn: { padding: '4px 12px', background: 'transparent', border: '1px solid #4facfe', color: '#4facfe', borderRadius: '4px', cursor: 'pointer', fontSize: '11px' }
+};
+
+export default SafeModePanel;
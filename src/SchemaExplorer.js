@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { foreignKeyEdges } from './schemaRegistry';
+
+const BOX_WIDTH = 110;
+const ROW_HEIGHT = 13;
+const HEADER_HEIGHT = 18;
+const MAX_ER_COLUMNS = 6;
+const GAP = 20;
+
+// Two-column grid of table boxes with a line per foreign key column.
+const ErDiagram = ({ tables, edges, onSelectTable }) => {
+  const boxes = {};
+  const columnHeights = [0, 0];
+  tables.forEach(table => {
+    const col = columnHeights[0] <= columnHeights[1] ? 0 : 1;
+    const shown = table.columns.slice(0, MAX_ER_COLUMNS);
+    const height = HEADER_HEIGHT + ROW_HEIGHT * (shown.length + (table.columns.length > shown.length ? 1 : 0)) + 4;
+    boxes[table.name.toLowerCase()] = { table, shown, x: col * (BOX_WIDTH + GAP), y: columnHeights[col], height };
+    columnHeights[col] += height + GAP;
+  });
+
+  const anchor = (tableName, columnName) => {
+    const box = boxes[tableName.toLowerCase()];
+    if (!box) return null;
+    const idx = box.shown.findIndex(c => columnName && c.name.toLowerCase() === columnName.toLowerCase());
+    return { box, y: box.y + HEADER_HEIGHT + ROW_HEIGHT * (idx === -1 ? 0 : idx) + ROW_HEIGHT / 2 };
+  };
+
+  const width = BOX_WIDTH * 2 + GAP;
+  const height = Math.max(...columnHeights, 40);
+
+  return (
+    <svg width="100%" viewBox={`-15 0 ${width + 15} ${height}`} style={styles.diagram}>
+      {edges.map((edge, i) => {
+        const from = anchor(edge.from, edge.column);
+        const to = anchor(edge.to, edge.refColumn);
+        if (!from || !to) return null;
+        const sameColumn = from.box.x === to.box.x;
+        const x1 = sameColumn || from.box.x > to.box.x ? from.box.x : from.box.x + BOX_WIDTH;
+        const x2 = sameColumn || from.box.x < to.box.x ? to.box.x : to.box.x + BOX_WIDTH;
+        const bend = sameColumn ? Math.min(x1, x2) - 12 : (x1 + x2) / 2;
+        return (
+          <path key={i} d={`M ${x1} ${from.y} H ${bend} V ${to.y} H ${x2}`} fill="none" stroke="#b388ff" strokeWidth="1">
+            <title>{`${edge.from}.${edge.column} → ${edge.to}.${edge.refColumn || '?'}`}</title>
+          </path>
+        );
+      })}
+      {Object.values(boxes).map(({ table, shown, x, y, height: boxHeight }) => (
+        <g key={table.name} onClick={() => onSelectTable(table)} style={{ cursor: 'pointer' }}>
+          <rect x={x} y={y} width={BOX_WIDTH} height={boxHeight} rx="3" fill="#121212" stroke="#4facfe" />
+          <text x={x + 6} y={y + 12} fill="#4facfe" fontSize="10" fontWeight="bold">{table.name}</text>
+          {shown.map((col, i) => (
+            <text key={col.name} x={x + 6} y={y + HEADER_HEIGHT + ROW_HEIGHT * i + 9} fill={col.primaryKey ? '#ffd54f' : '#aaa'} fontSize="9">
+              {col.primaryKey ? '🔑 ' : ''}{col.name}
+            </text>
+          ))}
+          {table.columns.length > shown.length && (
+            <text x={x + 6} y={y + HEADER_HEIGHT + ROW_HEIGHT * shown.length + 9} fill="#666" fontSize="9">
+              +{table.columns.length - shown.length} more
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const SchemaExplorer = ({ registry, onSelectTable, onRefresh, status }) => {
+  const [open, setOpen] = useState(true);
+  const [expanded, setExpanded] = useState({});
+  const [view, setView] = useState('tree');
+
+  const tables = Object.values(registry).sort((a, b) => a.name.localeCompare(b.name));
+  const edges = foreignKeyEdges(registry);
+
+  const referencesFor = (table, column) => (table.foreignKeys || []).find(fk => fk.columns.includes(column.name));
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <span onClick={() => setOpen(!open)} style={styles.title}>{open ? '▾' : '▸'} SCHEMA EXPLORER</span>
+        <button onClick={onRefresh} title="Reload schema from the database" style={styles.iconButton}>⟳</button>
+      </div>
+
+      {open && (
+        <>
+          <div style={styles.tabs}>
+            {['tree', 'er'].map(mode => (
+              <button key={mode} onClick={() => setView(mode)} style={{ ...styles.tab, ...(view === mode ? styles.activeTab : {}) }}>
+                {mode === 'tree' ? 'Tables' : 'ER View'}
+              </button>
+            ))}
+          </div>
+
+          {status && <p style={styles.status}>{status}</p>}
+          {!status && tables.length === 0 && <p style={styles.status}>No tables yet.</p>}
+
+          {view === 'tree' && tables.map(table => {
+            const key = table.name.toLowerCase();
+            return (
+              <div key={key} style={styles.tableNode}>
+                <div style={styles.tableRow}>
+                  <span onClick={() => setExpanded({ ...expanded, [key]: !expanded[key] })} style={styles.caret}>
+                    {expanded[key] ? '▾' : '▸'}
+                  </span>
+                  <span onClick={() => onSelectTable(table)} title="Open a starter query" style={styles.tableName}>{table.name}</span>
+                  <span style={styles.count}>{table.columns.length}</span>
+                </div>
+                {expanded[key] && table.columns.map(col => {
+                  const fk = referencesFor(table, col);
+                  return (
+                    <div key={col.name} style={styles.columnRow}>
+                      <span style={{ color: col.primaryKey ? '#ffd54f' : '#ccc' }}>{col.primaryKey ? '🔑 ' : ''}{col.name}</span>
+                      <span style={styles.type}>{col.type || 'ANY'}{col.notNull ? ' NOT NULL' : ''}</span>
+                      {fk && <span style={styles.fk}>→ {fk.refTable}.{fk.refColumns[fk.columns.indexOf(col.name)] || '?'}</span>}
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+
+          {view === 'er' && tables.length > 0 && <ErDiagram tables={tables} edges={edges} onSelectTable={onSelectTable} />}
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: { marginTop: '25px', borderTop: '1px solid #333', paddingTop: '15px' },
+  header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' },
+  title: { color: '#4facfe', fontSize: '14px', fontWeight: 'bold', cursor: 'pointer' },
+  iconButton: { background: 'transparent', border: '1px solid #444', color: '#aaa', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' },
+  tabs: { display: 'flex', gap: '6px', margin: '10px 0' },
+  tab: { flex: 1, padding: '4px', background: 'transparent', border: '1px solid #444', color: '#888', borderRadius: '4px', cursor: 'pointer', fontSize: '11px' },
+  activeTab: { borderColor: '#4facfe', color: '#4facfe' },
+  status: { fontSize: '11px', color: '#888' },
+  tableNode: { marginBottom: '6px' },
+  tableRow: { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px' },
+  caret: { cursor: 'pointer', color: '#888', width: '10px' },
+  tableName: { flex: 1, cursor: 'pointer', color: '#fff' },
+  count: { fontSize: '10px', color: '#666' },
+  columnRow: { display: 'flex', flexWrap: 'wrap', gap: '6px', fontSize: '11px', padding: '2px 0 2px 18px' },
+  type: { color: '#666' },
+  fk: { color: '#b388ff' },
+  diagram: { background: '#101010', borderRadius: '4px', padding: '4px' }
+};
+
+export default SchemaExplorer;
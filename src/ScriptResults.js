@@ -0,0 +1,68 @@
+import React from 'react';
+import ResultGrid from './ResultGrid';
+
+const PREVIEW_ROWS = 20;
+
+const BADGES = {
+  success: { label: 'OK', color: '#00c853' },
+  error: { label: 'ERROR', color: '#ff5252' },
+  skipped: { label: 'SKIPPED', color: '#777' },
+  rolledBack: { label: 'ROLLED BACK', color: '#ffb74d' }
+};
+
+// Pairs parsed statements with engine results: statements after a stop are "skipped",
+// statements that succeeded inside a rolled-back transaction are "rolledBack".
+// When the script never reached the database (outcome.notRun) every statement is skipped.
+export const buildResultCards = (statements, outcome) => statements.map((stmt, i) => {
+  const result = outcome.results[i];
+  if (!result) {
+    const message = outcome.notRun ? `Not run: ${outcome.message}` : 'Not run: an earlier statement failed.';
+    return { sql: stmt.text, table: stmt.target, status: 'skipped', message };
+  }
+  if (outcome.rolledBack && result.status === 'success') {
+    return { ...result, sql: stmt.text, table: stmt.target, status: 'rolledBack', message: 'Ran, then undone when the transaction rolled back.' };
+  }
+  return { ...result, sql: stmt.text, table: stmt.target };
+});
+
+const ScriptResults = ({ cards }) => {
+  if (!cards.length) return null;
+
+  return (
+    <div style={styles.container}>
+      {cards.map((card, i) => {
+        const badge = BADGES[card.status];
+        return (
+          <div key={i} style={{ ...styles.card, borderLeftColor: badge.color }}>
+            <div style={styles.header}>
+              <span style={styles.index}>#{i + 1}</span>
+              <code style={styles.sql} title={card.sql}>{card.sql}</code>
+              <span style={{ ...styles.badge, color: badge.color, borderColor: badge.color }}>{badge.label}</span>
+            </div>
+
+            {card.message && <div style={{ ...styles.message, color: card.status === 'error' ? '#ff5252' : '#aaa' }}>{card.message}</div>}
+
+            {card.columns && card.columns.length > 0 && (
+              <div style={styles.tableWrap}>
+                <ResultGrid columns={card.columns} data={card.data} tableName={card.table || 'result'} pageSize={PREVIEW_ROWS} />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const styles = {
+  container: { marginTop: '20px', display: 'flex', flexDirection: 'column', gap: '10px' },
+  card: { background: '#161616', border: '1px solid #333', borderLeft: '4px solid', borderRadius: '6px', padding: '10px 12px' },
+  header: { display: 'flex', alignItems: 'center', gap: '10px' },
+  index: { color: '#666', fontSize: '11px' },
+  sql: { flex: 1, color: '#ccc', fontSize: '12px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' },
+  badge: { fontSize: '10px', border: '1px solid', borderRadius: '10px', padding: '2px 8px', fontWeight: 'bold' },
+  message: { fontSize: '12px', marginTop: '6px' },
+  tableWrap: { marginTop: '8px' }
+};
+
+export default ScriptResults;
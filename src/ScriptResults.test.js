@@ -0,0 +1,26 @@
+import { buildResultCards } from './ScriptResults';
+import { parseScript } from './sqlParser';
+
+const statements = parseScript('INSERT INTO t VALUES (1); UPDATE t SET a = 2; SELECT * FROM t');
+const ok = { status: 'success', message: '1 row(s) affected.', columns: [], data: [] };
+const failed = { status: 'error', message: 'no such column: a', columns: [], data: [] };
+
+test('pairs each statement with its result and marks the ones after a stop as skipped', () => {
+  const cards = buildResultCards(statements, { status: 'error', results: [ok, failed], rolledBack: false });
+  expect(cards.map(c => [c.status, c.table])).toEqual([['success', 't'], ['error', 't'], ['skipped', 't']]);
+  expect(cards[1].message).toBe('no such column: a');
+  expect(cards[2].message).toBe('Not run: an earlier statement failed.');
+  expect(cards[0].sql).toBe('INSERT INTO t VALUES (1)');
+});
+
+test('shows successes inside a rolled-back transaction as undone', () => {
+  const cards = buildResultCards(statements, { status: 'error', results: [ok, failed], rolledBack: true });
+  expect(cards.map(c => c.status)).toEqual(['rolledBack', 'error', 'skipped']);
+  expect(cards[0].message).toMatch(/undone when the transaction rolled back/);
+});
+
+test('skips every statement when the script never reached the database', () => {
+  const cards = buildResultCards(statements, { status: 'error', notRun: true, message: 'Request failed: Network Error', results: [], rolledBack: false });
+  expect(cards.map(c => c.status)).toEqual(['skipped', 'skipped', 'skipped']);
+  expect(cards[0].message).toBe('Not run: Request failed: Network Error');
+});
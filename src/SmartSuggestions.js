@@ -1,29 +1,46 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { buildSuggestions, profileQuery, readProfile } from './suggestionEngine';
+import { executeQuery } from './sqlEngine';
 
-const SmartSuggestions = ({ query, onApplySuggestion }) => {
-  // Logic to detect if we are looking at the 'student' table
-  const isStudentTable = query.toLowerCase().includes('student');
+// table: the schema the student is working with; stmt: the parsed statement that reads it.
+const SmartSuggestions = ({ table, registry, stmt, engineMode, onApplySuggestion }) => {
+  const [profile, setProfile] = useState(null);
+  const tableName = table ? table.name : '';
+  const columnKey = table ? table.columns.map(c => c.name).join(',') : '';
+  // App hands over a fresh table object on most renders; the profile only depends on its name and columns
+  const tableRef = useRef(table);
+  tableRef.current = table;
 
-  if (!isStudentTable) return null;
+  // Profile the table once per table/engine so suggestions can use real values and cardinality
+  useEffect(() => {
+    setProfile(null);
+    const current = tableRef.current;
+    if (!tableName || !columnKey) return;
+    let cancelled = false;
+    executeQuery(profileQuery(current), engineMode).then(res => {
+      if (!cancelled) setProfile(readProfile(current, res));
+    });
+    return () => { cancelled = true; };
+  }, [tableName, columnKey, engineMode]);
 
-  const suggestions = [
-    { label: "🔍 View all student names", sql: "SELECT emp_name FROM student;" },
-    { label: "🏢 Filter by Department", sql: "SELECT * FROM student WHERE departmenit_id = 'CS';" },
-    { label: "📊 Count students per Dept", sql: "SELECT departmenit_id, COUNT(*) FROM student GROUP BY departmenit_id;" }
-  ];
+  const suggestions = buildSuggestions({ table, registry, stmt, profile });
+  if (!suggestions.length) return null;
 
   return (
     <div style={styles.container}>
-      <p style={styles.title}>💡 Curiosity Corner: Try exploring...</p>
+      <p style={styles.title}>💡 Curiosity Corner: Try exploring {table.name}...</p>
       <div style={styles.buttonGroup}>
-        {suggestions.map((item, index) => (
-          <button 
-            key={index} 
-            onClick={() => onApplySuggestion(item.sql)}
-            style={styles.button}
-          >
-            {item.label}
-          </button>
+        {suggestions.map(item => (
+          <div key={item.id} style={styles.item}>
+            <button
+              onClick={() => onApplySuggestion(item.sql)}
+              title={item.sql}
+              style={styles.button}
+            >
+              {item.label}
+            </button>
+            <span style={styles.explanation}>{item.explanation}</span>
+          </div>
         ))}
       </div>
     </div>
@@ -40,7 +57,8 @@ const styles = {
     animation: 'fadeIn 0.5s ease-in'
   },
   title: { margin: 0, fontWeight: 'bold', color: '#0056b3', fontSize: '14px' },
-  buttonGroup: { display: 'flex', gap: '10px', marginTop: '10px' },
+  buttonGroup: { display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '10px', marginTop: '10px' },
+  item: { display: 'flex', flexDirection: 'column', gap: '4px' },
   button: {
     padding: '8px 12px',
     background: '#fff',
@@ -48,8 +66,10 @@ const styles = {
     borderRadius: '20px',
     cursor: 'pointer',
     fontSize: '12px',
+    textAlign: 'left',
     transition: 'all 0.3s'
-  }
+  },
+  explanation: { fontSize: '11px', color: '#4a6785', paddingLeft: '12px' }
 };
 
-export default SmartSuggestions;
\ No newline at end of file
+export default SmartSuggestions;
@@ -0,0 +1,257 @@
+import { quoteIdentifier } from './sqlParser';
+
+// --- DATASET IMPORT (CSV / JSON → CREATE TABLE + batched INSERTs) ---
+// Everything here is pure: the importer panel reads the file, these helpers turn it into a
+// { header, rows } dataset, infer a column per field and generate the script that loads it.
+
+export const IMPORT_TYPES = ['INTEGER', 'REAL', 'TEXT', 'DATE'];
+export const INSERT_BATCH_SIZE = 100;
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+// --- 1. DECODING ---
+// UTF-16 is recognised by its BOM; anything that isn't valid UTF-8 is most likely a spreadsheet's
+// Windows-1252 export, which decodes every byte (so accented names survive instead of turning into �).
+export const decodeBytes = (bytes) => {
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, ''), encoding: 'UTF-8' };
+  } catch (e) {
+    return {
+      text: new TextDecoder('windows-1252').decode(bytes),
+      encoding: 'Windows-1252',
+      warning: 'The file is not valid UTF-8, so it was read as Windows-1252. Check accented characters in the preview.'
+    };
+  }
+};
+
+// --- 2. PARSING ---
+// The candidate that splits the first line into the most fields (outside quotes) wins.
+export const detectDelimiter = (text) => {
+  const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && ch in counts) counts[ch] += 1;
+  }
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+};
+
+// RFC 4180: quoted fields may contain the delimiter, line breaks and doubled quotes ("").
+// → { rows: string[][], warnings }; blank lines are skipped.
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  const warnings = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field.trim() === '') {
+      // Opening quote, possibly after spaces: 1, "Smith, J"
+      quoted = true;
+      field = '';
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += ch;
+    }
+    i += 1;
+  }
+  if (quoted) warnings.push('A quoted field is never closed; everything after its opening quote was read as one value.');
+  if (field !== '' || row.length) endRow();
+  return { rows, warnings };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects/arrays are kept as JSON text; booleans become 1/0 like SQLite stores them.
+const flattenJsonValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Accepts [{...}, ...], [[header...], [row...], ...] or { "anything": [ ...one of those... ] }.
+// → { header, rows, warnings }
+export const parseJson = (text) => {
+  let data = JSON.parse(text);
+  if (isPlainObject(data)) {
+    const arrays = Object.values(data).filter(Array.isArray);
+    if (arrays.length !== 1) throw new Error('Expected an array of records, or an object holding exactly one array.');
+    data = arrays[0];
+  }
+  if (!Array.isArray(data) || !data.length) throw new Error('The JSON file contains no records.');
+
+  if (data.every(Array.isArray)) {
+    const [header, ...rows] = data;
+    return { header: header.map(String), rows: rows.map(r => r.map(flattenJsonValue)), warnings: [] };
+  }
+  const records = data.filter(isPlainObject);
+  // Fields are the union of every record's keys, in first-seen order
+  const header = [];
+  records.forEach(record => Object.keys(record).forEach(key => { if (!header.includes(key)) header.push(key); }));
+  const warnings = records.length < data.length ? [`${data.length - records.length} item(s) that are not objects were skipped.`] : [];
+  return { header, rows: records.map(record => header.map(key => flattenJsonValue(record[key]))), warnings };
+};
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// A first row with no numbers and no blanks, whose values are all different, is a header.
+export const looksLikeHeader = (rows) => {
+  if (rows.length < 2) return true;
+  const first = rows[0].map(v => v.trim());
+  return first.every(v => v !== '' && !NUMBER.test(v)) && new Set(first).size === first.length;
+};
+
+const fileFormat = (filename, text) => {
+  if (/\.json$/i.test(filename)) return 'json';
+  if (/\.(csv|tsv|txt)$/i.test(filename)) return 'csv';
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+// Text of a CSV/JSON file → { format, hasHeader, header, rows, warnings }. Rows are padded/truncated to the header.
+// Throws for JSON that can't be parsed; the importer shows the message.
+export const parseDataset = (text, filename = '', { hasHeader } = {}) => {
+  const format = fileFormat(filename, text);
+  let header;
+  let rows;
+  let warnings;
+  let withHeader = true;
+  if (format === 'json') {
+    ({ header, rows, warnings } = parseJson(text));
+  } else {
+    const parsed = parseCsv(text);
+    warnings = parsed.warnings;
+    withHeader = hasHeader === undefined ? looksLikeHeader(parsed.rows) : hasHeader;
+    const width = Math.max(0, ...parsed.rows.map(r => r.length));
+    header = withHeader && parsed.rows.length ? parsed.rows[0] : Array.from({ length: width }, (_, i) => `column_${i + 1}`);
+    rows = withHeader ? parsed.rows.slice(1) : parsed.rows;
+  }
+  const ragged = rows.filter(r => r.length !== header.length).length;
+  if (ragged) warnings = [...warnings, `${ragged} row(s) had a different number of fields than the header and were padded or cut to fit.`];
+  rows = rows.map(r => header.map((_, i) => (r[i] === undefined ? null : r[i])));
+  return { format, hasHeader: withHeader, header, rows, warnings };
+};
+
+// --- 3. COLUMN INFERENCE ---
+const INTEGER = /^[-+]?\d+$/;
+const LEADING_ZERO = /^[-+]?0\d/;
+const DATE = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// "Hire Date" → hire_date, "Prénom" → prenom, "2019" → c_2019; blanks become column_N
+export const toIdentifier = (name, index = 0) => {
+  const base = String(name || '').trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!base) return `column_${index + 1}`;
+  return /^\d/.test(base) ? `c_${base}` : base;
+};
+
+// Numbers with leading zeros (zip codes, phone numbers) stay TEXT so the zeros survive.
+export const inferType = (values) => {
+  const present = values.filter(v => !isEmpty(v)).map(v => String(v).trim());
+  if (!present.length) return 'TEXT';
+  if (present.some(v => LEADING_ZERO.test(v))) return 'TEXT';
+  if (present.every(v => INTEGER.test(v))) return 'INTEGER';
+  if (present.every(v => NUMBER.test(v))) return 'REAL';
+  if (present.every(v => DATE.test(v) && !Number.isNaN(Date.parse(v.slice(0, 10))))) return 'DATE';
+  return 'TEXT';
+};
+
+// → [{ source, name, type, notNull, include }]; source is the field's index in each row
+export const inferColumns = (header, rows) => {
+  const used = new Set();
+  return header.map((field, source) => {
+    let name = toIdentifier(field, source);
+    for (let n = 2; used.has(name); n += 1) name = `${toIdentifier(field, source)}_${n}`;
+    used.add(name);
+    const values = rows.map(r => r[source]);
+    return { source, name, type: inferType(values), notNull: rows.length > 0 && values.every(v => !isEmpty(v)), include: true };
+  });
+};
+
+// File name → table name: "Sales Q1 (2024).csv" → sales_q1_2024
+export const tableNameFromFile = (filename) => {
+  const base = filename.replace(/\.[^.]+$/, '');
+  return /[a-z0-9]/i.test(base) ? toIdentifier(base) : 'imported_data';
+};
+
+// The registry entry for an imported table (same shape as fetchSchema's tables), so lookups
+// know about it as soon as the import has run, without waiting for a schema refresh.
+export const importedTable = (table, columns) => ({
+  name: table.trim(),
+  columns: columns.filter(c => c.include).map(c => ({ name: c.name.trim(), type: c.type, primaryKey: false, notNull: c.notNull })),
+  primaryKey: [],
+  foreignKeys: []
+});
+
+// --- 4. SQL GENERATION ---
+// Raw field → the value stored for a column type (blank → NULL).
+export const convertValue = (value, type) => {
+  if (isEmpty(value)) return null;
+  if ((type === 'INTEGER' || type === 'REAL') && NUMBER.test(String(value).trim())) return Number(value);
+  return typeof value === 'string' ? value : String(value);
+};
+
+const literal = (value) => {
+  if (value === null) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  return `'${value.replace(/'/g, "''")}'`;
+};
+
+// Rows as they will be stored, for the preview grid: [[...included column values]]
+export const convertRows = (columns, rows) => {
+  const included = columns.filter(c => c.include);
+  return rows.map(r => included.map(c => convertValue(r[c.source], c.type)));
+};
+
+// → { sql, statements: number, errors } — errors list NOT NULL columns that still contain blanks
+// and duplicate names, so the importer can refuse to generate a script that would fail.
+export const buildImportSql = ({ table, columns, rows, replace = false, batchSize = INSERT_BATCH_SIZE }) => {
+  const included = columns.filter(c => c.include);
+  const errors = [];
+  if (!table.trim()) errors.push('Give the table a name.');
+  if (!included.length) errors.push('Include at least one column.');
+  const names = included.map(c => c.name.trim().toLowerCase());
+  included.forEach((c, i) => {
+    if (!c.name.trim()) errors.push(`Column #${c.source + 1} needs a name.`);
+    else if (names.indexOf(names[i]) !== i) errors.push(`The column name "${c.name}" is used twice.`);
+    if (c.notNull && rows.some(r => isEmpty(r[c.source]))) errors.push(`${c.name} is NOT NULL but some rows leave it blank.`);
+  });
+  if (errors.length) return { sql: '', statements: 0, errors };
+
+  const tableName = quoteIdentifier(table.trim());
+  const lines = [];
+  if (replace) lines.push(`DROP TABLE IF EXISTS ${tableName};`);
+  lines.push(`CREATE TABLE ${tableName} (\n${included.map(c => `  ${quoteIdentifier(c.name.trim())} ${c.type}${c.notNull ? ' NOT NULL' : ''}`).join(',\n')}\n);`);
+
+  const values = convertRows(columns, rows);
+  const columnList = included.map(c => quoteIdentifier(c.name.trim())).join(', ');
+  for (let start = 0; start < values.length; start += batchSize) {
+    const batch = values.slice(start, start + batchSize).map(row => `  (${row.map(literal).join(', ')})`);
+    lines.push(`INSERT INTO ${tableName} (${columnList}) VALUES\n${batch.join(',\n')};`);
+  }
+  return { sql: lines.join('\n'), statements: lines.length, errors };
+};
@@ -0,0 +1,57 @@
+/** @jest-environment node */
+import initSqlJs from 'sql.js';
+import {
+  buildImportSql, decodeBytes, importedTable, inferColumns, parseCsv, parseDataset, tableNameFromFile
+} from './datasetImport';
+
+test('parses quoted CSV fields with embedded delimiters, quotes and line breaks', () => {
+  const csv = 'id,name,notes\r\n1,"Smith, J","said ""hi""\nthen left"\r\n\r\n2, "Lee",\n';
+  expect(parseCsv(csv).rows).toEqual([
+    ['id', 'name', 'notes'],
+    ['1', 'Smith, J', 'said "hi"\nthen left'],
+    ['2', 'Lee', '']
+  ]);
+  expect(parseCsv('a;b\n1;2').rows).toEqual([['a', 'b'], ['1', '2']]);
+  expect(parseCsv('a,"b\n1,2').warnings[0]).toMatch(/never closed/);
+});
+
+test('infers names, types and nullability from headers and values', () => {
+  const { header, rows, hasHeader } = parseDataset('Emp ID,Full Name,Salary,Hire Date,Zip,Order\n1,Ann,1200.5,2021-03-01,02134,\n2,Bo,900,2020-11-15,10001,x\n', 'staff.csv');
+  expect(hasHeader).toBe(true);
+  expect(inferColumns(header, rows).map(c => [c.name, c.type, c.notNull])).toEqual([
+    ['emp_id', 'INTEGER', true], ['full_name', 'TEXT', true], ['salary', 'REAL', true],
+    ['hire_date', 'DATE', true], ['zip', 'TEXT', true], ['order', 'TEXT', false]
+  ]);
+  // No header row: numbers in the first line mean it's data
+  expect(parseDataset('1,2\n3,4', 'x.csv').header).toEqual(['column_1', 'column_2']);
+  expect(tableNameFromFile('Sales Q1 (2024).csv')).toBe('sales_q1_2024');
+
+  const json = parseDataset('{"rows": [{"a": 1, "tags": ["x"]}, {"a": 2, "b": true}]}', 'data.json');
+  expect(json.header).toEqual(['a', 'tags', 'b']);
+  expect(json.rows).toEqual([[1, '["x"]', null], [2, null, 1]]);
+});
+
+test('falls back to Windows-1252 for files that are not UTF-8', () => {
+  expect(decodeBytes(new Uint8Array([0xEF, 0xBB, 0xBF, 0x61]))).toEqual({ text: 'a', encoding: 'UTF-8' });
+  const latin = decodeBytes(new Uint8Array([0x43, 0x61, 0x66, 0xE9]));
+  expect(latin.text).toBe('Café');
+  expect(latin.encoding).toBe('Windows-1252');
+});
+
+test('generates a CREATE TABLE and batched INSERTs that load into SQLite', async () => {
+  const { header, rows } = parseDataset('id,name,order\n1,"O\'Neil, P",3\n2,Bo,\n3,Cy,1\n', 'people.csv');
+  const columns = inferColumns(header, rows);
+  expect(buildImportSql({ table: 'people', columns: columns.map(c => ({ ...c, notNull: true })), rows }).errors[0]).toMatch(/order is NOT NULL/);
+
+  const { sql, statements, errors } = buildImportSql({ table: 'people', columns, rows, replace: true, batchSize: 2 });
+  expect(errors).toEqual([]);
+  expect(statements).toBe(4);
+  expect(sql).toMatch(/^DROP TABLE IF EXISTS people;\nCREATE TABLE people \(\n {2}id INTEGER NOT NULL,\n {2}name TEXT NOT NULL,\n {2}"order" INTEGER\n\);/);
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(sql);
+  expect(db.exec('SELECT id, name, "order" FROM people ORDER BY id')[0].values).toEqual([[1, "O'Neil, P", 3], [2, 'Bo', null], [3, 'Cy', 1]]);
+  db.close();
+  expect(importedTable('people', columns).columns[2]).toEqual({ name: 'order', type: 'INTEGER', primaryKey: false, notNull: false });
+});
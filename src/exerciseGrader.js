@@ -0,0 +1,102 @@
+import { runInScratch } from './sqlEngine';
+
+// --- 1. RESULT COMPARISON ---
+// Numbers are compared after rounding so 2.5 from AVG() matches a hand-written 2.5000000001.
+const normalizeValue = (value) => (typeof value === 'number' ? Math.round(value * 1e9) / 1e9 : value);
+const rowKey = (row) => JSON.stringify(row.map(normalizeValue));
+
+// expected/actual: { columns, data }. Returns { passed, reasons, missing, extra }.
+export const compareResults = (expected, actual, { orderMatters = false, columnNamesMatter = false } = {}) => {
+  const reasons = [];
+
+  if (expected.columns.length !== actual.columns.length) {
+    reasons.push(`Expected ${expected.columns.length} column(s) but your query returned ${actual.columns.length}.`);
+  } else if (columnNamesMatter) {
+    const wrong = expected.columns.filter((name, i) => name.toLowerCase() !== actual.columns[i].toLowerCase());
+    if (wrong.length) reasons.push(`Columns should be named ${expected.columns.join(', ')} (you have ${actual.columns.join(', ')}).`);
+  }
+
+  // Multiset difference so duplicate rows have to appear the right number of times
+  const remaining = {};
+  actual.data.forEach(row => {
+    const key = rowKey(row);
+    remaining[key] = (remaining[key] || 0) + 1;
+  });
+  const missing = expected.data.filter(row => {
+    const key = rowKey(row);
+    if (remaining[key]) {
+      remaining[key]--;
+      return false;
+    }
+    return true;
+  });
+  const leftover = { ...remaining };
+  const extra = actual.data.filter(row => {
+    const key = rowKey(row);
+    if (leftover[key]) {
+      leftover[key]--;
+      return true;
+    }
+    return false;
+  });
+
+  if (missing.length || extra.length) {
+    reasons.push(`${missing.length} expected row(s) missing and ${extra.length} unexpected row(s).`);
+  } else if (orderMatters && expected.data.some((row, i) => rowKey(row) !== rowKey(actual.data[i]))) {
+    reasons.push('All the right rows, but not in the required order.');
+  }
+
+  return { passed: reasons.length === 0, reasons, missing, extra };
+};
+
+// --- 2. GRADING ---
+// Runs the reference and the student's SQL against separate fresh copies of the exercise seed.
+export const gradeExercise = async (exercise, studentSql) => {
+  const [expected, actual] = await Promise.all([
+    runInScratch(exercise.seed, exercise.solution, exercise.checkQuery),
+    runInScratch(exercise.seed, studentSql, exercise.checkQuery)
+  ]);
+  if (expected.status !== 'success') {
+    return { passed: false, reasons: [`The reference solution failed: ${expected.message}`], missing: [], extra: [], expected: null };
+  }
+  if (actual.status !== 'success') {
+    return { passed: false, reasons: [`Your query failed: ${actual.message}`], missing: [], extra: [], expected };
+  }
+  return { ...compareResults(expected, actual, exercise.grading), expected, actual };
+};
+
+// --- 3. PROGRESS (Persisted per browser) ---
+const PROGRESS_KEY = 'sqlSmartLab.exerciseProgress';
+
+export const loadProgress = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const saveProgress = (progress) => {
+  try { localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress)); } catch (e) { /* Storage full or disabled */ }
+  return progress;
+};
+
+// Entry per exercise: { attempts, passed, hintsShown, lastQuery, passedAt }
+export const recordAttempt = (progress, exerciseId, { passed, query }) => {
+  const entry = progress[exerciseId] || { attempts: 0, passed: false, hintsShown: 0 };
+  return saveProgress({
+    ...progress,
+    [exerciseId]: {
+      ...entry,
+      attempts: entry.attempts + 1,
+      passed: entry.passed || passed,
+      lastQuery: query,
+      passedAt: passed && !entry.passed ? new Date().toISOString() : entry.passedAt
+    }
+  });
+};
+
+export const recordHint = (progress, exerciseId, hintsShown) => {
+  const entry = progress[exerciseId] || { attempts: 0, passed: false, hintsShown: 0 };
+  return saveProgress({ ...progress, [exerciseId]: { ...entry, hintsShown: Math.max(entry.hintsShown, hintsShown) } });
+};
@@ -0,0 +1,62 @@
+/** @jest-environment node */
+import { compareResults, gradeExercise } from './exerciseGrader';
+import { EXERCISE_PACKS } from './exercisePacks';
+import { executeQuery, ENGINE_MODES } from './sqlEngine';
+
+// Node has no bundler: point sql.js at its wasm file on disk (same bytes as the browser build)
+jest.mock('sql.js/dist/sql-wasm-browser.wasm', () => require.resolve('sql.js/dist/sql-wasm.wasm'));
+
+const mockStorage = new Map();
+global.localStorage = {
+  getItem: (key) => (mockStorage.has(key) ? mockStorage.get(key) : null),
+  setItem: (key, value) => mockStorage.set(key, String(value)),
+  removeItem: (key) => mockStorage.delete(key)
+};
+
+const exercises = Object.fromEntries(EXERCISE_PACKS.flatMap(pack => pack.exercises).map(e => [e.id, e]));
+
+const expected = { columns: ['emp_name', 'n'], data: [['Aarav', 2], ['Diya', 1], ['Diya', 1]] };
+
+test('passes the same rows in any order by default', () => {
+  const actual = { columns: ['name', 'total'], data: [['Diya', 1], ['Aarav', 2.0000000000001], ['Diya', 1]] };
+  expect(compareResults(expected, actual)).toEqual({ passed: true, reasons: [], missing: [], extra: [] });
+});
+
+test('reports missing and extra rows, counting duplicates', () => {
+  const actual = { columns: ['emp_name', 'n'], data: [['Aarav', 2], ['Diya', 1], ['Kabir', 5]] };
+  const result = compareResults(expected, actual);
+  expect(result.passed).toBe(false);
+  expect(result.missing).toEqual([['Diya', 1]]);
+  expect(result.extra).toEqual([['Kabir', 5]]);
+});
+
+test('enforces row order and column names when asked', () => {
+  const actual = { columns: ['emp_name', 'count'], data: [['Diya', 1], ['Diya', 1], ['Aarav', 2]] };
+  const result = compareResults(expected, actual, { orderMatters: true, columnNamesMatter: true });
+  expect(result.reasons).toEqual([
+    'Columns should be named emp_name, n (you have emp_name, count).',
+    'All the right rows, but not in the required order.'
+  ]);
+});
+
+test('grades every reference solution as correct against its own seed', async () => {
+  for (const exercise of Object.values(exercises)) {
+    expect(await gradeExercise(exercise, exercise.solution)).toMatchObject({ passed: true, reasons: [] });
+  }
+});
+
+test('grades wrong and failing answers without touching the sandbox', async () => {
+  const wrong = await gradeExercise(exercises['cs-students'], 'SELECT emp_id, emp_name FROM student');
+  expect(wrong.passed).toBe(false);
+  expect(wrong.extra.length).toBeGreaterThan(0);
+
+  const broken = await gradeExercise(exercises['cs-students'], 'SELECT nope FROM student');
+  expect(broken).toMatchObject({ passed: false, reasons: ['Your query failed: no such column: nope'] });
+
+  // Data-changing exercises compare the checkQuery result after each copy ran its SQL
+  const course = exercises['add-databases-course'];
+  expect((await gradeExercise(course, "INSERT INTO courses VALUES (106, 'Databases', 3)")).passed).toBe(false);
+  expect((await gradeExercise(course, "INSERT INTO courses (course_title, course_id, credits) VALUES ('Databases', 106, 4)")).passed).toBe(true);
+  const sandbox = await executeQuery('SELECT COUNT(*) FROM courses WHERE course_id = 106', ENGINE_MODES.LOCAL);
+  expect(sandbox.data).toEqual([[0]]);
+});
@@ -0,0 +1,139 @@
+import { SEED_SQL } from './seedData';
+
+// --- EXERCISE PACKS ---
+// Each exercise: { id, title, prompt, seed, solution, checkQuery?, grading: { orderMatters, columnNamesMatter }, hints }
+// - seed: SQL that builds the data both queries run against (a fresh copy for each)
+// - checkQuery: for INSERT/UPDATE/DELETE exercises, the SELECT whose result is compared after the change
+// - hints: revealed one tier at a time, vaguest first
+
+const DEFAULT_GRADING = { orderMatters: false, columnNamesMatter: false };
+
+const exercise = (definition) => ({
+  seed: SEED_SQL,
+  checkQuery: null,
+  ...definition,
+  grading: { ...DEFAULT_GRADING, ...definition.grading }
+});
+
+export const EXERCISE_PACKS = [
+  {
+    id: 'campus-basics',
+    title: 'Campus Basics',
+    description: 'Warm-up questions on the student, department and courses tables.',
+    exercises: [
+      exercise({
+        id: 'all-student-names',
+        title: 'Roll call',
+        prompt: 'List the name of every student.',
+        solution: 'SELECT emp_name FROM student;',
+        hints: [
+          'You only need one column from one table.',
+          'Names live in student.emp_name.',
+          'SELECT emp_name FROM ...'
+        ]
+      }),
+      exercise({
+        id: 'cs-students',
+        title: 'Computer Science only',
+        prompt: "Show the id and name of every student in the 'CS' department.",
+        solution: "SELECT emp_id, emp_name FROM student WHERE departmenit_id = 'CS';",
+        hints: [
+          'Filter rows with a WHERE clause.',
+          "The department code is stored in student.departmenit_id (note the spelling) and CS is a text value, so it needs quotes.",
+          "... WHERE departmenit_id = 'CS'"
+        ]
+      }),
+      exercise({
+        id: 'unassigned-students',
+        title: 'Lost students',
+        prompt: 'Find the names of students who have not been assigned to any department.',
+        solution: 'SELECT emp_name FROM student WHERE departmenit_id IS NULL;',
+        hints: [
+          'A missing department is stored as NULL.',
+          'Nothing is ever "= NULL" in SQL, not even NULL itself.',
+          '... WHERE departmenit_id IS NULL'
+        ]
+      }),
+      exercise({
+        id: 'courses-by-credits',
+        title: 'Heaviest courses first',
+        prompt: 'List every course title with its credits, highest credits first. Break ties alphabetically by title.',
+        solution: 'SELECT course_title, credits FROM courses ORDER BY credits DESC, course_title;',
+        grading: { orderMatters: true },
+        hints: [
+          'Row order matters for this one: you need ORDER BY.',
+          'ORDER BY accepts several columns; later ones only break ties in earlier ones.',
+          'ORDER BY credits DESC, course_title'
+        ]
+      }),
+      exercise({
+        id: 'total-courses',
+        title: 'Course catalogue size',
+        prompt: 'How many courses are there? Return a single column named total_courses.',
+        solution: 'SELECT COUNT(*) AS total_courses FROM courses;',
+        grading: { columnNamesMatter: true },
+        hints: [
+          'An aggregate function turns many rows into one.',
+          'Rename a result column with AS.',
+          'SELECT COUNT(*) AS total_courses FROM ...'
+        ]
+      })
+    ]
+  },
+  {
+    id: 'joins-and-groups',
+    title: 'Joins & Groups',
+    description: 'Combine tables and summarise them.',
+    exercises: [
+      exercise({
+        id: 'students-per-department',
+        title: 'Head count',
+        prompt: 'For each department code that has students, show the code and how many students it has.',
+        solution: 'SELECT departmenit_id, COUNT(*) FROM student WHERE departmenit_id IS NOT NULL GROUP BY departmenit_id;',
+        hints: [
+          'One output row per department means GROUP BY.',
+          'Students without a department form a NULL group — leave them out.',
+          'SELECT departmenit_id, COUNT(*) ... GROUP BY departmenit_id'
+        ]
+      }),
+      exercise({
+        id: 'student-department-names',
+        title: 'Who studies where',
+        prompt: "Show each student's name next to the full name of their department. Skip students without a department.",
+        solution: 'SELECT s.emp_name, d.dept_name FROM student s JOIN department d ON s.departmenit_id = d.dept_id;',
+        hints: [
+          'The department name lives in a different table: you need a JOIN.',
+          'student.departmenit_id points at department.dept_id.',
+          'FROM student s JOIN department d ON s.departmenit_id = d.dept_id'
+        ]
+      }),
+      exercise({
+        id: 'empty-departments',
+        title: 'Empty buildings',
+        prompt: 'Which departments have no students at all? Show their names.',
+        seed: `${SEED_SQL}\nINSERT INTO department (dept_id, dept_name, location) VALUES ('PH', 'Physics', 'Block D');`,
+        solution: 'SELECT dept_name FROM department WHERE dept_id NOT IN (SELECT departmenit_id FROM student WHERE departmenit_id IS NOT NULL);',
+        hints: [
+          'Look for departments whose code never appears in student.',
+          'A subquery with NOT IN, or a LEFT JOIN that keeps unmatched rows, both work.',
+          'Careful: NOT IN against a list containing NULL matches nothing, so filter the NULLs out.'
+        ]
+      }),
+      exercise({
+        id: 'add-databases-course',
+        title: 'New course',
+        prompt: "Add a course with id 106 called 'Databases' worth 4 credits.",
+        solution: "INSERT INTO courses (course_id, course_title, credits) VALUES (106, 'Databases', 4);",
+        checkQuery: 'SELECT course_id, course_title, credits FROM courses ORDER BY course_id;',
+        grading: { orderMatters: true, columnNamesMatter: true },
+        hints: [
+          'This one changes data instead of reading it.',
+          'INSERT INTO table (columns...) VALUES (values...)',
+          'Text values need single quotes; numbers do not.'
+        ]
+      })
+    ]
+  }
+];
+
+export const findExercise = (id) => EXERCISE_PACKS.flatMap(pack => pack.exercises).find(ex => ex.id === id) || null;
@@ -0,0 +1,152 @@
+import { splitStatements, tokenize } from './sqlParser';
+
+// --- QUERY HISTORY, SNIPPET LIBRARY & DRAFT (Persisted per browser) ---
+// History entry: { id, query, status: success|error|partial|cleared, rowCount, error, engine, at }
+// Snippet: { id, name, folder, query, savedAt }
+
+const HISTORY_KEY = 'sqlSmartLab.history';
+const SNIPPETS_KEY = 'sqlSmartLab.snippets';
+const DRAFT_KEY = 'sqlSmartLab.draft';
+const MAX_HISTORY = 200;
+export const DEFAULT_FOLDER = 'Unsorted';
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch (e) { /* Storage full or disabled: keep it for this session */ }
+  return value;
+};
+
+const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+// --- 1. HISTORY ---
+export const loadHistory = () => readJson(HISTORY_KEY, []);
+
+// Newest first, capped so localStorage doesn't fill up.
+export const recordHistory = (history, entry) => writeJson(HISTORY_KEY, [
+  { id: newId(), at: new Date().toISOString(), rowCount: null, error: null, ...entry },
+  ...history
+].slice(0, MAX_HISTORY));
+
+export const clearHistory = () => writeJson(HISTORY_KEY, []);
+
+// Result cards of one run → { status, rowCount, error } for its history entry.
+export const summarizeRun = (cards) => {
+  const failed = cards.find(c => c.status === 'error');
+  const succeeded = cards.filter(c => c.status === 'success');
+  const rowCount = succeeded.reduce((total, card) => {
+    if (card.columns && card.columns.length) return total + card.data.length;
+    const affected = (card.message || '').match(/^(\d+) row/);
+    return total + (affected ? Number(affected[1]) : 0);
+  }, 0);
+  return {
+    status: !failed ? 'success' : succeeded.length ? 'partial' : 'error',
+    rowCount,
+    error: failed ? failed.message || 'Execution Failed' : null
+  };
+};
+
+export const searchHistory = (history, text = '', status = 'all') => {
+  const needle = text.trim().toLowerCase();
+  return history.filter(entry => (status === 'all' || entry.status === status)
+    && (!needle || entry.query.toLowerCase().includes(needle) || (entry.error || '').toLowerCase().includes(needle)));
+};
+
+// --- 2. SNIPPETS ---
+export const loadSnippets = () => readJson(SNIPPETS_KEY, []);
+
+export const saveSnippet = (snippets, { name, folder, query }) => writeJson(SNIPPETS_KEY, [
+  ...snippets,
+  { id: newId(), name: name.trim() || 'Untitled', folder: (folder || '').trim() || DEFAULT_FOLDER, query, savedAt: new Date().toISOString() }
+]);
+
+export const deleteSnippet = (snippets, id) => writeJson(SNIPPETS_KEY, snippets.filter(s => s.id !== id));
+
+// → [{ folder, snippets }] sorted by folder, then snippet name
+export const groupByFolder = (snippets) => {
+  const folders = {};
+  snippets.forEach(s => { (folders[s.folder] = folders[s.folder] || []).push(s); });
+  return Object.keys(folders).sort().map(folder => ({
+    folder,
+    snippets: folders[folder].sort((a, b) => a.name.localeCompare(b.name))
+  }));
+};
+
+// --- 3. .SQL EXPORT / IMPORT ---
+// Each snippet is preceded by "-- @name:" / "-- @folder:" / "-- @saved:" comment headers,
+// so the file stays a valid script that any SQL tool can run.
+
+// Ends a snippet with ; unless it has one. After a trailing -- comment the ; goes on its own line,
+// otherwise it would be part of the comment and the statement would run on into the next snippet.
+const terminate = (query) => {
+  const text = query.trim();
+  const tokens = tokenize(text, { comments: true });
+  const code = tokens.filter(t => t.type !== 'comment');
+  if (code.length && code[code.length - 1].text === ';') return text;
+  const last = tokens[tokens.length - 1];
+  return last && last.type === 'comment' && last.text.startsWith('--') ? `${text}\n;` : `${text};`;
+};
+
+export const exportLibrary = (snippets) => [
+  '-- SQL Smart Lab snippet library',
+  `-- Exported: ${new Date().toISOString()}`,
+  ...groupByFolder(snippets).flatMap(group => group.snippets.map(s => [
+    '',
+    `-- @name: ${s.name}`,
+    `-- @folder: ${s.folder}`,
+    `-- @saved: ${s.savedAt}`,
+    terminate(s.query)
+  ].join('\n')))
+].join('\n') + '\n';
+
+const HEADER = /^--\s*@(\w+):\s*(.*)$/;
+
+// → [{ name, folder, query }]. A plain .sql file without headers becomes one snippet per statement.
+export const importLibrary = (text) => {
+  const snippets = [];
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    const header = line.match(HEADER);
+    if (header && header[1] === 'name') {
+      current = { name: header[2].trim(), folder: DEFAULT_FOLDER, lines: [] };
+      snippets.push(current);
+    } else if (header && current && !current.lines.length) {
+      if (header[1] === 'folder') current.folder = header[2].trim() || DEFAULT_FOLDER;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  if (snippets.length) {
+    return snippets
+      .map(s => ({ name: s.name, folder: s.folder, query: s.lines.join('\n').trim() }))
+      .filter(s => s.query);
+  }
+  return splitStatements(text).map((stmt, i) => ({ name: `Imported ${i + 1}`, folder: 'Imported', query: `${stmt.text};` }));
+};
+
+// Adds imported snippets, skipping ones already in the library (same folder, name and SQL).
+export const mergeSnippets = (snippets, imported) => imported.reduce((library, item) => (
+  library.some(s => s.folder === item.folder && s.name === item.name && s.query.trim() === item.query.trim())
+    ? library
+    : saveSnippet(library, item)
+), snippets);
+
+// --- 4. DRAFT AUTOSAVE ---
+export const loadDraft = () => {
+  try {
+    return localStorage.getItem(DRAFT_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+};
+
+export const saveDraft = (query) => {
+  try { localStorage.setItem(DRAFT_KEY, query); } catch (e) { /* Storage full or disabled */ }
+};
@@ -0,0 +1,56 @@
+import { exportLibrary, importLibrary, loadDraft, loadHistory, mergeSnippets, recordHistory, saveDraft, searchHistory, summarizeRun } from './queryLibrary';
+
+beforeEach(() => localStorage.clear());
+
+test('records runs newest first with status, row count and error', () => {
+  const cards = [
+    { status: 'success', columns: ['a'], data: [[1], [2]] },
+    { status: 'success', columns: [], data: [], message: '3 row(s) affected.' },
+    { status: 'error', message: 'no such table: nope' }
+  ];
+  expect(summarizeRun(cards)).toEqual({ status: 'partial', rowCount: 5, error: 'no such table: nope' });
+
+  let history = recordHistory([], { query: 'SELECT 1', ...summarizeRun(cards.slice(0, 1)) });
+  history = recordHistory(history, { query: 'SELECT * FROM nope', ...summarizeRun(cards.slice(2)) });
+  expect(loadHistory().map(h => [h.query, h.status, h.rowCount])).toEqual([['SELECT * FROM nope', 'error', 0], ['SELECT 1', 'success', 2]]);
+  expect(searchHistory(history, 'NOPE').length).toBe(1);
+  expect(searchHistory(history, '', 'success')[0].query).toBe('SELECT 1');
+});
+
+test('round-trips the snippet library through a .sql file with comment headers', () => {
+  const library = mergeSnippets([], [
+    { name: 'All students', folder: 'Basics', query: 'SELECT * FROM student' },
+    { name: 'Per dept', folder: 'Groups', query: 'SELECT departmenit_id, COUNT(*)\nFROM student\nGROUP BY departmenit_id;' }
+  ]);
+  const file = exportLibrary(library);
+  expect(file).toContain('-- @name: All students\n-- @folder: Basics\n');
+  expect(file).toContain('SELECT * FROM student;\n');
+
+  const imported = importLibrary(file);
+  expect(imported).toEqual([
+    { name: 'All students', folder: 'Basics', query: 'SELECT * FROM student;' },
+    { name: 'Per dept', folder: 'Groups', query: 'SELECT departmenit_id, COUNT(*)\nFROM student\nGROUP BY departmenit_id;' }
+  ]);
+  expect(mergeSnippets(library, imported.slice(1))).toHaveLength(2);
+});
+
+test('keeps the terminator out of a trailing -- comment', () => {
+  const library = [
+    { id: 1, name: 'Commented', folder: 'Basics', query: 'SELECT emp_name FROM student -- names only', savedAt: 't' },
+    { id: 2, name: 'Done', folder: 'Basics', query: 'SELECT 1; -- already ended', savedAt: 't' },
+    { id: 3, name: 'Next', folder: 'Basics', query: 'SELECT 2', savedAt: 't' }
+  ];
+  const file = exportLibrary(library);
+  expect(file).toContain('SELECT emp_name FROM student -- names only\n;\n');
+  expect(file).toContain('SELECT 1; -- already ended\n');
+  // Run as a plain script, the file still holds three separate statements
+  expect(importLibrary(file.replace(/^-- @.*$/gm, '')).map(s => s.query)).toEqual([
+    'SELECT emp_name FROM student;', 'SELECT 1;', 'SELECT 2;'
+  ]);
+});
+
+test('imports a plain .sql file as one snippet per statement, and keeps the draft', () => {
+  expect(importLibrary('SELECT 1;\n-- note\nSELECT 2;').map(s => s.query)).toEqual(['SELECT 1;', 'SELECT 2;']);
+  saveDraft('SELECT * FROM courses');
+  expect(loadDraft()).toBe('SELECT * FROM courses');
+});
@@ -0,0 +1,234 @@
+import { splitList } from './sqlParser';
+
+// --- LOGICAL EXECUTION STAGES ---
+// Splits a parsed SELECT into FROM → WHERE → GROUP BY → HAVING → SELECT → DISTINCT → ORDER BY → LIMIT.
+// Every stage is a real query built from the student's own clause text; columns named __* are
+// bookkeeping (keep flags, group keys) that annotateStage() turns into row highlights.
+
+const AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'GROUP_CONCAT', 'TOTAL'];
+const KEEP = '__keep';
+const GROUP_PREFIX = '__g';
+
+const usesAggregate = (stmt) => stmt.columns.some(col => col.tokens.some((tok, i) => (
+  AGGREGATES.includes(tok.upper) && col.tokens[i + 1]?.text === '(' && !col.tokens.some(t => t.upper === 'OVER')
+)));
+
+const sliceOf = (stmt, from, to) => stmt.text.slice(from - stmt.start, to - stmt.start);
+
+// SQLite lets GROUP BY and HAVING name output columns (SELECT x AS d ... GROUP BY d). Input columns win
+// over aliases, so an alias that is also used as a column (UPPER(name) AS name) is left alone.
+const selectAliases = (stmt) => {
+  const columnNames = new Set(stmt.columns.flatMap(col => col.tokens)
+    .filter(tok => tok.type === 'identifier')
+    .map(tok => tok.value.toLowerCase()));
+  return stmt.columns.reduce((map, col) => {
+    if (col.alias && !columnNames.has(col.alias.toLowerCase())) map[col.alias.toLowerCase()] = col.expr;
+    return map;
+  }, {});
+};
+
+// Clause text with every bare alias replaced by its (expression), so stages without the select list still run
+const resolveAliases = (stmt, tokens, aliases) => {
+  let text = '';
+  let pos = tokens[0].start;
+  tokens.forEach((tok, i) => {
+    const expr = tok.type === 'identifier' && aliases[tok.value.toLowerCase()];
+    if (!expr || tokens[i - 1]?.text === '.' || ['(', '.'].includes(tokens[i + 1]?.text)) return;
+    text += `${sliceOf(stmt, pos, tok.start)}(${expr})`;
+    pos = tok.end;
+  });
+  return text + sliceOf(stmt, pos, tokens[tokens.length - 1].end);
+};
+
+// GROUP BY 2 means "the second output column" and GROUP BY d an aliased one; stages need the expression itself.
+const groupExpressions = (stmt, aliases) => splitList(stmt.clauses.groupBy.tokens).map(item => {
+  const text = sliceOf(stmt, item[0].start, item[item.length - 1].end);
+  const ordinal = /^\d+$/.test(text) ? stmt.columns[Number(text) - 1] : null;
+  return ordinal ? ordinal.expr : resolveAliases(stmt, item, aliases);
+});
+
+// "n", "n OFFSET m" or "m, n" → { count, offset }; null when not plain numbers.
+export const parseLimit = (text) => {
+  const plain = text.trim().match(/^(\d+)(?:\s+OFFSET\s+(\d+))?$/i);
+  if (plain) return { count: Number(plain[1]), offset: Number(plain[2] || 0) };
+  const comma = text.trim().match(/^(\d+)\s*,\s*(\d+)$/);
+  return comma ? { count: Number(comma[2]), offset: Number(comma[1]) } : null;
+};
+
+// → [{ key, title, explanation, sql }] or { error } when the statement can't be staged.
+export const buildStages = (stmt) => {
+  if (!stmt || stmt.type !== 'SELECT' || !stmt.clauses || !stmt.clauses.select) return { error: 'Visualize works on a single SELECT query.' };
+  if (stmt.compound) return { error: 'UNION / INTERSECT / EXCEPT queries can\'t be split into stages yet. Visualize each SELECT on its own.' };
+  const { clauses } = stmt;
+  const text = (key) => (clauses[key] ? clauses[key].text : '');
+  const prefix = stmt.text.slice(0, clauses.select.keywordStart - stmt.start);
+  const selectList = stmt.columns.map(col => col.text).join(', ');
+  const distinct = stmt.distinct ? 'DISTINCT ' : '';
+
+  if (!clauses.from) {
+    return [{ key: 'select', title: 'SELECT', explanation: 'With no FROM there is nothing to filter or group: SELECT just evaluates its expressions once.', sql: `${stmt.text};` }];
+  }
+
+  const from = ` FROM ${text('from')}`;
+  const where = clauses.where ? ` WHERE ${text('where')}` : '';
+  const aliases = selectAliases(stmt);
+  const groups = clauses.groupBy ? groupExpressions(stmt, aliases) : [];
+  const groupBy = clauses.groupBy ? ` GROUP BY ${text('groupBy')}` : '';
+  const having = clauses.having ? ` HAVING ${text('having')}` : '';
+  const windowClause = clauses.window ? ` WINDOW ${text('window')}` : '';
+  const orderBy = clauses.orderBy ? ` ORDER BY ${text('orderBy')}` : '';
+  const body = `${selectList}${from}${where}${groupBy}${having}${windowClause}`;
+  const projection = `${prefix}SELECT ${distinct}${body}`;
+  // The same projection before DISTINCT is applied
+  const allRows = `${prefix}SELECT ${body};`;
+  const stages = [];
+
+  stages.push({
+    key: 'from',
+    title: stmt.tables.length > 1 ? 'FROM / JOIN' : 'FROM',
+    explanation: stmt.tables.length > 1
+      ? 'SQL starts by building one wide table: each row of the first table paired with every matching row of the joined tables.'
+      : 'SQL starts with every row of the source table. Nothing else has happened yet.',
+    sql: `${prefix}SELECT *${from};`
+  });
+
+  if (clauses.where) {
+    stages.push({
+      key: 'where',
+      title: 'WHERE',
+      explanation: 'WHERE checks each row on its own and throws away the ones where the condition is false or NULL. It runs before grouping, so it cannot use aggregates.',
+      sql: `${prefix}SELECT *, CASE WHEN (${text('where')}) THEN 1 ELSE 0 END AS ${KEEP}${from};`
+    });
+  }
+
+  if (groups.length) {
+    stages.push({
+      key: 'group',
+      title: 'GROUP BY',
+      explanation: `The surviving rows are sorted into groups that share the same ${groups.join(', ')}. Each group will become one output row.`,
+      sql: `${prefix}SELECT ${groups.map((expr, i) => `(${expr}) AS ${GROUP_PREFIX}${i}`).join(', ')}, *${from}${where} ORDER BY ${groups.join(', ')};`
+    });
+  } else if (usesAggregate(stmt)) {
+    stages.push({
+      key: 'group',
+      title: 'GROUP (whole table)',
+      explanation: 'There is no GROUP BY, but SELECT uses an aggregate, so all remaining rows form a single group and the result is one row.',
+      sql: `${prefix}SELECT 1 AS ${GROUP_PREFIX}0, *${from}${where};`
+    });
+  }
+
+  if (clauses.having && groups.length) {
+    stages.push({
+      key: 'having',
+      title: 'HAVING',
+      explanation: 'HAVING is WHERE for groups: it runs after grouping, so it can test aggregates like COUNT(*), and drops whole groups at once.',
+      sql: `${prefix}SELECT ${groups.join(', ')}, COUNT(*) AS rows_in_group, CASE WHEN (${resolveAliases(stmt, clauses.having.tokens, aliases)}) THEN 1 ELSE 0 END AS ${KEEP}${from}${where} GROUP BY ${groups.join(', ')};`
+    });
+  }
+
+  stages.push({
+    key: 'select',
+    title: 'SELECT',
+    explanation: groups.length || usesAggregate(stmt)
+      ? 'Only now does SELECT run, once per group, computing the output columns. That is why aliases defined here are not visible to WHERE or GROUP BY.'
+      : 'Only now does SELECT run, computing the output columns for each row. That is why aliases defined here are not visible to WHERE.',
+    sql: allRows
+  });
+
+  if (stmt.distinct) {
+    stages.push({
+      key: 'distinct',
+      title: 'DISTINCT',
+      explanation: 'DISTINCT compares whole output rows and keeps only the first copy of each.',
+      sql: allRows
+    });
+  }
+
+  if (clauses.orderBy) {
+    stages.push({
+      key: 'order',
+      title: 'ORDER BY',
+      explanation: 'ORDER BY sorts the finished rows. It runs after SELECT, so unlike WHERE it can use column aliases.',
+      sql: `${projection}${orderBy};`
+    });
+  }
+
+  if (clauses.limit) {
+    const limit = parseLimit(text('limit'));
+    stages.push({
+      key: 'limit',
+      title: 'LIMIT',
+      explanation: 'LIMIT runs last: it keeps the first rows of the sorted result and discards the rest.',
+      sql: limit ? `${projection}${orderBy};` : `${projection}${orderBy} LIMIT ${text('limit')};`,
+      limit
+    });
+  }
+  return stages;
+};
+
+// --- ROW ANNOTATION ---
+const rowKey = (row) => JSON.stringify(row);
+
+// Engine result (+ the previous annotated stage) → { columns, data, statuses, groups, summary }.
+// statuses[i]: kept | removed | moved; groups[i]: group number for GROUP BY stages.
+export const annotateStage = (stage, result, previous = null) => {
+  const internal = result.columns.map(name => name === KEEP || name.startsWith(GROUP_PREFIX));
+  const visibleColumns = result.columns.filter((_, i) => !internal[i]);
+  let data = result.data.map(row => row.filter((_, i) => !internal[i]));
+  let statuses = data.map(() => 'kept');
+  let groups = null;
+  let summary = `${data.length} row(s)`;
+
+  const keepIdx = result.columns.indexOf(KEEP);
+  if (keepIdx !== -1) {
+    statuses = result.data.map(row => (row[keepIdx] ? 'kept' : 'removed'));
+    const kept = statuses.filter(s => s === 'kept').length;
+    summary = `${kept} of ${data.length} ${stage.key === 'having' ? 'group(s)' : 'row(s)'} kept`;
+  }
+
+  const groupIdx = result.columns.map((name, i) => (name.startsWith(GROUP_PREFIX) ? i : -1)).filter(i => i !== -1);
+  if (groupIdx.length) {
+    const numbers = {};
+    groups = result.data.map(row => {
+      const key = rowKey(groupIdx.map(i => row[i]));
+      if (!(key in numbers)) numbers[key] = Object.keys(numbers).length + 1;
+      return numbers[key];
+    });
+    summary = `${data.length} row(s) in ${Object.keys(numbers).length} group(s)`;
+  }
+
+  if (stage.key === 'distinct') {
+    const seen = new Set();
+    statuses = data.map(row => {
+      const key = rowKey(row);
+      if (seen.has(key)) return 'removed';
+      seen.add(key);
+      return 'kept';
+    });
+    summary = `${statuses.filter(s => s === 'kept').length} of ${data.length} row(s) are distinct`;
+  }
+
+  if (stage.key === 'order' && previous) {
+    // Where each row sat before sorting (first unused identical row of the previous stage)
+    const before = previous.data.filter((_, i) => previous.statuses[i] !== 'removed').map(rowKey);
+    const used = new Set();
+    const was = data.map(row => {
+      const key = rowKey(row);
+      const idx = before.findIndex((k, i) => k === key && !used.has(i));
+      if (idx !== -1) used.add(idx);
+      return idx === -1 ? null : idx + 1;
+    });
+    statuses = was.map((position, i) => (position === i + 1 ? 'kept' : 'moved'));
+    data = data.map((row, i) => [was[i] === null ? '?' : `#${was[i]}`, ...row]);
+    summary = `${statuses.filter(s => s === 'moved').length} of ${data.length} row(s) changed position`;
+    return { columns: ['was', ...visibleColumns], data, statuses, groups, summary };
+  }
+
+  if (stage.key === 'limit' && stage.limit) {
+    const { count, offset } = stage.limit;
+    statuses = data.map((_, i) => (i >= offset && i < offset + count ? 'kept' : 'removed'));
+    summary = `${statuses.filter(s => s === 'kept').length} of ${data.length} row(s) kept`;
+  }
+
+  return { columns: visibleColumns, data, statuses, groups, summary };
+};
@@ -0,0 +1,62 @@
+/** @jest-environment node */
+import initSqlJs from 'sql.js';
+import { SEED_SQL } from './seedData';
+import { parseScript } from './sqlParser';
+import { annotateStage, buildStages, parseLimit } from './queryStages';
+
+const stagesFor = (sql) => buildStages(parseScript(sql)[0]);
+
+test('orders stages by logical evaluation, not by how the query is written', () => {
+  const stages = stagesFor('SELECT DISTINCT departmenit_id AS d FROM student WHERE emp_id > 2 GROUP BY d HAVING COUNT(*) > 1 ORDER BY d LIMIT 3');
+  expect(stages.map(s => s.key)).toEqual(['from', 'where', 'group', 'having', 'select', 'distinct', 'order', 'limit']);
+  expect(stages[1].sql).toBe('SELECT *, CASE WHEN (emp_id > 2) THEN 1 ELSE 0 END AS __keep FROM student;');
+  expect(stagesFor('SELECT 1 UNION SELECT 2').error).toMatch(/UNION/);
+  expect(parseLimit('5, 10')).toEqual({ count: 10, offset: 5 });
+});
+
+test('resolves select-list aliases in GROUP BY and HAVING so every stage runs', async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(SEED_SQL);
+  const run = (sql) => stagesFor(sql).map(stage => {
+    const [result] = db.exec(stage.sql);
+    return result ? result.values.length : 0;
+  });
+
+  expect(run('SELECT DISTINCT departmenit_id AS d FROM student WHERE emp_id > 2 GROUP BY d HAVING COUNT(*) > 1 ORDER BY d LIMIT 3'))
+    .toEqual([8, 8, 6, 5, 1, 1, 1, 1]);
+  expect(run('SELECT departmenit_id AS d, COUNT(*) AS n FROM student GROUP BY d HAVING n > 1')).toEqual([8, 8, 5, 2]);
+  const [, , having] = stagesFor('SELECT departmenit_id AS d, COUNT(*) AS n FROM student GROUP BY d HAVING n > 1');
+  expect(having.sql).toBe('SELECT (departmenit_id), COUNT(*) AS rows_in_group, CASE WHEN ((COUNT(*)) > 1) THEN 1 ELSE 0 END AS __keep FROM student GROUP BY (departmenit_id);');
+  // An input column wins over an alias of the same name, as in SQLite
+  expect(stagesFor('SELECT UPPER(emp_name) AS emp_name FROM student GROUP BY emp_name')[1].sql).toMatch(/^SELECT \(emp_name\) AS __g0/);
+  db.close();
+});
+
+test('runs every stage as a real query and highlights what each one changes', async () => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(SEED_SQL);
+  const sql = 'SELECT d.dept_name, COUNT(*) AS n FROM student s JOIN department d ON s.departmenit_id = d.dept_id '
+    + 'WHERE s.emp_id > 1 GROUP BY d.dept_name HAVING COUNT(*) > 1 ORDER BY n DESC, d.dept_name DESC LIMIT 1';
+  let previous = null;
+  const views = stagesFor(sql).map(stage => {
+    const [result] = db.exec(stage.sql);
+    previous = annotateStage(stage, { columns: result.columns, data: result.values }, previous);
+    return previous;
+  });
+  db.close();
+
+  expect(views.map(v => v.summary)).toEqual([
+    '7 row(s)',
+    '6 of 7 row(s) kept',
+    '6 row(s) in 4 group(s)',
+    '2 of 4 group(s) kept',
+    '2 row(s)',
+    '2 of 2 row(s) changed position',
+    '1 of 2 row(s) kept'
+  ]);
+  expect(views[1].columns).not.toContain('__keep');
+  expect(views[5].columns[0]).toBe('was');
+  expect(views[6].data[views[6].statuses.indexOf('kept')]).toEqual(['Electrical Engineering', 2]);
+});
@@ -0,0 +1,101 @@
+import { quoteIdentifier } from './sqlParser';
+
+// --- RESULT GRID DATA HELPERS ---
+// Sorting, filtering, cell display and export formats for ResultGrid. Rows are arrays aligned to columns.
+
+export const LONG_TEXT = 80;
+
+const isBlob = (value) => value instanceof Uint8Array;
+
+// → { text, kind: null|number|blob|text|pending, full }; `full` is set when text was shortened.
+export const formatCell = (value) => {
+  if (value === undefined) return { text: '...', kind: 'pending' };
+  if (value === null) return { text: 'NULL', kind: 'null' };
+  if (typeof value === 'number') return { text: Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6), kind: 'number' };
+  if (isBlob(value)) return { text: `BLOB (${value.length} bytes)`, kind: 'blob' };
+  const text = String(value);
+  return text.length > LONG_TEXT
+    ? { text: `${text.slice(0, LONG_TEXT)}…`, kind: 'text', full: text }
+    : { text, kind: 'text' };
+};
+
+// --- 1. SORT & FILTER ---
+// NULLs sort first (as in SQLite), numbers before text, text case-insensitively.
+export const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+};
+
+// entries: [{ row, index }] so callers keep track of each row's original position
+export const sortEntries = (entries, column, direction) => {
+  if (column === null || column === undefined || !direction) return entries;
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...entries].sort((x, y) => sign * compareValues(x.row[column], y.row[column]) || x.index - y.index);
+};
+
+// Case-insensitive match against any cell; "null" matches NULL cells.
+export const filterEntries = (entries, text) => {
+  const needle = text.trim().toLowerCase();
+  if (!needle) return entries;
+  return entries.filter(({ row }) => row.some(cell => (cell === null ? 'null' : String(cell)).toLowerCase().includes(needle)));
+};
+
+// --- 2. EXPORT FORMATS ---
+const plainValue = (value) => (isBlob(value) ? `x'${Array.from(value, b => b.toString(16).padStart(2, '0')).join('')}'` : value);
+
+export const toCsv = (columns, rows) => {
+  const field = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(plainValue(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows].map(row => row.map(field).join(',')).join('\r\n');
+};
+
+export const toJson = (columns, rows) => JSON.stringify(
+  rows.map(row => Object.fromEntries(columns.map((name, i) => [name, isBlob(row[i]) ? plainValue(row[i]) : row[i] ?? null]))),
+  null,
+  2
+);
+
+export const toMarkdown = (columns, rows) => {
+  const cell = (value) => (value === null || value === undefined ? 'NULL' : String(plainValue(value))).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  return [
+    `| ${columns.map(cell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+};
+
+const sqlLiteral = (value) => {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  if (isBlob(value)) return plainValue(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+};
+
+export const toInserts = (tableName, columns, rows) => rows
+  .map(row => `INSERT INTO ${quoteIdentifier(tableName)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${row.map(sqlLiteral).join(', ')});`)
+  .join('\n');
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', build: (table, columns, rows) => toCsv(columns, rows) },
+  json: { label: 'JSON', extension: 'json', mime: 'application/json', build: (table, columns, rows) => toJson(columns, rows) },
+  markdown: { label: 'Markdown table', extension: 'md', mime: 'text/markdown', build: (table, columns, rows) => toMarkdown(columns, rows) },
+  insert: { label: 'INSERT statements', extension: 'sql', mime: 'application/sql', build: toInserts }
+};
+
+// Saves text as a file via a temporary object URL (also used by the snippet library export).
+export const downloadText = (filename, text, mime = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,31 @@
+import { filterEntries, formatCell, sortEntries, toCsv, toInserts, toJson, toMarkdown } from './resultFormat';
+
+const columns = ['id', 'name', 'note'];
+const rows = [[2, 'Diya', null], [10, 'aarav', 'says "hi", twice'], [1, 'Kabir', 'a|b']];
+
+test('sorts NULLs first, numbers numerically and text case-insensitively', () => {
+  const entries = rows.map((row, index) => ({ row, index }));
+  expect(sortEntries(entries, 0, 'asc').map(e => e.row[0])).toEqual([1, 2, 10]);
+  expect(sortEntries(entries, 1, 'desc').map(e => e.row[1])).toEqual(['Kabir', 'Diya', 'aarav']);
+  expect(sortEntries(entries, 2, 'asc').map(e => e.index)).toEqual([0, 2, 1]);
+  expect(filterEntries(entries, 'NULL').map(e => e.index)).toEqual([0]);
+});
+
+test('renders NULL, numbers and long text distinctly', () => {
+  expect(formatCell(null)).toEqual({ text: 'NULL', kind: 'null' });
+  expect(formatCell(3.14159265)).toEqual({ text: '3.141593', kind: 'number' });
+  const long = formatCell('x'.repeat(100));
+  expect(long.text).toHaveLength(81);
+  expect(long.full).toHaveLength(100);
+});
+
+test('exports CSV, JSON, Markdown and INSERT statements', () => {
+  expect(toCsv(columns, rows)).toBe('id,name,note\r\n2,Diya,\r\n10,aarav,"says ""hi"", twice"\r\n1,Kabir,a|b');
+  expect(JSON.parse(toJson(columns, rows))[0]).toEqual({ id: 2, name: 'Diya', note: null });
+  expect(toMarkdown(columns, rows).split('\n')[4]).toBe('| 1 | Kabir | a\\|b |');
+  expect(toInserts('student', ['emp_id', 'emp_name'], [[9, "O'Neil"], [10, null]])).toBe(
+    "INSERT INTO student (emp_id, emp_name) VALUES (9, 'O''Neil');\nINSERT INTO student (emp_id, emp_name) VALUES (10, NULL);"
+  );
+  // Reserved words and spaces would not replay bare
+  expect(toInserts('my orders', ['id', 'order'], [[1, 3]])).toBe('INSERT INTO "my orders" (id, "order") VALUES (1, 3);');
+});
@@ -0,0 +1,85 @@
+// --- ROW-LEVEL TABLE DIFF ---
+// Compares a BEFORE snapshot with the AFTER table. Rows are matched on the primary key when both
+// snapshots carry it, otherwise on the whole row (so updates show up as delete + insert).
+
+const keyOf = (values) => JSON.stringify(values);
+
+const indexColumns = (columns) => columns.reduce((map, name, i) => {
+  map[name.toLowerCase()] = i;
+  return map;
+}, {});
+
+const pluralRows = (n) => `${n} row${n === 1 ? '' : 's'}`;
+
+export const summarizeDiff = ({ counts, columns }) => {
+  const rowParts = [['updated', counts.updated], ['deleted', counts.deleted], ['inserted', counts.inserted]]
+    .filter(([, n]) => n > 0)
+    .map(([verb, n], i) => (i === 0 ? `${pluralRows(n)} ${verb}` : `${n} ${verb}`));
+  const columnParts = columns
+    .filter(c => c.status !== 'same')
+    .map(c => `column ${c.name} ${c.status}`);
+  const parts = [...rowParts, ...columnParts];
+  return parts.length ? parts.join(', ') : 'No rows changed';
+};
+
+// before/after: { columns: [names], data: [[values]] }
+// Returns { columns: [{ name, status }], rows: [{ status, cells: [{ value, oldValue, changed }] }], counts, matchedBy, summary }
+// column status: same | added | dropped — row status: unchanged | updated | inserted | deleted
+export const diffTables = (before, after, keyColumns = []) => {
+  const beforeIdx = indexColumns(before.columns);
+  const afterIdx = indexColumns(after.columns);
+
+  const columns = [
+    ...after.columns.map(name => ({ name, status: name.toLowerCase() in beforeIdx ? 'same' : 'added' })),
+    ...before.columns.filter(name => !(name.toLowerCase() in afterIdx)).map(name => ({ name, status: 'dropped' }))
+  ];
+  const shared = after.columns.filter(name => name.toLowerCase() in beforeIdx).map(name => name.toLowerCase());
+  const keys = keyColumns.map(k => k.toLowerCase());
+  const byKey = keys.length > 0 && keys.every(k => k in beforeIdx && k in afterIdx);
+  const matchColumns = byKey ? keys : shared;
+
+  const signature = (row, idx) => keyOf(matchColumns.map(name => row[idx[name]]));
+
+  // Multiset of AFTER rows so duplicate rows pair up one-to-one
+  const pending = {};
+  after.data.forEach((row, i) => {
+    const sig = signature(row, afterIdx);
+    (pending[sig] = pending[sig] || []).push(i);
+  });
+
+  const cellsFor = (beforeRow, afterRow) => columns.map(col => {
+    const name = col.name.toLowerCase();
+    const oldValue = beforeRow && name in beforeIdx ? beforeRow[beforeIdx[name]] : undefined;
+    const value = afterRow && name in afterIdx ? afterRow[afterIdx[name]] : oldValue;
+    const changed = col.status === 'same' && Boolean(beforeRow && afterRow) && oldValue !== value;
+    return { value, oldValue, changed };
+  });
+
+  const counts = { unchanged: 0, updated: 0, inserted: 0, deleted: 0 };
+  const rows = [];
+  const matched = new Set();
+
+  before.data.forEach(beforeRow => {
+    const queue = pending[signature(beforeRow, beforeIdx)];
+    if (queue && queue.length) {
+      const afterPos = queue.shift();
+      matched.add(afterPos);
+      const cells = cellsFor(beforeRow, after.data[afterPos]);
+      const status = cells.some(c => c.changed) ? 'updated' : 'unchanged';
+      counts[status]++;
+      rows.push({ status, cells });
+    } else {
+      counts.deleted++;
+      rows.push({ status: 'deleted', cells: cellsFor(beforeRow, null) });
+    }
+  });
+
+  after.data.forEach((afterRow, i) => {
+    if (matched.has(i)) return;
+    counts.inserted++;
+    rows.push({ status: 'inserted', cells: cellsFor(null, afterRow) });
+  });
+
+  const diff = { columns, rows, counts, matchedBy: byKey ? 'key' : 'row' };
+  return { ...diff, summary: summarizeDiff(diff) };
+};
@@ -0,0 +1,40 @@
+import { diffTables } from './rowDiff';
+
+const before = {
+  columns: ['emp_id', 'emp_name', 'departmenit_id'],
+  data: [[1, 'Aarav', 'CS'], [2, 'Diya', 'EE'], [3, 'Kabir', 'CS']]
+};
+
+test('matches rows on the primary key and reports updates, deletes and inserts', () => {
+  const after = {
+    columns: ['emp_id', 'emp_name', 'departmenit_id'],
+    data: [[1, 'Aarav', 'ME'], [3, 'Kabir', 'ME'], [9, 'Sara', null]]
+  };
+  const diff = diffTables(before, after, ['emp_id']);
+  expect(diff.matchedBy).toBe('key');
+  expect(diff.rows.map(r => r.status)).toEqual(['updated', 'deleted', 'updated', 'inserted']);
+  expect(diff.rows[0].cells[2]).toEqual({ value: 'ME', oldValue: 'CS', changed: true });
+  expect(diff.summary).toBe('2 rows updated, 1 deleted, 1 inserted');
+});
+
+test('falls back to whole-row matching without a key', () => {
+  const after = { columns: before.columns, data: [[2, 'Diya', 'EE'], [1, 'Aarav', 'CS']] };
+  const diff = diffTables(before, after);
+  expect(diff.matchedBy).toBe('row');
+  expect(diff.counts).toEqual({ unchanged: 2, updated: 0, inserted: 0, deleted: 1 });
+  expect(diff.summary).toBe('1 row deleted');
+});
+
+test('highlights columns added and dropped by ALTER TABLE', () => {
+  const after = { columns: ['emp_id', 'emp_name', 'gpa'], data: [[1, 'Aarav', null], [2, 'Diya', null], [3, 'Kabir', null]] };
+  const diff = diffTables(before, after, ['emp_id']);
+  expect(diff.columns).toEqual([
+    { name: 'emp_id', status: 'same' },
+    { name: 'emp_name', status: 'same' },
+    { name: 'gpa', status: 'added' },
+    { name: 'departmenit_id', status: 'dropped' }
+  ]);
+  expect(diff.rows.every(r => r.status === 'unchanged')).toBe(true);
+  expect(diff.rows[0].cells[3].value).toBe('CS');
+  expect(diff.summary).toBe('column gpa added, column departmenit_id dropped');
+});
@@ -0,0 +1,183 @@
+import { foreignKeyEdges } from './schemaRegistry';
+import { parseScript, quoteIdentifier } from './sqlParser';
+import { executeQuery, executeScript } from './sqlEngine';
+import { toInserts } from './resultFormat';
+
+// --- SAFE MODE: DRY RUNS, CONFIRMATION & UNDO ---
+// Destructive statements are previewed with read-only queries derived from their own clauses,
+// and every table they touch is snapshotted (CREATE sql from sqlite_master + rows) so it can be rebuilt.
+
+export const DESTRUCTIVE_TYPES = ['ALTER', 'DELETE', 'DROP', 'UPDATE'];
+export const MAX_UNDO = 5;
+
+export const isDestructive = (stmt) => DESTRUCTIVE_TYPES.includes(stmt.type);
+
+const quoteText = (text) => `'${text.replace(/'/g, "''")}'`;
+const clauseText = (stmt, key) => (stmt.clauses && stmt.clauses[key] ? stmt.clauses[key].text : '');
+
+// Tail clauses a DELETE/UPDATE may carry (SQLITE_ENABLE_UPDATE_DELETE_LIMIT builds)
+const tail = (stmt) => ['orderBy', 'limit']
+  .filter(key => clauseText(stmt, key))
+  .map(key => ` ${stmt.clauses[key].keyword} ${clauseText(stmt, key)}`)
+  .join('');
+
+// --- 1. DRY RUN ---
+// → { stmt, title, sql (rows to show) | null, description, warning | null }
+export const describeDryRun = (stmt, registry = {}) => {
+  const where = clauseText(stmt, 'where');
+  const base = { stmt, sql: null, warning: null };
+
+  if (stmt.type === 'DELETE') {
+    const from = clauseText(stmt, 'from') || stmt.target;
+    return {
+      ...base,
+      title: `DELETE from ${stmt.target}`,
+      sql: `SELECT * FROM ${from}${where ? ` WHERE ${where}` : ''}${tail(stmt)};`,
+      description: 'These rows would be deleted:',
+      warning: where ? null : `There is no WHERE clause: every row in ${stmt.target} will be deleted.`
+    };
+  }
+
+  if (stmt.type === 'UPDATE') {
+    // Everything between UPDATE [OR ...] and SET, so "UPDATE student AS s" keeps its alias
+    const target = stmt.clauses && stmt.clauses.set
+      ? stmt.text.slice(0, stmt.clauses.set.keywordStart - stmt.start).replace(/^\s*UPDATE\s+(OR\s+\w+\s+)?/i, '').trim()
+      : stmt.target;
+    const changes = (stmt.assignments || []).map(a => `(${a.expr}) AS ${quoteIdentifier(`${a.column} → new`)}`);
+    // UPDATE ... FROM joins the target with the FROM list, so the preview joins them the same way
+    const from = clauseText(stmt, 'from');
+    const label = stmt.tables[0] ? stmt.tables[0].alias || stmt.tables[0].name : stmt.target;
+    return {
+      ...base,
+      title: `UPDATE ${stmt.target}`,
+      sql: `SELECT ${from ? `${quoteIdentifier(label)}.*` : '*'}${changes.length ? `, ${changes.join(', ')}` : ''} FROM ${target}${from ? `, ${from}` : ''}${where ? ` WHERE ${where}` : ''}${tail(stmt)};`,
+      description: 'These rows would change (new values in the "→ new" columns):',
+      warning: where ? null : `There is no WHERE clause: every row in ${stmt.target} will be updated.`
+    };
+  }
+
+  if (stmt.type === 'DROP') {
+    const objectType = (stmt.objectType || 'object').toLowerCase();
+    if (stmt.objectType !== 'TABLE') {
+      return { ...base, title: `DROP ${stmt.objectType || ''} ${stmt.name || ''}`.trim(), description: `The ${objectType} ${stmt.name} will be removed.` };
+    }
+    const dependents = foreignKeyEdges(registry)
+      .filter(e => e.to.toLowerCase() === (stmt.name || '').toLowerCase() && e.from.toLowerCase() !== e.to.toLowerCase())
+      .map(e => `${e.from}.${e.column}`);
+    return {
+      ...base,
+      title: `DROP TABLE ${stmt.name}`,
+      sql: `SELECT * FROM ${quoteIdentifier(stmt.name)};`,
+      description: `The table ${stmt.name}, its structure and all of these rows will be removed:`,
+      warning: `Dropping a table removes it for everyone using this database.${dependents.length ? ` ${dependents.join(', ')} still point at it.` : ''}`
+    };
+  }
+
+  // ALTER TABLE
+  const alter = stmt.alter || {};
+  if (alter.action === 'DROP_COLUMN') {
+    return {
+      ...base,
+      title: `ALTER TABLE ${stmt.target} DROP COLUMN ${alter.column.name}`,
+      sql: `SELECT ${quoteIdentifier(alter.column.name)} FROM ${quoteIdentifier(stmt.target)};`,
+      description: `Every value in ${stmt.target}.${alter.column.name} will be lost:`,
+      warning: 'Dropping a column cannot be undone with another ALTER: the values are gone.'
+    };
+  }
+  const changes = {
+    ADD_COLUMN: `A new column ${alter.column ? alter.column.name : ''} will be added to ${stmt.target}.`,
+    RENAME_TABLE: `${stmt.target} will be renamed to ${alter.newName}; queries using the old name will stop working.`,
+    RENAME_COLUMN: `${stmt.target}.${alter.column ? alter.column.name : ''} will be renamed to ${alter.newName}.`
+  };
+  return { ...base, title: `ALTER TABLE ${stmt.target || ''}`.trim(), description: changes[alter.action] || `The structure of ${stmt.target} will change.` };
+};
+
+// Runs the preview queries. Resolves to describeDryRun() entries plus { result } (or { error }).
+export const previewStatements = async (statements, mode, registry) => {
+  const previews = [];
+  for (const stmt of statements.filter(isDestructive)) {
+    const preview = describeDryRun(stmt, registry);
+    if (!preview.sql) {
+      previews.push(preview);
+      continue;
+    }
+    const res = await executeQuery(preview.sql, mode);
+    previews.push(res.status === 'success'
+      ? { ...preview, result: { columns: res.columns, data: res.data } }
+      : { ...preview, error: res.message });
+  }
+  return previews;
+};
+
+// --- 2. UNDO SNAPSHOTS ---
+// Names of the objects a statement changes: { table?, object?, renamedTo? }
+const affectedObject = (stmt) => {
+  if (stmt.type === 'DROP' && stmt.objectType !== 'TABLE') return { object: stmt.name };
+  const renamedTo = stmt.alter && stmt.alter.action === 'RENAME_TABLE' ? stmt.alter.newName : null;
+  return stmt.target ? { table: stmt.target, renamedTo } : null;
+};
+
+// Snapshot of one table (schema, rows, indexes, triggers) or one standalone object.
+// existed: false means the table isn't there yet (e.g. created earlier in the same script), so undo just drops it.
+const snapshotObject = async ({ table, object, renamedTo }, mode) => {
+  const name = table || object;
+  const filter = table ? `tbl_name = ${quoteText(name)} COLLATE NOCASE` : `name = ${quoteText(name)} COLLATE NOCASE`;
+  const master = await executeQuery(`SELECT type, name, sql FROM sqlite_master WHERE ${filter} AND sql IS NOT NULL;`, mode);
+  if (master.status !== 'success') return { error: master.message || `could not read ${name}` };
+
+  const definitions = master.data.map(([type, objectName, sql]) => ({ type, name: objectName, sql }));
+  const own = definitions.find(d => (table ? d.type === 'table' : true) && d.name.toLowerCase() === name.toLowerCase());
+  if (!own) return { name, kind: table ? 'table' : 'object', existed: false, renamedTo };
+
+  const snapshot = { name: own.name, kind: own.type, existed: true, createSql: own.sql, renamedTo, extras: definitions.filter(d => d !== own) };
+  if (own.type !== 'table') return snapshot;
+  const rows = await executeQuery(`SELECT * FROM ${quoteIdentifier(own.name)};`, mode);
+  if (rows.status !== 'success') return { error: rows.message || `could not read ${name}` };
+  return { ...snapshot, columns: rows.columns, data: rows.data };
+};
+
+// → { label, engine, at, snapshots } or { error } when a snapshot couldn't be taken.
+export const captureUndo = async (statements, mode) => {
+  const seen = new Set();
+  const snapshots = [];
+  for (const stmt of statements.filter(isDestructive)) {
+    const target = affectedObject(stmt);
+    const key = target && (target.table || target.object).toLowerCase();
+    if (!target || seen.has(key)) continue;
+    seen.add(key);
+    const snapshot = await snapshotObject(target, mode);
+    if (snapshot.error) return { error: snapshot.error };
+    snapshots.push(snapshot);
+  }
+  return {
+    id: `${Date.now()}`,
+    label: statements.filter(isDestructive).map(s => s.text.split('\n')[0]).join('; '),
+    engine: mode,
+    at: new Date().toISOString(),
+    snapshots
+  };
+};
+
+const DROP_KEYWORDS = { table: 'TABLE', view: 'VIEW', index: 'INDEX', trigger: 'TRIGGER' };
+
+// SQL that rebuilds every snapshot in an undo entry. Foreign keys are checked only at COMMIT,
+// so parent and child tables can be rebuilt in any order.
+export const restoreScript = (entry) => {
+  const lines = ['PRAGMA defer_foreign_keys = ON;'];
+  entry.snapshots.forEach(snap => {
+    // A view/index/trigger that never existed has nothing to restore
+    if (!snap.existed && snap.kind !== 'table') return;
+    if (snap.renamedTo) lines.push(`DROP TABLE IF EXISTS ${quoteIdentifier(snap.renamedTo)};`);
+    lines.push(`DROP ${DROP_KEYWORDS[snap.kind] || 'TABLE'} IF EXISTS ${quoteIdentifier(snap.name)};`);
+    if (!snap.existed) return;
+    lines.push(`${snap.createSql};`);
+    if (snap.kind === 'table' && snap.data.length) lines.push(toInserts(snap.name, snap.columns, snap.data));
+    snap.extras.forEach(extra => lines.push(`${extra.sql};`));
+  });
+  return lines.join('\n');
+};
+
+// Rebuilds the snapshots in one transaction. Resolves to executeScript's { status, results, rolledBack }.
+export const applyUndo = (entry) => executeScript(parseScript(restoreScript(entry)), entry.engine, { stopOnError: true, transaction: true });
+
+export const pushUndo = (stack, entry) => [entry, ...stack].slice(0, MAX_UNDO);
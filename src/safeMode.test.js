@@ -0,0 +1,71 @@
+/** @jest-environment node */
+import initSqlJs from 'sql.js';
+import { SEED_SQL } from './seedData';
+import { parseScript } from './sqlParser';
+import { buildRegistry } from './schemaRegistry';
+import { captureUndo, describeDryRun, pushUndo, restoreScript } from './safeMode';
+
+// captureUndo reads through the engine; point it at an in-memory database instead
+let mockDb;
+jest.mock('./sqlEngine', () => ({
+  executeQuery: async (sql) => {
+    try {
+      const [last] = mockDb.exec(sql);
+      return { status: 'success', columns: last ? last.columns : [], data: last ? last.values : [] };
+    } catch (e) {
+      return { status: 'error', message: e.message };
+    }
+  },
+  executeScript: jest.fn()
+}));
+
+const dryRun = (sql, registry) => describeDryRun(parseScript(sql)[0], registry);
+
+test('previews the rows a DELETE or UPDATE would touch and warns without a WHERE', () => {
+  const del = dryRun("DELETE FROM student WHERE name LIKE 'A%'");
+  expect(del.sql).toBe("SELECT * FROM student WHERE name LIKE 'A%';");
+  expect(del.warning).toBeNull();
+  expect(dryRun('DELETE FROM student').warning).toMatch(/every row in student/);
+
+  const upd = dryRun("UPDATE student SET name = UPPER(name) WHERE emp_id = 1");
+  expect(upd.sql).toBe('SELECT *, (UPPER(name)) AS "name → new" FROM student WHERE emp_id = 1;');
+  expect(dryRun('UPDATE student SET name = NULL').warning).toMatch(/every row/);
+  // UPDATE ... FROM previews the same join it runs
+  expect(dryRun('UPDATE student AS s SET emp_name = d.dept_name FROM department d WHERE d.dept_id = s.departmenit_id').sql).toBe(
+    'SELECT s.*, (d.dept_name) AS "emp_name → new" FROM student AS s, department d WHERE d.dept_id = s.departmenit_id;'
+  );
+
+  const registry = buildRegistry([
+    { name: 'department', columns: [{ name: 'dept_id', type: 'TEXT' }], primaryKey: ['dept_id'], foreignKeys: [] },
+    { name: 'student', columns: [{ name: 'departmenit_id', type: 'TEXT' }], primaryKey: [], foreignKeys: [{ columns: ['departmenit_id'], refTable: 'department', refColumns: ['dept_id'] }] }
+  ]);
+  expect(dryRun('DROP TABLE department', registry).warning).toMatch(/student\.departmenit_id/);
+});
+
+test('an undo snapshot rebuilds dropped and emptied tables with their rows', async () => {
+  const SQL = await initSqlJs();
+  mockDb = new SQL.Database();
+  mockDb.run(SEED_SQL);
+  const count = (table) => mockDb.exec(`SELECT COUNT(*) FROM ${table}`)[0].values[0][0];
+  const before = { student: count('student'), department: count('department') };
+
+  const statements = parseScript('DELETE FROM student; DROP TABLE department; CREATE TABLE scratch (x); DROP TABLE scratch;');
+  const entry = await captureUndo(statements, 'local');
+  expect(entry.snapshots.map(s => [s.name, s.existed])).toEqual([['student', true], ['department', true], ['scratch', false]]);
+
+  const joined = dryRun('UPDATE student SET emp_name = dept_name FROM department WHERE dept_id = departmenit_id');
+  expect(mockDb.exec(joined.sql)[0].values).toHaveLength(before.student - 1);
+
+  statements.forEach(s => mockDb.run(s.text));
+  mockDb.run(restoreScript(entry));
+  expect(count('student')).toBe(before.student);
+  expect(count('department')).toBe(before.department);
+  expect(mockDb.exec("SELECT name FROM sqlite_master WHERE name = 'scratch'")).toEqual([]);
+
+  // A snapshot that can't be read is reported, so App can refuse to run without undo
+  mockDb.close();
+  expect(await captureUndo(parseScript('DELETE FROM student'), 'local')).toEqual({ error: expect.any(String) });
+
+  const stack = [1, 2, 3, 4, 5, 6].reduce((s, id) => pushUndo(s, { id }), []);
+  expect(stack.map(e => e.id)).toEqual([6, 5, 4, 3, 2]);
+});
@@ -0,0 +1,37 @@
+// --- CLIENT SCHEMA REGISTRY ---
+// Introspected tables keyed by lower-cased name: { name, columns: [{ name, type, primaryKey, notNull }], primaryKey, foreignKeys }.
+// Rebuilt from fetchSchema() on load and after every DDL statement.
+
+export const DDL_TYPES = ['CREATE', 'ALTER', 'DROP'];
+
+export const buildRegistry = (tables = []) => tables.reduce((registry, table) => {
+  registry[table.name.toLowerCase()] = table;
+  return registry;
+}, {});
+
+// Adds or replaces tables without waiting for a round-trip (e.g. a CREATE TABLE that just ran).
+export const mergeTables = (registry, tables) => ({ ...registry, ...buildRegistry(tables) });
+
+export const findTable = (registry, name) => (name ? registry[name.toLowerCase()] || null : null);
+
+// Tables created earlier in the same script win over the registry.
+export const lookupTable = (registry, name, statements = []) => {
+  const key = name.toLowerCase();
+  const created = statements.filter(s => s.create && s.create.table.toLowerCase() === key).pop();
+  if (created) {
+    const { table, columns, primaryKey, foreignKeys } = created.create;
+    return { name: table, columns, primaryKey, foreignKeys };
+  }
+  return findTable(registry, name);
+};
+
+export const isDdl = (statements) => statements.some(s => DDL_TYPES.includes(s.type));
+
+// Foreign keys as flat edges, used by the ER view and JOIN suggestions.
+export const foreignKeyEdges = (registry) => Object.values(registry).flatMap(table => (
+  (table.foreignKeys || []).flatMap(fk => fk.columns.map((column, i) => ({
+    from: table.name, column, to: fk.refTable, refColumn: fk.refColumns[i] || null
+  })))
+));
+
+export const starterQuery = (table) => `SELECT * FROM ${table.name} LIMIT 10;`;
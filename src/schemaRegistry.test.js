@@ -0,0 +1,51 @@
+import { buildRegistry, findTable, foreignKeyEdges, isDdl, lookupTable, mergeTables } from './schemaRegistry';
+import { parseScript } from './sqlParser';
+
+const department = { name: 'Department', columns: [{ name: 'dept_id', type: 'TEXT', primaryKey: true }], primaryKey: ['dept_id'], foreignKeys: [] };
+const student = {
+  name: 'student',
+  columns: [{ name: 'emp_id', type: 'INTEGER', primaryKey: true }, { name: 'departmenit_id', type: 'TEXT' }],
+  primaryKey: ['emp_id'],
+  foreignKeys: [{ columns: ['departmenit_id'], refTable: 'Department', refColumns: ['dept_id'] }]
+};
+
+test('looks tables up case-insensitively and merges new ones in without mutating', () => {
+  const registry = buildRegistry([department, student]);
+  expect(Object.keys(registry)).toEqual(['department', 'student']);
+  expect(findTable(registry, 'DEPARTMENT')).toBe(department);
+  expect(findTable(registry, 'nope')).toBeNull();
+  expect(findTable(registry, '')).toBeNull();
+
+  const courses = { name: 'courses', columns: [], primaryKey: [], foreignKeys: [] };
+  const renamed = { ...student, columns: [] };
+  const merged = mergeTables(registry, [courses, renamed]);
+  expect(Object.keys(merged)).toEqual(['department', 'student', 'courses']);
+  expect(merged.student).toBe(renamed);
+  expect(registry.student).toBe(student);
+});
+
+test('prefers tables created earlier in the same script', () => {
+  const registry = buildRegistry([student]);
+  const statements = parseScript('CREATE TABLE student (id INTEGER PRIMARY KEY, name TEXT); SELECT name FROM student');
+  const table = lookupTable(registry, 'Student', statements);
+  expect(table.columns.map(c => c.name)).toEqual(['id', 'name']);
+  expect(lookupTable(registry, 'student')).toBe(student);
+  expect(isDdl(statements)).toBe(true);
+  expect(isDdl(parseScript('SELECT 1'))).toBe(false);
+});
+
+test('flattens foreign keys into one edge per column', () => {
+  const enrolment = {
+    name: 'enrolment',
+    columns: [],
+    primaryKey: [],
+    foreignKeys: [{ columns: ['emp_id', 'dept_id'], refTable: 'pairs', refColumns: ['a', 'b'] }, { columns: ['course_id'], refTable: 'courses', refColumns: [] }]
+  };
+  expect(foreignKeyEdges(buildRegistry([department, student, enrolment]))).toEqual([
+    { from: 'student', column: 'departmenit_id', to: 'Department', refColumn: 'dept_id' },
+    { from: 'enrolment', column: 'emp_id', to: 'pairs', refColumn: 'a' },
+    { from: 'enrolment', column: 'dept_id', to: 'pairs', refColumn: 'b' },
+    // REFERENCES courses with no column list points at the primary key
+    { from: 'enrolment', column: 'course_id', to: 'courses', refColumn: null }
+  ]);
+});
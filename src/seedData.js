@@ -0,0 +1,44 @@
+// --- SANDBOX SEED (Mirrors the tables the lab teaches with) ---
+// Every in-browser sandbox starts from this script, and "Reset Sandbox" replays it.
+export const SEED_SQL = `
+CREATE TABLE department (
+  dept_id TEXT PRIMARY KEY,
+  dept_name TEXT NOT NULL,
+  location TEXT
+);
+
+CREATE TABLE student (
+  emp_id INTEGER PRIMARY KEY,
+  emp_name TEXT NOT NULL,
+  departmenit_id TEXT REFERENCES department(dept_id)
+);
+
+CREATE TABLE courses (
+  course_id INTEGER PRIMARY KEY,
+  course_title TEXT NOT NULL,
+  credits INTEGER
+);
+
+INSERT INTO department (dept_id, dept_name, location) VALUES
+  ('CS', 'Computer Science', 'Block A'),
+  ('EE', 'Electrical Engineering', 'Block B'),
+  ('ME', 'Mechanical Engineering', 'Block C'),
+  ('MA', 'Mathematics', 'Block A');
+
+INSERT INTO student (emp_id, emp_name, departmenit_id) VALUES
+  (1, 'Aarav Sharma', 'CS'),
+  (2, 'Diya Patel', 'EE'),
+  (3, 'Kabir Singh', 'CS'),
+  (4, 'Meera Iyer', 'MA'),
+  (5, 'Rohan Gupta', 'ME'),
+  (6, 'Ananya Rao', 'CS'),
+  (7, 'Vikram Nair', NULL),
+  (8, 'Sara Khan', 'EE');
+
+INSERT INTO courses (course_id, course_title, credits) VALUES
+  (101, 'Python 101', 3),
+  (102, 'SQL Smart Lab', 4),
+  (103, 'Data Structures', 4),
+  (104, 'Linear Algebra', 3),
+  (105, 'Circuit Theory', 2);
+`;
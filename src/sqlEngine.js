@@ -0,0 +1,282 @@
+import axios from 'axios';
+import initSqlJs from 'sql.js';
+import sqlWasmUrl from 'sql.js/dist/sql-wasm-browser.wasm';
+import { SEED_SQL } from './seedData';
+
+// --- 1. EXECUTION MODES ---
+// REMOTE talks to the shared Django backend, LOCAL runs a private SQLite (WebAssembly) sandbox.
+export const API_BASE = 'https://sql-smart-lab.onrender.com/api';
+export const API_URL = `${API_BASE}/execute/`;
+export const SCRIPT_URL = `${API_BASE}/execute-script/`;
+export const SCHEMA_URL = `${API_BASE}/schema/`;
+export const ENGINE_MODES = { REMOTE: 'remote', LOCAL: 'local' };
+
+const MODE_KEY = 'sqlSmartLab.engineMode';
+const SANDBOX_KEY = 'sqlSmartLab.sandbox';
+
+export const loadEngineMode = () => {
+  try {
+    return localStorage.getItem(MODE_KEY) === ENGINE_MODES.LOCAL ? ENGINE_MODES.LOCAL : ENGINE_MODES.REMOTE;
+  } catch (e) {
+    return ENGINE_MODES.REMOTE;
+  }
+};
+
+export const saveEngineMode = (mode) => {
+  try { localStorage.setItem(MODE_KEY, mode); } catch (e) { /* Private browsing: keep the mode for this session only */ }
+};
+
+// --- 2. REMOTE ENGINE (Django execute_query) ---
+const executeRemote = async (query) => {
+  try {
+    const res = await axios.post(API_URL, { query });
+    return res.data;
+  } catch (err) {
+    return err.response?.data || { status: 'error', message: 'Execution Failed' };
+  }
+};
+
+const executeRemoteScript = async (statements, { stopOnError, transaction }) => {
+  try {
+    const res = await axios.post(SCRIPT_URL, {
+      statements: statements.map(s => s.text),
+      stop_on_error: stopOnError,
+      transaction
+    });
+    return res.data;
+  } catch (err) {
+    // Nothing ran, so there are no per-statement results to report
+    const detail = err.response?.data?.message || err.message || 'no response from the server';
+    return { status: 'error', notRun: true, message: `Request failed: ${detail}`, results: [], rolledBack: false };
+  }
+};
+
+// --- 3. LOCAL ENGINE (sql.js sandbox, persisted per browser) ---
+let sqlModulePromise = null;
+let sandboxPromise = null;
+
+const loadSqlModule = () => {
+  if (!sqlModulePromise) {
+    const pending = initSqlJs({ locateFile: () => sqlWasmUrl });
+    // A failed download is retried on the next call rather than cached
+    pending.catch(() => { if (sqlModulePromise === pending) sqlModulePromise = null; });
+    sqlModulePromise = pending;
+  }
+  return sqlModulePromise;
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+
+const loadSaved = () => {
+  try {
+    return localStorage.getItem(SANDBOX_KEY);
+  } catch (e) {
+    return null;
+  }
+};
+
+const forgetSaved = () => {
+  try { localStorage.removeItem(SANDBOX_KEY); } catch (e) { /* Storage disabled: nothing was saved */ }
+};
+
+const openSandbox = async () => {
+  const SQL = await loadSqlModule();
+  const saved = loadSaved();
+  if (saved) {
+    try {
+      return new SQL.Database(fromBase64(saved));
+    } catch (e) {
+      forgetSaved();
+    }
+  }
+  const db = new SQL.Database();
+  db.run(SEED_SQL);
+  return db;
+};
+
+const getSandbox = () => {
+  if (!sandboxPromise) {
+    const pending = openSandbox();
+    pending.catch(() => { if (sandboxPromise === pending) sandboxPromise = null; });
+    sandboxPromise = pending;
+  }
+  return sandboxPromise;
+};
+
+const saveSandbox = (db) => {
+  try {
+    localStorage.setItem(SANDBOX_KEY, toBase64(db.export()));
+  } catch (e) { /* Quota exceeded: the sandbox still works until the tab closes */ }
+};
+
+const executeLocal = async (query) => {
+  try {
+    const db = await getSandbox();
+    const results = db.exec(query);
+    // Saved even when the last statement returns rows: "INSERT ...; SELECT ..." still changed the data
+    saveSandbox(db);
+    const last = results[results.length - 1];
+    if (last) {
+      return { status: 'success', columns: last.columns, data: last.values };
+    }
+    return { status: 'success', message: 'Command executed successfully!', columns: [], data: [] };
+  } catch (e) {
+    return { status: 'error', message: e.message };
+  }
+};
+
+const ROW_COUNT_TYPES = ['INSERT', 'UPDATE', 'DELETE'];
+
+// Ends whatever transaction is open. SQLite sometimes rolls back by itself first (INSERT OR ROLLBACK,
+// RAISE(ROLLBACK)), and then ROLLBACK throws "no transaction is active": the outcome is the same.
+const rollback = (db) => {
+  try { db.exec('ROLLBACK'); } catch (e) { /* Already rolled back */ }
+};
+
+// Same contract as execute_script in backend/api/views.py.
+const executeLocalScript = async (statements, { stopOnError, transaction }) => {
+  const results = [];
+  let rolledBack = false;
+  let db;
+  try {
+    db = await getSandbox();
+  } catch (e) {
+    return { status: 'error', notRun: true, message: `Sandbox unavailable: ${e.message}`, results: [], rolledBack: false };
+  }
+  try {
+    if (transaction) db.exec('BEGIN');
+    for (const stmt of statements) {
+      try {
+        const output = db.exec(stmt.text);
+        const last = output[output.length - 1];
+        if (last) {
+          results.push({ status: 'success', columns: last.columns, data: last.values });
+        } else {
+          const message = ROW_COUNT_TYPES.includes(stmt.type) ? `${db.getRowsModified()} row(s) affected.` : 'Command executed successfully!';
+          results.push({ status: 'success', message, columns: [], data: [] });
+        }
+      } catch (e) {
+        results.push({ status: 'error', message: e.message, columns: [], data: [] });
+        if (transaction) {
+          rollback(db);
+          rolledBack = true;
+          break;
+        }
+        if (stopOnError) break;
+      }
+    }
+    if (transaction && !rolledBack) db.exec('COMMIT');
+    saveSandbox(db);
+  } catch (e) {
+    results.push({ status: 'error', message: e.message, columns: [], data: [] });
+  }
+  const failed = results.some(r => r.status === 'error');
+  return { status: failed ? 'error' : 'success', results, rolledBack };
+};
+
+// Mirrors describe_table in backend/api/views.py so both engines report the same schema shape.
+const describeLocalTable = (db, name) => {
+  const quoted = name.replace(/"/g, '""');
+  const [info] = db.exec(`PRAGMA table_info("${quoted}")`);
+  const [fks] = db.exec(`PRAGMA foreign_key_list("${quoted}")`);
+  const infoRows = info ? info.values : [];
+  const foreignKeys = {};
+  (fks ? fks.values : []).forEach(([id, , refTable, from, to]) => {
+    if (!foreignKeys[id]) foreignKeys[id] = { columns: [], refTable, refColumns: [] };
+    foreignKeys[id].columns.push(from);
+    if (to) foreignKeys[id].refColumns.push(to);
+  });
+  return {
+    name,
+    columns: infoRows.map(([, colName, type, notNull, dflt, pk]) => ({
+      name: colName, type, notNull: Boolean(notNull), default: dflt, primaryKey: pk > 0
+    })),
+    primaryKey: infoRows.filter(row => row[5] > 0).sort((a, b) => a[5] - b[5]).map(row => row[1]),
+    foreignKeys: Object.values(foreignKeys)
+  };
+};
+
+const fetchLocalSchema = async () => {
+  try {
+    const db = await getSandbox();
+    const [list] = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    const names = list ? list.values.map(row => row[0]) : [];
+    return { status: 'success', tables: names.map(name => describeLocalTable(db, name)) };
+  } catch (e) {
+    return { status: 'error', message: e.message };
+  }
+};
+
+const fetchRemoteSchema = async () => {
+  try {
+    const res = await axios.get(SCHEMA_URL);
+    return res.data;
+  } catch (err) {
+    return err.response?.data || { status: 'error', message: 'Schema unavailable' };
+  }
+};
+
+// Throwaway database for grading: seeded, used once, closed. Never touches the student's sandbox.
+// When checkQuery is given its result is returned instead (for INSERT/UPDATE exercises).
+export const runInScratch = async (seedSql, sql, checkQuery = null) => {
+  const SQL = await loadSqlModule();
+  const db = new SQL.Database();
+  try {
+    db.run(seedSql);
+    const output = db.exec(sql);
+    const last = checkQuery ? db.exec(checkQuery).pop() : output[output.length - 1];
+    return { status: 'success', columns: last ? last.columns : [], data: last ? last.values : [] };
+  } catch (e) {
+    return { status: 'error', message: e.message };
+  } finally {
+    db.close();
+  }
+};
+
+export const resetSandbox = async () => {
+  if (sandboxPromise) {
+    const db = await sandboxPromise.catch(() => null);
+    if (db) db.close();
+  }
+  forgetSaved();
+  sandboxPromise = null;
+  await getSandbox();
+};
+
+// --- 4. PUBLIC ENTRY POINT ---
+// Both engines resolve to the execute_query shape: { status, columns, data, message }.
+export const executeQuery = (query, mode = ENGINE_MODES.REMOTE) => (
+  mode === ENGINE_MODES.LOCAL ? executeLocal(query) : executeRemote(query)
+);
+
+const TRANSACTION_CONTROL = ['BEGIN', 'COMMIT', 'END', 'ROLLBACK', 'SAVEPOINT', 'RELEASE'];
+
+export const controlsTransaction = (statements) => statements.some(s => TRANSACTION_CONTROL.includes(s.type));
+
+// Runs parsed statements (see sqlParser.parseScript) in order.
+// Resolves to { status, results: [{ status, columns, data, message }], rolledBack }; results stop at the
+// failing statement when stopOnError or transaction is set. When nothing could run at all (network
+// error, sandbox failed to load) it resolves to { status: 'error', notRun: true, message, results: [] }.
+// A script with its own BEGIN/COMMIT is not wrapped in a second transaction (SQLite cannot nest them);
+// it stops at the first error instead.
+export const executeScript = (statements, mode = ENGINE_MODES.REMOTE, options = {}) => {
+  const settings = { stopOnError: false, transaction: false, ...options };
+  if (settings.transaction && controlsTransaction(statements)) {
+    settings.transaction = false;
+    settings.stopOnError = true;
+  }
+  return mode === ENGINE_MODES.LOCAL ? executeLocalScript(statements, settings) : executeRemoteScript(statements, settings);
+};
+
+// Resolves to { status, tables: [{ name, columns, primaryKey, foreignKeys }], message }.
+export const fetchSchema = (mode = ENGINE_MODES.REMOTE) => (
+  mode === ENGINE_MODES.LOCAL ? fetchLocalSchema() : fetchRemoteSchema()
+);
@@ -0,0 +1,102 @@
+/** @jest-environment node */
+import axios from 'axios';
+import { ENGINE_MODES, executeQuery, executeScript, fetchSchema, resetSandbox } from './sqlEngine';
+import { parseScript } from './sqlParser';
+
+// Node has no bundler: point sql.js at its wasm file on disk (same bytes as the browser build)
+jest.mock('sql.js/dist/sql-wasm-browser.wasm', () => require.resolve('sql.js/dist/sql-wasm.wasm'));
+
+const mockStorage = new Map();
+global.localStorage = {
+  getItem: (key) => (mockStorage.has(key) ? mockStorage.get(key) : null),
+  setItem: (key, value) => mockStorage.set(key, String(value)),
+  removeItem: (key) => mockStorage.delete(key)
+};
+
+jest.mock('axios');
+
+const { LOCAL, REMOTE } = ENGINE_MODES;
+const runScript = (sql, options, mode = LOCAL) => executeScript(parseScript(sql), mode, options);
+const count = async (table) => (await executeQuery(`SELECT COUNT(*) FROM ${table}`, LOCAL)).data[0][0];
+
+beforeEach(() => resetSandbox());
+
+test('runs queries against the seeded sandbox', async () => {
+  const res = await executeQuery('SELECT emp_name FROM student WHERE emp_id = 1', LOCAL);
+  expect(res).toEqual({ status: 'success', columns: ['emp_name'], data: [['Aarav Sharma']] });
+  expect(await executeQuery('SELECT nope FROM student', LOCAL)).toEqual({ status: 'error', message: 'no such column: nope' });
+
+  const schema = await fetchSchema(LOCAL);
+  expect(schema.tables.map(t => t.name)).toEqual(['courses', 'department', 'student']);
+  expect(schema.tables[2].foreignKeys).toEqual([{ columns: ['departmenit_id'], refTable: 'department', refColumns: ['dept_id'] }]);
+});
+
+test('persists changes even when the last statement returns rows', async () => {
+  const res = await executeQuery("INSERT INTO courses VALUES (900, 'Saved', 1); SELECT COUNT(*) FROM courses", LOCAL);
+  expect(res.status).toBe('success');
+
+  // A fresh copy of the module is a page reload: it reopens the sandbox from storage
+  let reloaded;
+  jest.isolateModules(() => { reloaded = require('./sqlEngine'); });
+  const after = await reloaded.executeQuery('SELECT course_title FROM courses WHERE course_id = 900', LOCAL);
+  expect(after.data).toEqual([['Saved']]);
+
+  await resetSandbox();
+  expect((await executeQuery('SELECT * FROM courses WHERE course_id = 900', LOCAL)).data).toEqual([]);
+});
+
+test('starts from the seed when the saved sandbox is unreadable or storage is disabled', async () => {
+  mockStorage.set('sqlSmartLab.sandbox', 'not base64!');
+  let reloaded;
+  jest.isolateModules(() => { reloaded = require('./sqlEngine'); });
+  expect((await reloaded.executeQuery('SELECT COUNT(*) FROM department', LOCAL)).data).toEqual([[4]]);
+
+  const { getItem } = global.localStorage;
+  global.localStorage.getItem = () => { throw new Error('SecurityError'); };
+  jest.isolateModules(() => { reloaded = require('./sqlEngine'); });
+  expect((await reloaded.executeQuery('SELECT COUNT(*) FROM department', LOCAL)).data).toEqual([[4]]);
+  global.localStorage.getItem = getItem;
+});
+
+test('runs scripts statement by statement, stopping or rolling back on request', async () => {
+  const script = "DELETE FROM courses WHERE course_id = 101; INSERT INTO nope VALUES (1); DELETE FROM courses";
+  const keepGoing = await runScript(script, {});
+  expect(keepGoing.results.map(r => r.status)).toEqual(['success', 'error', 'success']);
+  expect(keepGoing.results[0].message).toBe('1 row(s) affected.');
+  expect(await count('courses')).toBe(0);
+
+  await resetSandbox();
+  const stopped = await runScript(script, { stopOnError: true });
+  expect(stopped.results.map(r => r.status)).toEqual(['success', 'error']);
+  expect(await count('courses')).toBeGreaterThan(0);
+
+  await resetSandbox();
+  const before = await count('courses');
+  const undone = await runScript(script, { transaction: true });
+  expect(undone).toMatchObject({ status: 'error', rolledBack: true });
+  expect(await count('courses')).toBe(before);
+});
+
+test('does not nest transactions and reports a rollback SQLite already did', async () => {
+  // The script's own BEGIN/COMMIT replaces the wrapping transaction
+  const own = await runScript("BEGIN; DELETE FROM courses WHERE course_id = 101; COMMIT", { transaction: true });
+  expect(own.results.map(r => r.status)).toEqual(['success', 'success', 'success']);
+  expect(own.rolledBack).toBe(false);
+
+  // OR ROLLBACK ends the transaction itself, so the engine's ROLLBACK has nothing left to undo
+  const before = await count('department');
+  const conflict = await runScript("DELETE FROM department WHERE dept_id = 'MA'; INSERT OR ROLLBACK INTO department VALUES ('CS', 'Dup', NULL)", { transaction: true });
+  expect(conflict.results.map(r => r.status)).toEqual(['success', 'error']);
+  expect(conflict.rolledBack).toBe(true);
+  expect(await count('department')).toBe(before);
+  expect((await runScript('SELECT 1', { transaction: true })).status).toBe('success');
+});
+
+test('reports a failed request as a script-level error, not a failed first statement', async () => {
+  axios.post.mockRejectedValueOnce(new Error('Network Error'));
+  const outcome = await runScript('SELECT 1; SELECT 2', {}, REMOTE);
+  expect(outcome).toEqual({ status: 'error', notRun: true, message: 'Request failed: Network Error', results: [], rolledBack: false });
+
+  axios.post.mockRejectedValueOnce({ response: { data: { status: 'error', message: 'Expecting value' } } });
+  expect((await runScript('SELECT 1', {}, REMOTE)).message).toBe('Request failed: Expecting value');
+});
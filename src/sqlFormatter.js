@@ -0,0 +1,233 @@
+import { splitStatements, tokenize } from './sqlParser';
+
+// --- SQL PRETTY-PRINTER ---
+// Works on tokens, so comments, quoted names and literals come through untouched: only whitespace
+// and keyword case change. Clauses start new lines, multi-item SELECT/SET/VALUES lists and CREATE TABLE
+// columns get one item per line, AND/OR conditions are indented under WHERE/HAVING/ON, and
+// subqueries are indented one level deeper than the line that opens them.
+
+const OPTIONS_KEY = 'sqlSmartLab.formatOptions';
+
+export const KEYWORD_CASES = ['upper', 'lower', 'preserve'];
+export const INDENTS = [2, 4, 'tab'];
+export const FORMAT_DEFAULTS = { keywordCase: 'upper', indent: 2 };
+
+export const loadFormatOptions = () => {
+  try {
+    return { ...FORMAT_DEFAULTS, ...JSON.parse(localStorage.getItem(OPTIONS_KEY)) };
+  } catch (e) {
+    return FORMAT_DEFAULTS;
+  }
+};
+
+export const saveFormatOptions = (options) => {
+  try { localStorage.setItem(OPTIONS_KEY, JSON.stringify(options)); } catch (e) { /* Storage disabled: keep them for this session */ }
+};
+
+const CLAUSES = ['SELECT', 'FROM', 'WHERE', 'GROUP BY', 'HAVING', 'WINDOW', 'ORDER BY', 'LIMIT', 'SET', 'VALUES', 'RETURNING', 'UNION ALL', 'UNION', 'INTERSECT', 'EXCEPT'];
+const JOIN_WORDS = ['NATURAL', 'LEFT', 'RIGHT', 'FULL', 'INNER', 'CROSS', 'OUTER'];
+const LIST_CLAUSES = ['SELECT', 'SET', 'VALUES'];
+const CONDITION_CLAUSES = ['WHERE', 'HAVING', 'JOIN'];
+// Keywords written like function calls: CAST(x AS INT), not CAST (x AS INT)
+const CALL_KEYWORDS = ['CAST', 'REPLACE', 'RAISE'];
+// Keywords that end a value, so a following - or + is binary
+const VALUE_KEYWORDS = ['NULL', 'TRUE', 'FALSE', 'END', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP'];
+// An identifier after these is a table name, so "INTO t (a, b)" keeps its space before "("
+const TABLE_WORDS = ['INTO', 'TABLE', 'EXISTS', 'ON'];
+
+// The clause starting at code[i] → { phrase, width } (JOIN covers LEFT OUTER JOIN etc.), or null
+const phraseAt = (code, i) => {
+  const tok = code[i];
+  if (tok.type !== 'keyword') return null;
+  const pair = `${tok.upper} ${code[i + 1]?.upper}`;
+  if (CLAUSES.includes(pair)) return { phrase: pair, width: 2 };
+  if (CLAUSES.includes(tok.upper)) return { phrase: tok.upper, width: 1 };
+  let j = i;
+  while (JOIN_WORDS.includes(code[j]?.upper)) j++;
+  return code[j]?.upper === 'JOIN' ? { phrase: 'JOIN', width: j - i + 1 } : null;
+};
+
+// Items in the list that starts at code[from] (commas at `depth` before the next clause or closing paren)
+const countItems = (code, from, depth) => {
+  let items = 1;
+  let level = depth;
+  for (let i = from; i < code.length; i++) {
+    if (code[i].text === '(') level++;
+    else if (code[i].text === ')' && --level < depth) break;
+    else if (level === depth && code[i].text === ',') items++;
+    else if (level === depth && phraseAt(code, i)) break;
+  }
+  return items;
+};
+
+const applyCase = (tok, keywordCase) => {
+  if (tok.type !== 'keyword' || keywordCase === 'preserve') return tok.text;
+  return keywordCase === 'lower' ? tok.text.toLowerCase() : tok.text.toUpperCase();
+};
+
+// One statement's tokens (comments included, no terminating ';') → formatted text
+const formatStatement = (sql, tokens, { keywordCase, indent }) => {
+  const unit = indent === 'tab' ? '\t' : ' '.repeat(indent);
+  const code = tokens.filter(t => t.type !== 'comment');
+  // A comment on the same line as the code before it stays after that code; others go before the next token
+  const leading = code.map(() => []);
+  const after = code.map(() => []);
+  const trailing = [];
+  tokens.forEach(t => {
+    if (t.type !== 'comment') return;
+    const next = code.findIndex(c => c.start > t.start);
+    const prevIndex = (next === -1 ? code.length : next) - 1;
+    if (prevIndex >= 0 && !sql.slice(code[prevIndex].end, t.start).includes('\n')) after[prevIndex].push(t);
+    else if (next === -1) trailing.push(t);
+    else leading[next].push(t);
+  });
+
+  const lines = [];
+  let text = '';
+  let level = 0;
+  let prev = null;
+  let beforePrev = null;
+  const unary = new Set();
+
+  const breakLine = (nextLevel) => {
+    if (text) lines.push(unit.repeat(level) + text);
+    text = '';
+    level = nextLevel;
+  };
+
+  const needsSpace = (tok) => {
+    if (!text || !prev) return false;
+    if ([',', ')', '.'].includes(tok.text) || ['(', '.'].includes(prev.text) || unary.has(prev)) return false;
+    if (tok.text === '(') {
+      if (prev.type === 'keyword') return !CALL_KEYWORDS.includes(prev.upper);
+      return !(prev.type === 'identifier' && !TABLE_WORDS.includes(beforePrev?.upper));
+    }
+    return true;
+  };
+
+  // A sign with no value before it: -1, x = -y, THEN +2
+  const isUnary = (tok) => {
+    if (!['-', '+', '~'].includes(tok.text)) return false;
+    if (!prev) return true;
+    if (prev.type === 'keyword') return !VALUE_KEYWORDS.includes(prev.upper);
+    return prev.type === 'operator' || (prev.type === 'punct' && prev.text !== ')');
+  };
+
+  const emit = (tok) => {
+    if (isUnary(tok)) unary.add(tok);
+    if (needsSpace(tok)) text += ' ';
+    text += applyCase(tok, keywordCase);
+    beforePrev = prev;
+    prev = tok;
+  };
+
+  const emitComment = (comment) => {
+    if (text) text += ' ';
+    text += comment.text;
+    if (comment.text.startsWith('--')) breakLine(level);
+  };
+
+  const createTable = code[0]?.upper === 'CREATE' && [code[1]?.upper, code[2]?.upper].includes('TABLE');
+  const blocks = [{ depth: 0, base: 0, outer: 0, clause: null, breakCommas: false, itemLevel: 1, between: 0 }];
+  let depth = 0;
+  let columnsOpened = false;
+  let pendingItem = false;
+
+  for (let i = 0; i < code.length; i++) {
+    const tok = code[i];
+    const block = blocks[blocks.length - 1];
+
+    if (tok.text === ')') {
+      depth--;
+      leading[i].forEach(emitComment);
+      if (blocks.length > 1 && block.depth === depth + 1) {
+        blocks.pop();
+        breakLine(block.outer);
+      }
+      emit(tok);
+      after[i].forEach(emitComment);
+      continue;
+    }
+
+    const atBlock = depth === block.depth;
+    const phrase = atBlock ? phraseAt(code, i) : null;
+    // DELETE FROM t stays on one line
+    if (phrase && !(phrase.phrase === 'FROM' && code[i - 1]?.upper === 'DELETE')) {
+      breakLine(block.base);
+      leading[i].forEach(emitComment);
+      for (let k = 0; k < phrase.width; k++) {
+        emit(code[i + k]);
+        after[i + k].forEach(emitComment);
+      }
+      i += phrase.width - 1;
+      block.clause = phrase.phrase;
+      block.between = 0;
+      block.itemLevel = block.base + 1;
+      block.breakCommas = LIST_CLAUSES.includes(phrase.phrase) && countItems(code, i + 1, depth) > 1;
+      pendingItem = block.breakCommas;
+      continue;
+    }
+
+    if (atBlock && pendingItem && !['DISTINCT', 'ALL'].includes(tok.upper)) {
+      breakLine(block.itemLevel);
+      pendingItem = false;
+    }
+    if (atBlock && tok.upper === 'BETWEEN') block.between++;
+    if (atBlock && ['AND', 'OR'].includes(tok.upper)) {
+      if (tok.upper === 'AND' && block.between) block.between--;
+      else if (CONDITION_CLAUSES.includes(block.clause)) breakLine(block.base + 1);
+    }
+    // CREATE TABLE name ( ... ): the column list, one definition per line
+    const opensColumns = tok.text === '(' && createTable && !columnsOpened && depth === 0
+      && prev?.type === 'identifier' && ['TABLE', 'EXISTS'].includes(beforePrev?.upper);
+    leading[i].forEach(emitComment);
+    emit(tok);
+    after[i].forEach(emitComment);
+
+    if (atBlock && tok.text === ',' && block.breakCommas) {
+      breakLine(block.itemLevel);
+    } else if (tok.text === '(') {
+      depth++;
+      const next = code[i + 1];
+      if (next && (next.upper === 'SELECT' || next.upper === 'WITH')) {
+        blocks.push({ depth, base: level + 1, outer: level, clause: null, breakCommas: false, itemLevel: level + 2, between: 0 });
+        breakLine(level + 1);
+      } else if (opensColumns) {
+        columnsOpened = true;
+        blocks.push({ depth, base: level + 1, outer: level, clause: 'COLUMNS', breakCommas: true, itemLevel: level + 1, between: 0 });
+        breakLine(level + 1);
+      }
+    }
+  }
+  trailing.forEach(emitComment);
+  breakLine(0);
+  return lines.join('\n');
+};
+
+const isTrigger = (tokens) => tokens[0]?.upper === 'CREATE' && tokens.some(t => t.upper === 'TRIGGER');
+
+// Formats a whole script. Statements are separated by a blank line; trigger bodies are left as written.
+export const formatSql = (sql, options = {}) => {
+  const settings = { ...FORMAT_DEFAULTS, ...options };
+  const all = tokenize(sql || '', { comments: true });
+  const chunks = [];
+  let t = 0;
+
+  splitStatements(sql || '').forEach(stmt => {
+    const tokens = [];
+    for (; t < all.length && all[t].start < stmt.end; t++) {
+      // Stray semicolons between statements (";;") are dropped
+      if (all[t].text !== ';' || all[t].start >= stmt.start) tokens.push(all[t]);
+    }
+    if (all[t] && all[t].start === stmt.terminatorStart) t++;
+    const code = tokens.filter(tok => tok.type !== 'comment');
+    const body = isTrigger(code)
+      ? sql.slice(tokens[0].start, stmt.end)
+      : formatStatement(sql, tokens, settings);
+    chunks.push(`${body}${stmt.terminated ? ';' : ''}`);
+  });
+
+  const rest = all.slice(t).filter(tok => tok.type === 'comment');
+  if (rest.length) chunks.push(rest.map(c => c.text).join('\n'));
+  return chunks.join('\n\n');
+};
@@ -0,0 +1,35 @@
+import { formatSql } from './sqlFormatter';
+
+test('puts clauses, list items and conditions on their own lines', () => {
+  const sql = "select s.name, -- who\n d.dept_name from student s join department d on s.dept_id = d.dept_id where s.age > 18 and d.dept_name = 'CS' order by 1; delete from student where id in (select id from student where age < -1)";
+  expect(formatSql(sql)).toBe([
+    'SELECT',
+    '  s.name, -- who',
+    '  d.dept_name',
+    'FROM student s',
+    'JOIN department d ON s.dept_id = d.dept_id',
+    'WHERE s.age > 18',
+    "  AND d.dept_name = 'CS'",
+    'ORDER BY 1;',
+    '',
+    'DELETE FROM student',
+    'WHERE id IN (',
+    '  SELECT id',
+    '  FROM student',
+    '  WHERE age < -1',
+    ')'
+  ].join('\n'));
+  expect(formatSql("create table t (id integer primary key, name text not null); insert into t (id, name) values (1, 'a'), (2, 'b')")).toBe(
+    "CREATE TABLE t (\n  id integer PRIMARY KEY,\n  name text NOT NULL\n);\n\nINSERT INTO t (id, name)\nVALUES\n  (1, 'a'),\n  (2, 'b')"
+  );
+});
+
+test('applies keyword case and indent options and is stable when run twice', () => {
+  expect(formatSql('select a,b from t where x=1', { keywordCase: 'lower', indent: 4 })).toBe('select\n    a,\n    b\nfrom t\nwhere x = 1');
+  expect(formatSql('Select a, b From t', { keywordCase: 'preserve', indent: 'tab' })).toBe('Select\n\ta,\n\tb\nFrom t');
+
+  const messy = "-- header\nSELECT CAST(x AS INT), COUNT(*) FROM t WHERE b BETWEEN 1 AND 2 AND c IN ( -- sub\n SELECT c FROM u) GROUP BY 1;; UPDATE t SET a = a - 1, b = 'x' WHERE id = 3";
+  const once = formatSql(messy);
+  expect(once).toMatch(/^-- header\nSELECT\n {2}CAST\(x AS INT\),\n {2}COUNT\(\*\)\nFROM t\nWHERE b BETWEEN 1 AND 2\n {2}AND c IN \( -- sub\n/);
+  expect(formatSql(once)).toBe(once);
+});
@@ -0,0 +1,421 @@
+import { KEYWORDS, parseScript, statementAt } from './sqlParser';
+import { buildRegistry, findTable } from './schemaRegistry';
+import { formatSql } from './sqlFormatter';
+
+// --- SCHEMA-AWARE EDITOR INTELLIGENCE ---
+// Pure analysis (completions, hover, diagnostics) plus the Monaco glue that wires it into <Editor>,
+// including the teaching linter's warnings (sqlLinter.js) and the formatter (sqlFormatter.js).
+
+export const MARKER_OWNER = 'sql-smart-lab';
+
+export const SQL_FUNCTIONS = {
+  COUNT: 'COUNT(expr | *) → number of non-NULL values (or rows)',
+  SUM: 'SUM(expr) → total of a numeric column',
+  AVG: 'AVG(expr) → average of a numeric column',
+  MIN: 'MIN(expr) → smallest value',
+  MAX: 'MAX(expr) → largest value',
+  GROUP_CONCAT: 'GROUP_CONCAT(expr [, separator]) → values of a group joined into one string',
+  ABS: 'ABS(x) → absolute value',
+  ROUND: 'ROUND(x [, digits]) → x rounded to digits places',
+  LENGTH: 'LENGTH(text) → number of characters',
+  LOWER: 'LOWER(text) → text in lower case',
+  UPPER: 'UPPER(text) → text in upper case',
+  TRIM: 'TRIM(text [, chars]) → text without leading/trailing spaces',
+  SUBSTR: 'SUBSTR(text, start [, length]) → part of a string (1-based)',
+  REPLACE: 'REPLACE(text, find, replacement) → text with every match replaced',
+  INSTR: 'INSTR(text, find) → 1-based position of find, 0 if missing',
+  COALESCE: 'COALESCE(a, b, ...) → first non-NULL argument',
+  IFNULL: 'IFNULL(a, b) → a, or b when a is NULL',
+  NULLIF: 'NULLIF(a, b) → NULL when a = b, otherwise a',
+  CAST: 'CAST(expr AS type) → expr converted to type',
+  DATE: "DATE(value [, modifier...]) → 'YYYY-MM-DD'",
+  DATETIME: "DATETIME(value [, modifier...]) → 'YYYY-MM-DD HH:MM:SS'",
+  STRFTIME: 'STRFTIME(format, value) → formatted date/time',
+  JULIANDAY: 'JULIANDAY(value) → fractional day number, handy for date differences',
+  RANDOM: 'RANDOM() → random 64-bit integer',
+  TYPEOF: "TYPEOF(expr) → storage class: 'integer', 'real', 'text', 'blob' or 'null'",
+  ROW_NUMBER: 'ROW_NUMBER() OVER (...) → 1, 2, 3 … within each window',
+  RANK: 'RANK() OVER (...) → rank with gaps for ties',
+  DENSE_RANK: 'DENSE_RANK() OVER (...) → rank without gaps'
+};
+
+const TABLE_CONTEXT = ['FROM', 'JOIN', 'INTO', 'UPDATE', 'TABLE'];
+
+// --- 1. FUZZY MATCHING ---
+export const editDistance = (a, b) => {
+  const x = a.toLowerCase();
+  const y = b.toLowerCase();
+  let prev = Array.from({ length: y.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= x.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= y.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[y.length];
+};
+
+export const closestNames = (name, candidates, limit = 3) => {
+  const budget = Math.max(1, Math.floor(name.length / 3));
+  return [...new Set(candidates)]
+    .map(candidate => ({ candidate, distance: editDistance(name, candidate) }))
+    .filter(({ distance }) => distance <= budget)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+};
+
+// --- 2. SCOPE RESOLUTION ---
+// Registry plus whatever the script itself creates or alters before the caret.
+export const scriptRegistry = (registry, statements) => {
+  const merged = { ...registry };
+  statements.forEach(stmt => {
+    if (stmt.create) {
+      const { table, columns, primaryKey, foreignKeys } = stmt.create;
+      if (!stmt.create.asSelect) merged[table.toLowerCase()] = { name: table, columns, primaryKey, foreignKeys };
+    } else if (stmt.type === 'ALTER' && stmt.alter && findTable(merged, stmt.target)) {
+      const table = findTable(merged, stmt.target);
+      const key = stmt.target.toLowerCase();
+      const { action, column, newName } = stmt.alter;
+      if (action === 'ADD_COLUMN') merged[key] = { ...table, columns: [...table.columns, column] };
+      if (action === 'DROP_COLUMN') merged[key] = { ...table, columns: table.columns.filter(c => c.name.toLowerCase() !== column.name.toLowerCase()) };
+      if (action === 'RENAME_COLUMN' && newName) {
+        merged[key] = { ...table, columns: table.columns.map(c => (c.name.toLowerCase() === column.name.toLowerCase() ? { ...c, name: newName } : c)) };
+      }
+      if (action === 'RENAME_TABLE' && newName) {
+        delete merged[key];
+        merged[newName.toLowerCase()] = { ...table, name: newName };
+      }
+    }
+  });
+  return merged;
+};
+
+// { aliasOrName(lower) → table | null } for every table reference in a statement.
+export const statementScope = (stmt, registry) => {
+  const scope = {};
+  const cteNames = (stmt.ctes || []).map(name => name.toLowerCase());
+  stmt.tables.forEach(ref => {
+    const table = cteNames.includes(ref.name.toLowerCase()) ? null : findTable(registry, ref.name);
+    scope[ref.name.toLowerCase()] = table;
+    if (ref.alias) scope[ref.alias.toLowerCase()] = table;
+  });
+  return scope;
+};
+
+const scopedColumns = (scope) => {
+  const seen = new Set();
+  return Object.values(scope).filter(table => {
+    if (!table || seen.has(table)) return false;
+    seen.add(table);
+    return true;
+  }).flatMap(table => table.columns.map(column => ({ table, column })));
+};
+
+export const describeColumn = (table, column) => {
+  const fk = (table.foreignKeys || []).find(f => f.columns.some(c => c.toLowerCase() === column.name.toLowerCase()));
+  const keys = [
+    column.primaryKey ? 'PRIMARY KEY' : null,
+    fk ? `→ ${fk.refTable}.${fk.refColumns[fk.columns.indexOf(column.name)] || '?'}` : null,
+    column.notNull ? 'NOT NULL' : null
+  ].filter(Boolean);
+  return `${table.name}.${column.name} ${column.type || 'ANY'}${keys.length ? ` · ${keys.join(' · ')}` : ''}`;
+};
+
+// --- 3. COMPLETIONS ---
+// Returns [{ label, kind: 'table' | 'column' | 'keyword' | 'function', detail, insertText }].
+export const getCompletions = (sql, offset, registry) => {
+  const statements = parseScript(sql);
+  const known = scriptRegistry(registry, statements.filter(s => s.end < offset));
+  const stmt = statementAt(statements, offset);
+  const tokens = stmt ? stmt.tokens.filter(t => t.end <= offset) : [];
+  let last = tokens[tokens.length - 1];
+  // Drop the word currently being typed; Monaco filters on it
+  if (last && last.end === offset && (last.type === 'identifier' || last.type === 'keyword')) {
+    tokens.pop();
+    last = tokens[tokens.length - 1];
+  }
+
+  const tableItems = Object.values(known).map(table => ({
+    label: table.name, kind: 'table', detail: `table · ${table.columns.length} columns`, insertText: table.name
+  }));
+
+  if (last && TABLE_CONTEXT.includes(last.upper)) return tableItems;
+
+  const scope = stmt ? statementScope(stmt, known) : {};
+  if (last && last.text === '.') {
+    const qualifier = tokens[tokens.length - 2];
+    const table = qualifier ? scope[qualifier.value.toLowerCase()] || findTable(known, qualifier.value) : null;
+    return table ? table.columns.map(column => ({
+      label: column.name, kind: 'column', detail: describeColumn(table, column), insertText: column.name
+    })) : [];
+  }
+
+  const columnItems = scopedColumns(scope).map(({ table, column }) => ({
+    label: column.name, kind: 'column', detail: describeColumn(table, column), insertText: column.name
+  }));
+  const functionItems = Object.entries(SQL_FUNCTIONS).map(([name, doc]) => ({
+    label: name, kind: 'function', detail: doc, insertText: `${name}(`
+  }));
+  const keywordItems = [...KEYWORDS].map(word => ({ label: word, kind: 'keyword', detail: 'keyword', insertText: word }));
+  return [...columnItems, ...tableItems, ...functionItems, ...keywordItems];
+};
+
+// --- 4. HOVER ---
+// Returns { start, end, markdown } or null.
+export const getHoverInfo = (sql, offset, registry) => {
+  const statements = parseScript(sql);
+  const stmt = statementAt(statements, offset);
+  if (!stmt) return null;
+  const idx = stmt.tokens.findIndex(t => t.start <= offset && offset <= t.end);
+  const tok = stmt.tokens[idx];
+  if (!tok || (tok.type !== 'identifier' && tok.type !== 'keyword')) return null;
+
+  const known = scriptRegistry(registry, statements.filter(s => s.end < stmt.start));
+  const scope = statementScope(stmt, known);
+  const span = { start: tok.start, end: tok.end };
+  const name = tok.value.toLowerCase();
+  const next = stmt.tokens[idx + 1];
+
+  if (next && next.text === '(' && SQL_FUNCTIONS[tok.upper]) return { ...span, markdown: `**${tok.upper}** — ${SQL_FUNCTIONS[tok.upper]}` };
+
+  const prev = stmt.tokens[idx - 1];
+  if (prev && prev.text === '.') {
+    const table = scope[stmt.tokens[idx - 2]?.value.toLowerCase()] || findTable(known, stmt.tokens[idx - 2]?.value);
+    const column = table && table.columns.find(c => c.name.toLowerCase() === name);
+    return column ? { ...span, markdown: `\`${describeColumn(table, column)}\`` } : null;
+  }
+
+  const tableHover = (table, viaAlias) => {
+    const columns = table.columns.map(c => `- \`${c.name}\` ${c.type || 'ANY'}${c.primaryKey ? ' 🔑' : ''}`).join('\n');
+    const heading = viaAlias ? `**${tok.value}** → table **${table.name}**` : `**${table.name}** (table)`;
+    return { ...span, markdown: `${heading}\n\n${columns}` };
+  };
+
+  const ref = stmt.tables.find(t => t.start === tok.start || t.aliasStart === tok.start);
+  if (ref) {
+    const table = findTable(known, ref.name);
+    return table ? tableHover(table, ref.aliasStart === tok.start) : null;
+  }
+  if (next && next.text === '.') {
+    const table = scope[name] || findTable(known, name);
+    return table ? tableHover(table, table.name.toLowerCase() !== name) : null;
+  }
+
+  const match = scopedColumns(scope).filter(({ column }) => column.name.toLowerCase() === name);
+  if (match.length) return { ...span, markdown: match.map(({ table, column }) => `\`${describeColumn(table, column)}\``).join('\n\n') };
+  const table = findTable(known, name);
+  return table ? tableHover(table, false) : null;
+};
+
+// --- 5. DIAGNOSTICS ---
+const CHECKED_TYPES = ['SELECT', 'INSERT', 'UPDATE', 'DELETE'];
+
+// SQLite's own catalog tables: queryable everywhere, but filtered out of the introspected schema
+const CATALOG_COLUMNS = [['type', 'TEXT'], ['name', 'TEXT'], ['tbl_name', 'TEXT'], ['rootpage', 'INTEGER'], ['sql', 'TEXT']];
+const SQLITE_CATALOG = buildRegistry([
+  ...['sqlite_master', 'sqlite_schema', 'sqlite_temp_master', 'sqlite_temp_schema'].map(name => ({
+    name, columns: CATALOG_COLUMNS.map(([column, type]) => ({ name: column, type })), primaryKey: [], foreignKeys: []
+  })),
+  { name: 'sqlite_sequence', columns: [{ name: 'name', type: '' }, { name: 'seq', type: '' }], primaryKey: [], foreignKeys: [] }
+]);
+// Hidden columns every ordinary table has
+const ROWID_COLUMNS = ['rowid', 'oid', '_rowid_'];
+// Words SQLite treats as keywords only in context, so the tokenizer leaves them as identifiers
+const NULLS_ORDER = ['FIRST', 'LAST'];
+const FRAME_WORDS = ['ROWS', 'RANGE', 'GROUPS', 'UNBOUNDED', 'PRECEDING', 'FOLLOWING', 'CURRENT', 'EXCLUDE', 'TIES', 'OTHERS'];
+
+// ORDER BY x NULLS LAST, and window frames (ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW)
+const isContextKeyword = (tokens, i, windowed) => {
+  const upper = tokens[i].value.toUpperCase();
+  if (upper === 'NULLS') return NULLS_ORDER.includes(tokens[i + 1]?.upper);
+  if (NULLS_ORDER.includes(upper)) return tokens[i - 1]?.upper === 'NULLS';
+  return windowed && FRAME_WORDS.includes(upper);
+};
+
+// Returns [{ start, end, message, severity: 'error', suggestions: [names] }].
+// Nothing is reported while the registry is empty (schema still loading, or the backend is unreachable).
+export const getDiagnostics = (sql, registry) => {
+  if (!Object.keys(registry || {}).length) return [];
+  const statements = parseScript(sql);
+  const diagnostics = [];
+
+  statements.forEach((stmt, index) => {
+    if (!CHECKED_TYPES.includes(stmt.type)) return;
+    const own = scriptRegistry(registry, statements.slice(0, index));
+    const known = { ...SQLITE_CATALOG, ...own };
+    const scope = statementScope(stmt, known);
+    const cteNames = stmt.ctes.map(name => name.toLowerCase());
+    const knownTableNames = [...Object.values(own).map(t => t.name), ...stmt.ctes];
+
+    // Unknown tables
+    stmt.tables.forEach(ref => {
+      if (cteNames.includes(ref.name.toLowerCase()) || findTable(known, ref.name)) return;
+      const suggestions = closestNames(ref.name, knownTableNames);
+      diagnostics.push({
+        start: ref.start, end: ref.end, severity: 'error', suggestions,
+        message: `Unknown table '${ref.name}'.${suggestions.length ? ` Did you mean '${suggestions[0]}'?` : ''}`
+      });
+    });
+
+    // Unknown columns: only when every table in scope resolved and there is no derived table to hide columns
+    const tokens = stmt.tokens;
+    const refStarts = new Set(stmt.tables.flatMap(ref => [ref.start, ref.aliasStart]));
+    const derived = tokens.some((t, i) => ['FROM', 'JOIN'].includes(t.upper) && tokens[i + 1]?.text === '(');
+    const fullyResolved = Object.values(scope).every(Boolean) && !derived;
+    const aliases = new Set([
+      ...(stmt.columns || []).map(c => c.alias).filter(Boolean),
+      ...tokens.filter((t, i) => tokens[i - 1]?.upper === 'AS').map(t => t.value)
+    ].map(name => name.toLowerCase()));
+    const inScope = scopedColumns(scope);
+    const windowed = tokens.some(t => t.upper === 'OVER' || t.upper === 'WINDOW');
+
+    tokens.forEach((tok, i) => {
+      if (tok.type !== 'identifier' || refStarts.has(tok.start)) return;
+      if (isContextKeyword(tokens, i, windowed)) return;
+      const isRowid = ROWID_COLUMNS.includes(tok.value.toLowerCase());
+      const prev = tokens[i - 1];
+      const next = tokens[i + 1];
+      if (next && (next.text === '(' || next.text === '.')) return;
+      if (prev && ['AS', 'COLLATE'].includes(prev.upper)) return;
+
+      if (prev && prev.text === '.') {
+        const qualifier = tokens[i - 2];
+        if (!qualifier) return;
+        const key = qualifier.value.toLowerCase();
+        if (!(key in scope)) {
+          const suggestions = closestNames(qualifier.value, Object.keys(scope));
+          diagnostics.push({
+            start: qualifier.start, end: qualifier.end, severity: 'error', suggestions,
+            message: `'${qualifier.value}' is not a table or alias in this query.${suggestions.length ? ` Did you mean '${suggestions[0]}'?` : ''}`
+          });
+          return;
+        }
+        const table = scope[key];
+        if (!table || isRowid || table.columns.some(c => c.name.toLowerCase() === tok.value.toLowerCase())) return;
+        const suggestions = closestNames(tok.value, table.columns.map(c => c.name));
+        diagnostics.push({
+          start: tok.start, end: tok.end, severity: 'error', suggestions,
+          message: `Table '${table.name}' has no column '${tok.value}'.${suggestions.length ? ` Did you mean '${suggestions[0]}'?` : ''}`
+        });
+        return;
+      }
+
+      const name = tok.value.toLowerCase();
+      if (!fullyResolved || !inScope.length || isRowid || aliases.has(name) || name in scope) return;
+      if (inScope.some(({ column }) => column.name.toLowerCase() === name)) return;
+      const suggestions = closestNames(tok.value, inScope.map(({ column }) => column.name));
+      const tableNames = [...new Set(inScope.map(({ table }) => table.name))].join(', ');
+      diagnostics.push({
+        start: tok.start, end: tok.end, severity: 'error', suggestions,
+        message: `No column '${tok.value}' in ${tableNames}.${suggestions.length ? ` Did you mean '${suggestions[0]}'?` : ''}`
+      });
+    });
+  });
+  return diagnostics;
+};
+
+// --- 6. MONACO GLUE ---
+const toRange = (monaco, model, start, end) => {
+  const from = model.getPositionAt(start);
+  const to = model.getPositionAt(end);
+  return new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column);
+};
+
+const latestDiagnostics = new Map();
+const latestLint = new Map();
+
+const toMarker = (monaco, model, item, severity, source) => {
+  const range = toRange(monaco, model, item.start, item.end);
+  return {
+    startLineNumber: range.startLineNumber, startColumn: range.startColumn,
+    endLineNumber: range.endLineNumber, endColumn: range.endColumn,
+    message: item.message, severity, source, code: item.rule
+  };
+};
+
+// lintWarnings: lintSql() output for the model's current text, shown as warnings with their quick fixes
+export const updateDiagnostics = (monaco, model, registry, lintWarnings = []) => {
+  const diagnostics = getDiagnostics(model.getValue(), registry);
+  const key = model.uri.toString();
+  latestDiagnostics.set(key, diagnostics);
+  latestLint.set(key, lintWarnings);
+  monaco.editor.setModelMarkers(model, MARKER_OWNER, [
+    ...diagnostics.map(d => toMarker(monaco, model, d, monaco.MarkerSeverity.Error, 'schema')),
+    ...lintWarnings.map(w => toMarker(monaco, model, w, monaco.MarkerSeverity.Warning, 'lint'))
+  ]);
+};
+
+// Registers completion, hover, quick-fix and formatting providers. getRegistry() and getFormatOptions()
+// are read on every request so the providers always see the latest schema and settings. Returns a disposable.
+export const registerSqlLanguage = (monaco, getRegistry, getFormatOptions = () => ({})) => {
+  const KINDS = {
+    table: monaco.languages.CompletionItemKind.Struct,
+    column: monaco.languages.CompletionItemKind.Field,
+    function: monaco.languages.CompletionItemKind.Function,
+    keyword: monaco.languages.CompletionItemKind.Keyword
+  };
+  const ORDER = { column: '0', table: '1', function: '2', keyword: '3' };
+
+  const providers = [
+    monaco.languages.registerCompletionItemProvider('sql', {
+      triggerCharacters: ['.', ' '],
+      provideCompletionItems: (model, position) => {
+        const word = model.getWordUntilPosition(position);
+        const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+        const items = getCompletions(model.getValue(), model.getOffsetAt(position), getRegistry());
+        return {
+          suggestions: items.map(item => ({
+            label: item.label,
+            kind: KINDS[item.kind],
+            detail: item.detail,
+            insertText: item.insertText,
+            sortText: `${ORDER[item.kind]}${item.label}`,
+            range
+          }))
+        };
+      }
+    }),
+    monaco.languages.registerHoverProvider('sql', {
+      provideHover: (model, position) => {
+        const info = getHoverInfo(model.getValue(), model.getOffsetAt(position), getRegistry());
+        return info ? { range: toRange(monaco, model, info.start, info.end), contents: [{ value: info.markdown }] } : null;
+      }
+    }),
+    monaco.languages.registerCodeActionProvider('sql', {
+      provideCodeActions: (model, range) => {
+        const diagnostics = latestDiagnostics.get(model.uri.toString()) || [];
+        const lint = latestLint.get(model.uri.toString()) || [];
+        const touches = (item) => toRange(monaco, model, item.start, item.end).intersectRanges(range);
+        const textEdit = (start, end, text) => ({
+          resource: model.uri, versionId: model.getVersionId(), textEdit: { range: toRange(monaco, model, start, end), text }
+        });
+        const actions = [
+          ...diagnostics
+            .filter(d => d.suggestions.length && touches(d))
+            .flatMap(d => d.suggestions.map((name, i) => ({
+              title: `Did you mean '${name}'?`,
+              kind: 'quickfix',
+              isPreferred: i === 0,
+              edit: { edits: [textEdit(d.start, d.end, name)] }
+            }))),
+          ...lint
+            .filter(touches)
+            .flatMap(w => w.fixes.map(fix => ({
+              title: fix.title,
+              kind: 'quickfix',
+              edit: { edits: fix.edits.map(e => textEdit(e.start, e.end, e.text)) }
+            })))
+        ];
+        return { actions, dispose: () => {} };
+      }
+    }),
+    // Format Document (Shift+Alt+F) and the toolbar's Format button
+    monaco.languages.registerDocumentFormattingEditProvider('sql', {
+      provideDocumentFormattingEdits: (model) => [{ range: model.getFullModelRange(), text: formatSql(model.getValue(), getFormatOptions()) }]
+    })
+  ];
+
+  return { dispose: () => providers.forEach(p => p.dispose()) };
+};
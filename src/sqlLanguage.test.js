@@ -0,0 +1,69 @@
+import { getCompletions, getDiagnostics, getHoverInfo } from './sqlLanguage';
+import { buildRegistry } from './schemaRegistry';
+
+const registry = buildRegistry([
+  {
+    name: 'student',
+    columns: [
+      { name: 'emp_id', type: 'INTEGER', primaryKey: true },
+      { name: 'emp_name', type: 'TEXT' },
+      { name: 'departmenit_id', type: 'TEXT' }
+    ],
+    primaryKey: ['emp_id'],
+    foreignKeys: [{ columns: ['departmenit_id'], refTable: 'department', refColumns: ['dept_id'] }]
+  },
+  {
+    name: 'department',
+    columns: [{ name: 'dept_id', type: 'TEXT', primaryKey: true }, { name: 'dept_name', type: 'TEXT' }],
+    primaryKey: ['dept_id'],
+    foreignKeys: []
+  }
+]);
+
+test('offers the misspelt real column as a quick fix', () => {
+  const [diagnostic] = getDiagnostics('SELECT department_id FROM student', registry);
+  expect(diagnostic.message).toMatch(/No column 'department_id'/);
+  expect(diagnostic.suggestions).toEqual(['departmenit_id']);
+  expect([diagnostic.start, diagnostic.end]).toEqual([7, 20]);
+});
+
+test('flags unknown tables and alias-qualified columns', () => {
+  const diagnostics = getDiagnostics('SELECT x.emp_name FROM studnt; SELECT s.emp_nme FROM student s', registry);
+  expect(diagnostics.map(d => d.suggestions[0])).toEqual(['student', undefined, 'emp_name']);
+  expect(diagnostics[1].message).toMatch(/'x' is not a table or alias/);
+});
+
+test('accepts tables and columns created earlier in the same script', () => {
+  const sql = 'CREATE TABLE grades (id INT, score REAL); ALTER TABLE grades ADD COLUMN note TEXT; SELECT score, note FROM grades';
+  expect(getDiagnostics(sql, registry)).toEqual([]);
+});
+
+test('stays quiet until the schema has loaded', () => {
+  expect(getDiagnostics('SELECT emp_name FROM student', {})).toEqual([]);
+  expect(getDiagnostics('SELECT emp_name FROM student', undefined)).toEqual([]);
+});
+
+test('knows context keywords, rowid and the SQLite catalog', () => {
+  const valid = [
+    'SELECT emp_name FROM student ORDER BY emp_name NULLS LAST, emp_id DESC NULLS FIRST',
+    'SELECT emp_name, SUM(emp_id) OVER (ORDER BY emp_id ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) FROM student',
+    'SELECT COUNT(*) OVER w FROM student WINDOW w AS (RANGE BETWEEN 1 PRECEDING AND 1 FOLLOWING EXCLUDE TIES)',
+    'SELECT rowid, s.oid FROM student s WHERE _rowid_ > 1',
+    "SELECT name, sql FROM sqlite_master WHERE type = 'table'"
+  ];
+  valid.forEach(sql => expect(getDiagnostics(sql, registry)).toEqual([]));
+  // Outside a window the frame words are ordinary (unknown) columns again
+  expect(getDiagnostics('SELECT current FROM student', registry)[0].message).toMatch(/No column 'current'/);
+  expect(getDiagnostics('SELECT nme FROM sqlite_master', registry)[0].suggestions).toEqual(['name']);
+});
+
+test('completes tables after FROM and alias-scoped columns after a dot', () => {
+  expect(getCompletions('SELECT * FROM ', 14, registry).map(i => i.label)).toEqual(['student', 'department']);
+  const sql = 'SELECT d. FROM student s JOIN department d ON s.departmenit_id = d.dept_id';
+  expect(getCompletions(sql, 9, registry).map(i => i.label)).toEqual(['dept_id', 'dept_name']);
+});
+
+test('hover describes column types and keys', () => {
+  const info = getHoverInfo('SELECT departmenit_id FROM student', 10, registry);
+  expect(info.markdown).toContain('student.departmenit_id TEXT · → department.dept_id');
+});
@@ -0,0 +1,286 @@
+import { parseScript, quoteIdentifier, splitList } from './sqlParser';
+import { findTable, foreignKeyEdges } from './schemaRegistry';
+import { scriptRegistry, statementScope } from './sqlLanguage';
+
+// --- TEACHING LINTER ---
+// Best-practice warnings for SQL that runs but teaches bad habits. Every warning points at a span of
+// the script and may carry quick fixes:
+// { rule, start, end, message, fixes: [{ title, edits: [{ start, end, text }] }] }
+
+const RULES_KEY = 'sqlSmartLab.lintRules';
+
+export const LINT_RULES = [
+  { id: 'select-star', label: 'SELECT * in a final query', description: 'Name the columns you need, so the result does not change shape when the table does.' },
+  { id: 'missing-where', label: 'DELETE / UPDATE without WHERE', description: 'Without a WHERE clause every row in the table is changed.' },
+  { id: 'comma-join', label: 'Implicit comma joins', description: 'FROM a, b pairs every row with every row; JOIN ... ON states how the tables connect.' },
+  { id: 'group-by', label: 'Columns missing from GROUP BY', description: 'A plain column next to an aggregate takes its value from an arbitrary row of each group.' },
+  { id: 'null-comparison', label: '= NULL instead of IS NULL', description: 'Any comparison with NULL is unknown, so = NULL never matches a row.' },
+  { id: 'quoted-number', label: 'Text compared with a numeric column', description: "Quoting a number ('5') turns it into text; compare numeric columns with plain numbers." }
+];
+
+export const DEFAULT_LINT_RULES = Object.fromEntries(LINT_RULES.map(rule => [rule.id, true]));
+
+export const loadLintRules = () => {
+  try {
+    return { ...DEFAULT_LINT_RULES, ...JSON.parse(localStorage.getItem(RULES_KEY)) };
+  } catch (e) {
+    return DEFAULT_LINT_RULES;
+  }
+};
+
+export const saveLintRules = (rules) => {
+  try { localStorage.setItem(RULES_KEY, JSON.stringify(rules)); } catch (e) { /* Storage disabled: keep them for this session */ }
+};
+
+const AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'GROUP_CONCAT', 'TOTAL'];
+const COMPARISONS = ['=', '==', '!=', '<>', '<', '>', '<=', '>='];
+const NUMERIC_TYPE = /INT|REAL|FLOA|DOUB|NUM|DEC/i;
+
+const warning = (rule, start, end, message, fixes = []) => ({ rule, start, end, message, fixes });
+const edit = (start, end, text) => ({ start, end, text });
+const normalize = (text) => text.replace(/\s+/g, '').toLowerCase();
+
+// Tables in scope that resolved against the registry, each once, with the name SQL should use for it
+const resolvedRefs = (stmt, known) => stmt.tables
+  .map(ref => ({ ref, table: findTable(known, ref.name), label: ref.alias || ref.name }))
+  .filter(({ ref, table }) => table && !stmt.ctes.some(name => name.toLowerCase() === ref.name.toLowerCase()));
+
+// --- 1. RULES ---
+// Each rule: (stmt, context) → warnings. context: { known, scope }
+
+const selectStar = (stmt, { known }) => {
+  if (stmt.type !== 'SELECT' || !stmt.columns) return [];
+  const refs = resolvedRefs(stmt, known);
+  const allResolved = refs.length === stmt.tables.length && refs.length > 0;
+  return stmt.columns.flatMap(col => {
+    const star = col.tokens[col.tokens.length - 1];
+    if (!star || star.text !== '*') return [];
+    const qualifier = col.tokens.length === 3 && col.tokens[1].text === '.' ? col.tokens[0].value.toLowerCase() : null;
+    const start = col.tokens[0].start;
+    const fixes = [];
+    if (qualifier) {
+      const match = refs.find(r => r.label.toLowerCase() === qualifier);
+      if (match) fixes.push({ title: `List the columns of ${match.table.name}`, edits: [edit(start, star.end, match.table.columns.map(c => `${quoteIdentifier(match.label)}.${quoteIdentifier(c.name)}`).join(', '))] });
+    } else if (allResolved) {
+      const qualify = refs.length > 1;
+      const names = refs.flatMap(r => r.table.columns.map(c => (qualify ? `${quoteIdentifier(r.label)}.${quoteIdentifier(c.name)}` : quoteIdentifier(c.name))));
+      fixes.push({ title: 'List the columns explicitly', edits: [edit(start, star.end, names.join(', '))] });
+    }
+    return [warning('select-star', start, star.end, 'SELECT * returns every column, including ones added later. List the columns your answer needs.', fixes)];
+  });
+};
+
+// Clauses that come after WHERE in DELETE / UPDATE
+const AFTER_WHERE = ['RETURNING', 'ORDER', 'LIMIT'];
+
+const missingWhere = (stmt, { known }) => {
+  if (!['DELETE', 'UPDATE'].includes(stmt.type) || !stmt.target || (stmt.clauses && stmt.clauses.where)) return [];
+  const table = findTable(known, stmt.target);
+  const key = table && table.primaryKey && table.primaryKey.length ? table.primaryKey[0] : 'id';
+  const verb = stmt.type === 'DELETE' ? 'deletes' : 'updates';
+  // WHERE goes before RETURNING / ORDER BY / LIMIT, i.e. right after the token in front of them
+  const { tokens } = stmt;
+  const next = tokens.findIndex(t => t.depth === tokens[0].depth && AFTER_WHERE.includes(t.upper));
+  const at = next > 0 ? tokens[next - 1].end : stmt.end;
+  return [warning(
+    'missing-where', tokens[0].start, tokens[0].end,
+    `This ${stmt.type} has no WHERE clause, so it ${verb} every row in ${stmt.target}.`,
+    [{ title: 'Add a WHERE clause (then fill in the value)', edits: [edit(at, at, ` WHERE ${key} = `)] }]
+  )];
+};
+
+// FROM a, b → FROM a JOIN b ON <foreign key>, or CROSS JOIN when no key links them
+const commaJoin = (stmt, { known }) => {
+  const from = stmt.clauses && stmt.clauses.from;
+  if (!from || !from.tokens.length) return [];
+  const depth = from.tokens[0].depth;
+  const commas = from.tokens.filter(t => t.text === ',' && t.depth === depth);
+  const refs = stmt.tables.filter(ref => ref.start >= from.start && ref.end <= from.end);
+  const edges = foreignKeyEdges(known);
+  const label = (ref) => ref.alias || ref.name;
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  return commas.flatMap(comma => {
+    // Derived tables (FROM a, (SELECT ...) x) are left alone
+    const right = refs.find(ref => ref.start > comma.start);
+    const next = from.tokens.find(t => t.start > comma.start);
+    if (!right || !next || right.start !== next.start) return [];
+    const end = right.aliasEnd || right.end;
+    const link = refs.filter(left => left.start < comma.start).map(left => {
+      const edge = edges.find(e => (same(e.from, right.name) && same(e.to, left.name)) || (same(e.from, left.name) && same(e.to, right.name)));
+      if (!edge || !edge.refColumn) return null;
+      const [child, parent] = same(edge.from, right.name) ? [right, left] : [left, right];
+      return `${label(child)}.${edge.column} = ${label(parent)}.${edge.refColumn}`;
+    }).find(Boolean);
+    const fixes = link
+      ? [{ title: `Rewrite as JOIN ... ON ${link}`, edits: [edit(comma.start, comma.end, ' JOIN'), edit(end, end, ` ON ${link}`)] }]
+      : [{ title: 'Make it an explicit CROSS JOIN', edits: [edit(comma.start, comma.end, ' CROSS JOIN')] }];
+    return [warning(
+      'comma-join', comma.start, end,
+      `The comma before ${right.name} is an implicit cross join. Use JOIN ... ON so the join condition sits with the join.`,
+      fixes
+    )];
+  });
+};
+
+// An expression's own tokens: subqueries and OVER (...) windows are left out, they aren't evaluated per group
+const ownTokens = (tokens) => {
+  const own = [];
+  let skipping = null;
+  tokens.forEach((tok, i) => {
+    if (skipping !== null) {
+      if (tok.text === ')' && tok.depth === skipping) skipping = null;
+      return;
+    }
+    if (tok.text === '(' && (['SELECT', 'WITH', 'VALUES'].includes(tokens[i + 1]?.upper) || tokens[i - 1]?.upper === 'OVER')) {
+      skipping = tok.depth;
+      return;
+    }
+    own.push(tok);
+  });
+  return own;
+};
+
+// COUNT(...) etc. in the expression itself; SUM(x) OVER (...) is a window function, not an aggregate
+const isAggregate = (tokens) => {
+  const own = ownTokens(tokens);
+  return own.some((tok, i) => {
+    if (!AGGREGATES.includes(tok.upper) || own[i + 1]?.text !== '(') return false;
+    const close = own.findIndex((t, j) => j > i + 1 && t.text === ')' && t.depth === own[i + 1].depth);
+    return close === -1 || own[close + 1]?.upper !== 'OVER';
+  });
+};
+
+const isWindow = (tokens) => ownTokens(tokens).some(tok => tok.upper === 'OVER');
+
+// Column references in an expression as "table.column" keys (the alias when there is one), so s.name
+// and d.name stay apart. A bare name no single table in scope owns becomes "?.column" and matches any table.
+const columnRefs = (tokens, refs) => tokens.flatMap((tok, i) => {
+  // Function names, qualifiers, CAST(x AS type) types and OVER window names aren't columns
+  if (tok.type !== 'identifier' || ['(', '.'].includes(tokens[i + 1]?.text) || ['AS', 'OVER'].includes(tokens[i - 1]?.upper)) return [];
+  const name = tok.value.toLowerCase();
+  if (tokens[i - 1]?.text === '.') return tokens[i - 2] ? [`${tokens[i - 2].value.toLowerCase()}.${name}`] : [];
+  const owners = refs.filter(r => r.table.columns.some(c => c.name.toLowerCase() === name));
+  return [`${owners.length === 1 ? owners[0].label.toLowerCase() : '?'}.${name}`];
+});
+
+const sameColumn = (a, b) => a === b || ((a.startsWith('?.') || b.startsWith('?.')) && a.split('.').pop() === b.split('.').pop());
+
+// Plain (non-aggregated) select items that use a column the groups don't pin down.
+// UPPER(name) is fine with GROUP BY name; name is not fine with GROUP BY UPPER(name).
+const groupBy = (stmt, { known }) => {
+  if (stmt.type !== 'SELECT' || !stmt.columns || !stmt.clauses.from || stmt.compound) return [];
+  const items = stmt.clauses.groupBy ? splitList(stmt.clauses.groupBy.tokens) : [];
+  if (!items.length && !stmt.columns.some(col => isAggregate(col.tokens))) return [];
+  const refs = resolvedRefs(stmt, known);
+
+  // GROUP BY 2 and GROUP BY alias stand for that select item
+  const groupTokens = items.map(item => {
+    const text = item.map(t => t.text).join('');
+    const target = /^\d+$/.test(text)
+      ? stmt.columns[Number(text) - 1]
+      : item.length === 1 && stmt.columns.find(col => col.alias && col.alias.toLowerCase() === item[0].value.toLowerCase());
+    return target ? target.tokens : item;
+  });
+  const grouped = groupTokens.map(tokens => normalize(tokens.map(t => t.text).join('')));
+  // Only a group on the bare column fixes its value: GROUP BY UPPER(name) still mixes 'Ann' and 'ANN'
+  const groupedColumns = groupTokens
+    .filter(tokens => tokens.length === 1 || (tokens.length === 3 && tokens[1].text === '.'))
+    .flatMap(tokens => columnRefs(tokens, refs));
+
+  // Window items are computed after grouping and can't go into GROUP BY, so they're left alone
+  const missing = stmt.columns.filter(col => {
+    if (isAggregate(col.tokens) || isWindow(col.tokens) || col.tokens[col.tokens.length - 1].text === '*') return false;
+    const used = columnRefs(ownTokens(col.tokens), refs);
+    if (!used.length || grouped.includes(normalize(col.tokens.map(t => t.text).join('')))) return false;
+    return !used.every(key => groupedColumns.some(g => sameColumn(key, g)));
+  });
+  if (!missing.length) return [];
+
+  const exprs = missing.map(col => col.expr).join(', ');
+  const { clauses } = stmt;
+  const after = clauses.where || clauses.from;
+  const fix = clauses.groupBy
+    ? edit(clauses.groupBy.end, clauses.groupBy.end, `, ${exprs}`)
+    : edit(after.end, after.end, ` GROUP BY ${exprs}`);
+  return missing.map(col => warning(
+    'group-by', col.tokens[0].start, col.tokens[col.tokens.length - 1].end,
+    clauses.groupBy
+      ? `${col.expr} is neither grouped nor aggregated, so SQLite shows a value from an arbitrary row of each group.`
+      : `${col.expr} sits next to an aggregate without GROUP BY, so the whole table collapses into one row with an arbitrary ${col.expr}.`,
+    [{ title: `Add ${exprs} to GROUP BY`, edits: [fix] }]
+  ));
+};
+
+// x = NULL → x IS NULL; x != NULL / x <> NULL → x IS NOT NULL. UPDATE ... SET x = NULL is an assignment.
+const nullComparison = (stmt) => {
+  const assignments = new Set((stmt.assignments || []).map(a => a.end));
+  return stmt.tokens.flatMap((tok, i) => {
+    const next = stmt.tokens[i + 1];
+    if (!['=', '==', '!=', '<>'].includes(tok.text) || next?.upper !== 'NULL') return [];
+    if (assignments.has(stmt.tokens[i - 1]?.end)) return [];
+    const replacement = ['=', '=='].includes(tok.text) ? 'IS NULL' : 'IS NOT NULL';
+    return [warning(
+      'null-comparison', tok.start, next.end,
+      `${tok.text} NULL is never true, because comparing anything with NULL gives NULL. Use ${replacement}.`,
+      [{ title: `Replace with ${replacement}`, edits: [edit(tok.start, next.end, replacement)] }]
+    )];
+  });
+};
+
+// A column reference (name or alias.name) ending at token i → its schema column, if known
+const columnAt = (tokens, i, scope) => {
+  const tok = tokens[i];
+  if (!tok || tok.type !== 'identifier') return null;
+  const qualified = tokens[i - 1]?.text === '.' ? tokens[i - 2] : null;
+  const tables = qualified ? [scope[qualified.value.toLowerCase()]] : Object.values(scope);
+  const matches = tables.filter(Boolean)
+    .map(table => table.columns.find(c => c.name.toLowerCase() === tok.value.toLowerCase()))
+    .filter(Boolean);
+  return matches.length === 1 ? matches[0] : null;
+};
+
+const quotedNumber = (stmt, { scope }) => {
+  const assignments = new Set((stmt.assignments || []).map(a => a.end));
+  return stmt.tokens.flatMap((tok, i) => {
+    if (!COMPARISONS.includes(tok.text) || assignments.has(stmt.tokens[i - 1]?.end)) return [];
+    const left = stmt.tokens[i - 1];
+    const right = stmt.tokens[i + 1];
+    let column = null;
+    let literal = null;
+    if (right?.type === 'string') [column, literal] = [columnAt(stmt.tokens, i - 1, scope), right];
+    // 'x' = alias.col: the column name is two tokens further on
+    else if (left?.type === 'string') [column, literal] = [columnAt(stmt.tokens, stmt.tokens[i + 2]?.text === '.' ? i + 3 : i + 1, scope), left];
+    if (!column || !NUMERIC_TYPE.test(column.type || '')) return [];
+    const numeric = /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/.test(literal.value);
+    return [warning(
+      'quoted-number', literal.start, literal.end,
+      numeric
+        ? `${column.name} is ${column.type}, but '${literal.value}' is text. SQLite converts it here, most databases don't: compare with the number ${literal.value.trim()}.`
+        : `${column.name} is ${column.type}, so comparing it with the text '${literal.value}' doesn't do what it looks like: every number sorts before any text.`,
+      numeric ? [{ title: `Use the number ${literal.value.trim()}`, edits: [edit(literal.start, literal.end, literal.value.trim())] }] : []
+    )];
+  });
+};
+
+const RULE_CHECKS = {
+  'select-star': selectStar,
+  'missing-where': missingWhere,
+  'comma-join': commaJoin,
+  'group-by': groupBy,
+  'null-comparison': nullComparison,
+  'quoted-number': quotedNumber
+};
+
+// --- 2. ENTRY POINT ---
+// enabled: { ruleId: boolean }; rules missing from it are on.
+export const lintSql = (sql, registry = {}, enabled = DEFAULT_LINT_RULES) => {
+  const statements = parseScript(sql);
+  return statements.flatMap((stmt, index) => {
+    const known = scriptRegistry(registry, statements.slice(0, index));
+    const context = { known, scope: statementScope(stmt, known) };
+    return LINT_RULES
+      .filter(rule => enabled[rule.id] !== false)
+      .flatMap(rule => RULE_CHECKS[rule.id](stmt, context));
+  });
+};
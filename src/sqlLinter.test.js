@@ -0,0 +1,123 @@
+import { lintSql, DEFAULT_LINT_RULES } from './sqlLinter';
+import { buildRegistry } from './schemaRegistry';
+
+const registry = buildRegistry([
+  { name: 'department', columns: [{ name: 'dept_id', type: 'INTEGER' }, { name: 'dept_name', type: 'TEXT' }], primaryKey: ['dept_id'], foreignKeys: [] },
+  {
+    name: 'student',
+    columns: [{ name: 'id', type: 'INTEGER' }, { name: 'name', type: 'TEXT' }, { name: 'age', type: 'INTEGER' }, { name: 'dept_id', type: 'INTEGER' }],
+    primaryKey: ['id'],
+    foreignKeys: [{ columns: ['dept_id'], refTable: 'department', refColumns: ['dept_id'] }]
+  }
+]);
+
+// Applies a warning's first quick fix, last edit first so earlier offsets stay valid
+const fix = (sql, warning) => [...warning.fixes[0].edits]
+  .sort((a, b) => b.start - a.start)
+  .reduce((text, e) => text.slice(0, e.start) + e.text + text.slice(e.end), sql);
+
+const fixed = (sql) => {
+  const warnings = lintSql(sql, registry);
+  expect(warnings).toHaveLength(1);
+  return { rule: warnings[0].rule, sql: fix(sql, warnings[0]) };
+};
+
+// The rules a query trips, in order
+const rules = (sql) => lintSql(sql, registry).map(w => w.rule);
+
+test('select-star: lists the columns, but leaves COUNT(*) and EXISTS subqueries alone', () => {
+  expect(fixed('SELECT * FROM student')).toEqual({ rule: 'select-star', sql: 'SELECT id, name, age, dept_id FROM student' });
+  expect(fixed('SELECT d.* FROM department d')).toEqual({ rule: 'select-star', sql: 'SELECT d.dept_id, d.dept_name FROM department d' });
+
+  // Imported tables can have keyword or spaced names
+  const orders = buildRegistry([{ name: 'my orders', columns: [{ name: 'id', type: 'INTEGER' }, { name: 'order', type: 'TEXT' }], primaryKey: [], foreignKeys: [] }]);
+  expect(fix('SELECT * FROM "my orders"', lintSql('SELECT * FROM "my orders"', orders)[0])).toBe('SELECT id, "order" FROM "my orders"');
+  expect(fix('SELECT o.* FROM "my orders" o', lintSql('SELECT o.* FROM "my orders" o', orders)[0])).toBe('SELECT o.id, o."order" FROM "my orders" o');
+
+  expect(rules('SELECT COUNT(*) FROM student')).toEqual([]);
+  expect(rules('SELECT name FROM student s WHERE EXISTS (SELECT * FROM department d WHERE d.dept_id = s.dept_id)')).toEqual([]);
+});
+
+test('missing-where: puts the WHERE before RETURNING, ORDER BY and LIMIT', () => {
+  expect(fixed('DELETE FROM student')).toEqual({ rule: 'missing-where', sql: 'DELETE FROM student WHERE id = ' });
+  expect(fixed('UPDATE student SET age = NULL')).toEqual({ rule: 'missing-where', sql: 'UPDATE student SET age = NULL WHERE id = ' });
+  expect(fixed('DELETE FROM student RETURNING id')).toEqual({ rule: 'missing-where', sql: 'DELETE FROM student WHERE id =  RETURNING id' });
+  expect(fixed('UPDATE department SET dept_name = (SELECT name FROM student ORDER BY id LIMIT 1) ORDER BY dept_id LIMIT 2')).toEqual({
+    rule: 'missing-where', sql: 'UPDATE department SET dept_name = (SELECT name FROM student ORDER BY id LIMIT 1) WHERE dept_id =  ORDER BY dept_id LIMIT 2'
+  });
+
+  expect(rules('DELETE FROM student WHERE id = 3 RETURNING id')).toEqual([]);
+  expect(rules('UPDATE student SET age = age + 1 WHERE dept_id = 2')).toEqual([]);
+});
+
+test('comma-join: rewrites tables it can connect, and ignores derived tables', () => {
+  expect(fixed('SELECT name FROM student s, department d')).toEqual({
+    rule: 'comma-join', sql: 'SELECT name FROM student s JOIN department d ON s.dept_id = d.dept_id'
+  });
+
+  expect(rules('SELECT name FROM student s JOIN department d ON s.dept_id = d.dept_id')).toEqual([]);
+  expect(rules('SELECT s.name, x.total FROM student s, (SELECT COUNT(*) AS total FROM department) x')).toEqual([]);
+});
+
+test('group-by: matches the columns inside each expression, table by table', () => {
+  expect(fixed('SELECT dept_id, name, COUNT(*) FROM student GROUP BY dept_id')).toEqual({
+    rule: 'group-by', sql: 'SELECT dept_id, name, COUNT(*) FROM student GROUP BY dept_id, name'
+  });
+  expect(fixed('SELECT name, COUNT(*) FROM student')).toEqual({ rule: 'group-by', sql: 'SELECT name, COUNT(*) FROM student GROUP BY name' });
+  // s.name and d.dept_name come from different tables, and so do s.dept_id and d.dept_id
+  expect(rules('SELECT d.dept_name, COUNT(*) FROM student s JOIN department d ON s.dept_id = d.dept_id GROUP BY s.name')).toEqual(['group-by']);
+  expect(rules('SELECT d.dept_id, COUNT(*) FROM student s JOIN department d ON s.dept_id = d.dept_id GROUP BY s.dept_id')).toEqual(['group-by']);
+  // Grouping on UPPER(name) still mixes 'Ann' and 'ANN', so name itself isn't fixed
+  expect(rules('SELECT name, COUNT(*) FROM student GROUP BY UPPER(name)')).toEqual(['group-by']);
+
+  // The window item can't be grouped on, so only name is flagged and fixed
+  expect(fixed('SELECT name, ROW_NUMBER() OVER (ORDER BY id), COUNT(*) FROM student')).toEqual({
+    rule: 'group-by', sql: 'SELECT name, ROW_NUMBER() OVER (ORDER BY id), COUNT(*) FROM student GROUP BY name'
+  });
+  expect(rules('SELECT dept_id, ROUND(AVG(age), 1) FROM student')).toEqual(['group-by']);
+
+  expect(rules('SELECT COUNT(*) FROM student')).toEqual([]);
+  // The subquery's COUNT(*) doesn't group the outer query, which still returns every student
+  expect(rules('SELECT name, (SELECT COUNT(*) FROM department) FROM student')).toEqual([]);
+  expect(rules('SELECT name, SUM(age) OVER (PARTITION BY dept_id) FROM student')).toEqual([]);
+  expect(rules('SELECT name, ROUND(AVG(age), 1) FROM student GROUP BY name')).toEqual([]);
+  expect(rules('SELECT UPPER(name), COUNT(*) FROM student GROUP BY name')).toEqual([]);
+  expect(rules('SELECT name || age, COUNT(*) FROM student GROUP BY age, name')).toEqual([]);
+  expect(rules('SELECT CAST(age AS TEXT), COUNT(*) FROM student GROUP BY age')).toEqual([]);
+  expect(rules('SELECT s.name, COUNT(*) FROM student s JOIN department d ON s.dept_id = d.dept_id GROUP BY name')).toEqual([]);
+  expect(rules('SELECT age AS years, COUNT(*) FROM student GROUP BY years')).toEqual([]);
+  expect(rules('SELECT age, COUNT(*) FROM student GROUP BY 1')).toEqual([]);
+});
+
+test('null-comparison: flags = NULL and <> NULL, not assignments or IS NULL', () => {
+  expect(fixed('SELECT name FROM student WHERE dept_id <> NULL')).toEqual({ rule: 'null-comparison', sql: 'SELECT name FROM student WHERE dept_id IS NOT NULL' });
+  expect(fixed('SELECT name FROM student WHERE dept_id = NULL')).toEqual({ rule: 'null-comparison', sql: 'SELECT name FROM student WHERE dept_id IS NULL' });
+
+  expect(rules('UPDATE student SET age = NULL WHERE id = 1')).toEqual([]);
+  expect(rules('UPDATE student SET age = NULL, dept_id = NULL WHERE id = 1')).toEqual([]);
+  expect(rules('SELECT name FROM student WHERE dept_id IS NULL')).toEqual([]);
+});
+
+test('quoted-number: unquotes numbers compared with numeric columns, and only warns about other text', () => {
+  expect(fixed("SELECT name FROM student s WHERE '18' = s.age")).toEqual({ rule: 'quoted-number', sql: 'SELECT name FROM student s WHERE 18 = s.age' });
+  expect(fixed("SELECT name FROM student WHERE age > '18'")).toEqual({ rule: 'quoted-number', sql: 'SELECT name FROM student WHERE age > 18' });
+
+  const [text] = lintSql("SELECT name FROM student WHERE age = 'eighteen'", registry);
+  expect(text).toMatchObject({ rule: 'quoted-number', fixes: [] });
+
+  expect(rules("SELECT name FROM student WHERE name = '18'")).toEqual([]);
+  expect(rules("UPDATE student SET age = '18' WHERE id = 1")).toEqual([]);
+  expect(rules('SELECT name FROM student WHERE age = 18')).toEqual([]);
+});
+
+test('a clean query raises nothing', () => {
+  expect(lintSql("SELECT name FROM student s JOIN department d ON s.dept_id = d.dept_id WHERE s.name = '18' GROUP BY name", registry)).toEqual([]);
+});
+
+test('rules can be switched off one at a time', () => {
+  const sql = 'SELECT * FROM student WHERE age = NULL';
+  expect(lintSql(sql, registry).map(w => w.rule)).toEqual(['select-star', 'null-comparison']);
+  expect(lintSql(sql, registry, { ...DEFAULT_LINT_RULES, 'select-star': false }).map(w => w.rule)).toEqual(['null-comparison']);
+  const allOff = Object.fromEntries(Object.keys(DEFAULT_LINT_RULES).map(id => [id, false]));
+  expect(lintSql(sql, registry, allOff)).toEqual([]);
+});
@@ -0,0 +1,623 @@
+// --- SQL LEXER & STATEMENT PARSER ---
+// Tolerant by design: the editor hands us half-typed SQL on every keystroke, so nothing here throws.
+// Offsets (start/end) always point into the original script text.
+
+export const KEYWORDS = new Set([
+  'ABORT', 'ACTION', 'ADD', 'AFTER', 'ALL', 'ALTER', 'ANALYZE', 'AND', 'AS', 'ASC', 'ATTACH', 'AUTOINCREMENT',
+  'BEFORE', 'BEGIN', 'BETWEEN', 'BY', 'CASCADE', 'CASE', 'CAST', 'CHECK', 'COLLATE', 'COLUMN', 'COMMIT',
+  'CONFLICT', 'CONSTRAINT', 'CREATE', 'CROSS', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'DEFAULT',
+  'DEFERRABLE', 'DEFERRED', 'DELETE', 'DESC', 'DETACH', 'DISTINCT', 'DO', 'DROP', 'EACH', 'ELSE', 'END', 'ESCAPE',
+  'EXCEPT', 'EXCLUSIVE', 'EXISTS', 'EXPLAIN', 'FAIL', 'FALSE', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'GLOB', 'GROUP',
+  'HAVING', 'IF', 'IGNORE', 'IMMEDIATE', 'IN', 'INDEX', 'INITIALLY', 'INNER', 'INSERT', 'INSTEAD', 'INTERSECT',
+  'INTO', 'IS', 'ISNULL', 'JOIN', 'KEY', 'LEFT', 'LIKE', 'LIMIT', 'MATCH', 'NATURAL', 'NO', 'NOT', 'NOTHING',
+  'NOTNULL', 'NULL', 'OF', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION', 'PLAN', 'PRAGMA',
+  'PRIMARY', 'QUERY', 'RAISE', 'RECURSIVE', 'REFERENCES', 'REGEXP', 'REINDEX', 'RELEASE', 'RENAME', 'REPLACE',
+  'RESTRICT', 'RETURNING', 'RIGHT', 'ROLLBACK', 'ROW', 'SAVEPOINT', 'SELECT', 'SET', 'TABLE', 'TEMP', 'TEMPORARY', 'THEN',
+  'TO', 'TRANSACTION', 'TRIGGER', 'TRUE', 'UNION', 'UNIQUE', 'UPDATE', 'USING', 'VACUUM', 'VALUES', 'VIEW',
+  'VIRTUAL', 'WHEN', 'WHERE', 'WINDOW', 'WITH', 'WITHOUT'
+]);
+
+// Table/column name as SQL: plain names stay bare, anything else (spaces, keywords like "order") gets double quotes.
+export const quoteIdentifier = (name) => (
+  /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !KEYWORDS.has(name.toUpperCase()) ? name : `"${name.replace(/"/g, '""')}"`
+);
+
+const MULTI_CHAR_OPERATORS = ['<=', '>=', '<>', '!=', '==', '||', '<<', '>>'];
+const NUMBER_PATTERN = /0x[0-9a-f]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/iy;
+const IDENT_START = /[A-Za-z_\u0080-\uffff]/;
+const IDENT_PART = /[A-Za-z0-9_$\u0080-\uffff]/;
+
+// Reads a quoted run where the closing quote is escaped by doubling it ('it''s').
+const readQuoted = (sql, start, quote) => {
+  let i = start + 1;
+  let value = '';
+  while (i < sql.length) {
+    if (sql[i] === quote) {
+      if (sql[i + 1] === quote) { value += quote; i += 2; continue; }
+      return { end: i + 1, value, closed: true };
+    }
+    value += sql[i++];
+  }
+  return { end: sql.length, value, closed: false };
+};
+
+// Token: { type, text, value, upper, start, end }
+// type is one of keyword | identifier | string | number | operator | punct | param | comment
+export const tokenize = (sql, { comments = false } = {}) => {
+  const tokens = [];
+  const push = (type, start, end, extra = {}) => {
+    const text = sql.slice(start, end);
+    const value = extra.value !== undefined ? extra.value : text;
+    tokens.push({ type, text, value, upper: value.toUpperCase(), start, end, ...extra });
+  };
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const start = i;
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '-' && sql[i + 1] === '-') {
+      const newline = sql.indexOf('\n', i);
+      i = newline === -1 ? sql.length : newline;
+      if (comments) push('comment', start, i);
+      continue;
+    }
+    if (ch === '/' && sql[i + 1] === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      i = close === -1 ? sql.length : close + 2;
+      if (comments) push('comment', start, i);
+      continue;
+    }
+    if (ch === "'") {
+      const { end, value, closed } = readQuoted(sql, i, "'");
+      i = end;
+      push('string', start, end, { value, unterminated: !closed });
+      continue;
+    }
+    if (ch === '"' || ch === '`') {
+      const { end, value, closed } = readQuoted(sql, i, ch);
+      i = end;
+      push('identifier', start, end, { value, quoted: true, unterminated: !closed });
+      continue;
+    }
+    if (ch === '[') {
+      const close = sql.indexOf(']', i);
+      i = close === -1 ? sql.length : close + 1;
+      push('identifier', start, i, { value: sql.slice(start + 1, close === -1 ? i : close), quoted: true, unterminated: close === -1 });
+      continue;
+    }
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(sql[i + 1] || ''))) {
+      NUMBER_PATTERN.lastIndex = i;
+      const match = NUMBER_PATTERN.exec(sql);
+      i += match ? match[0].length : 1;
+      push('number', start, i);
+      continue;
+    }
+    if (IDENT_START.test(ch)) {
+      while (i < sql.length && IDENT_PART.test(sql[i])) i++;
+      const word = sql.slice(start, i);
+      push(KEYWORDS.has(word.toUpperCase()) ? 'keyword' : 'identifier', start, i);
+      continue;
+    }
+    if ((ch === '?' || ch === ':' || ch === '@' || ch === '$') && IDENT_PART.test(sql[i + 1] || '')) {
+      i++;
+      while (i < sql.length && IDENT_PART.test(sql[i])) i++;
+      push('param', start, i);
+      continue;
+    }
+    if (MULTI_CHAR_OPERATORS.includes(sql.slice(i, i + 2))) {
+      i += 2;
+      push('operator', start, i);
+      continue;
+    }
+    i++;
+    push('(),;.'.includes(ch) ? 'punct' : 'operator', start, i);
+  }
+  return tokens;
+};
+
+// --- 2. STATEMENT SPLITTING ---
+// Splits on top-level semicolons. Trigger bodies (BEGIN ... END) keep their inner semicolons.
+export const splitStatements = (sql) => {
+  const statements = [];
+  let current = [];
+  let blockDepth = 0;
+  let caseDepth = 0;
+
+  const flush = (terminator) => {
+    if (current.length) {
+      const start = current[0].start;
+      const end = current[current.length - 1].end;
+      statements.push({
+        tokens: current, start, end, text: sql.slice(start, end),
+        terminated: Boolean(terminator), terminatorStart: terminator ? terminator.start : sql.length
+      });
+    }
+    current = [];
+    blockDepth = 0;
+    caseDepth = 0;
+  };
+
+  tokenize(sql).forEach(tok => {
+    if (tok.text === ';' && blockDepth === 0) { flush(tok); return; }
+    current.push(tok);
+    const isTrigger = current[0].upper === 'CREATE' && current.some(t => t.upper === 'TRIGGER');
+    if (!isTrigger) return;
+    if (tok.upper === 'BEGIN') blockDepth++;
+    else if (tok.upper === 'CASE') caseDepth++;
+    else if (tok.upper === 'END') {
+      if (caseDepth > 0) caseDepth--;
+      else if (blockDepth > 0) blockDepth--;
+    }
+  });
+  flush(null);
+  return statements;
+};
+
+// --- 3. TOKEN HELPERS ---
+const annotateDepth = (tokens) => {
+  let depth = 0;
+  tokens.forEach(tok => {
+    if (tok.text === ')') depth = Math.max(0, depth - 1);
+    tok.depth = depth;
+    if (tok.text === '(') depth++;
+  });
+  return tokens;
+};
+
+// Index just past the ')' matching the '(' at `open` (or the end of the token list).
+const skipParens = (tokens, open) => {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].text === '(') depth++;
+    else if (tokens[i].text === ')') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return tokens.length;
+};
+
+// Tokens strictly inside the parentheses opened at `open`; tolerates a missing ')'.
+const parenBody = (tokens, open) => {
+  const close = skipParens(tokens, open);
+  const matched = tokens[close - 1]?.text === ')' && tokens[close - 1].depth === tokens[open].depth;
+  return tokens.slice(open + 1, matched ? close - 1 : close);
+};
+
+const isName = (tok) => Boolean(tok) && tok.type === 'identifier';
+
+// Splits a token run on commas at its own nesting level.
+export const splitList = (tokens) => {
+  if (!tokens.length) return [];
+  const base = tokens[0].depth || 0;
+  const items = [[]];
+  tokens.forEach(tok => {
+    if (tok.text === ',' && (tok.depth || 0) === base) items.push([]);
+    else items[items.length - 1].push(tok);
+  });
+  return items.filter(item => item.length);
+};
+
+const sliceText = (stmt, tokens) => (
+  tokens.length ? stmt.text.slice(tokens[0].start - stmt.start, tokens[tokens.length - 1].end - stmt.start) : ''
+);
+
+const literalValue = (tokens) => {
+  if (tokens.length === 1) {
+    const [tok] = tokens;
+    if (tok.type === 'string') return tok.value;
+    if (tok.type === 'number') return Number(tok.text);
+    if (tok.upper === 'NULL') return null;
+  }
+  if (tokens.length === 2 && tokens[0].text === '-' && tokens[1].type === 'number') return -Number(tokens[1].text);
+  return tokens.map(t => t.text).join(' ');
+};
+
+// Reads `[schema.]name [[AS] alias]` starting at index i.
+const readTableRef = (tokens, i) => {
+  if (!isName(tokens[i])) return null;
+  let nameTok = tokens[i];
+  let next = i + 1;
+  let schema = null;
+  if (tokens[next]?.text === '.' && isName(tokens[next + 1])) {
+    schema = nameTok.value;
+    nameTok = tokens[next + 1];
+    next += 2;
+  }
+  let aliasTok = null;
+  if (tokens[next]?.upper === 'AS' && isName(tokens[next + 1])) {
+    aliasTok = tokens[next + 1];
+    next += 2;
+  } else if (isName(tokens[next])) {
+    aliasTok = tokens[next];
+    next += 1;
+  }
+  const ref = { name: nameTok.value, schema, alias: aliasTok ? aliasTok.value : null, start: nameTok.start, end: nameTok.end };
+  if (aliasTok) Object.assign(ref, { aliasStart: aliasTok.start, aliasEnd: aliasTok.end });
+  return { ref, next };
+};
+
+// Every table a statement touches, in source order, including subqueries and joins.
+const collectTables = (tokens) => {
+  const tables = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const word = tokens[i].upper;
+    if (tokens[i].type !== 'keyword') continue;
+    if (word === 'FROM' || word === 'JOIN') {
+      let j = i + 1;
+      while (j < tokens.length) {
+        if (tokens[j].text === '(') {
+          j = skipParens(tokens, j);
+          if (tokens[j]?.upper === 'AS') j++;
+          if (isName(tokens[j])) j++;
+        } else {
+          const read = readTableRef(tokens, j);
+          if (!read) break;
+          tables.push(read.ref);
+          j = read.next;
+        }
+        if (word === 'FROM' && tokens[j]?.text === ',') { j++; continue; }
+        break;
+      }
+    } else if (word === 'INTO' || word === 'UPDATE' || word === 'TABLE') {
+      let j = i + 1;
+      if (word === 'UPDATE' && tokens[j]?.upper === 'OR') j += 2;
+      if (tokens[j]?.upper === 'IF') j += tokens[j + 1]?.upper === 'NOT' ? 3 : 2;
+      const read = readTableRef(tokens, j);
+      if (read) tables.push(word === 'TABLE' ? { name: read.ref.name, schema: read.ref.schema, alias: null, start: read.ref.start, end: read.ref.end } : read.ref);
+    }
+  }
+  return tables;
+};
+
+// Splits the depth-0 tokens of a statement body into named clauses.
+const CLAUSE_WORDS = {
+  SELECT: 'select', FROM: 'from', WHERE: 'where', 'GROUP BY': 'groupBy', HAVING: 'having',
+  WINDOW: 'window', 'ORDER BY': 'orderBy', LIMIT: 'limit', SET: 'set', VALUES: 'values', RETURNING: 'returning'
+};
+
+const readClauses = (stmt, tokens, from, stopWords = []) => {
+  const clauses = {};
+  let current = null;
+  let i = from;
+  const close = (end) => {
+    if (!current) return;
+    const body = tokens.slice(current.bodyStart, end);
+    clauses[current.key] = {
+      keyword: current.keyword,
+      tokens: body,
+      text: sliceText(stmt, body),
+      start: body.length ? body[0].start : current.keywordEnd,
+      end: body.length ? body[body.length - 1].end : current.keywordEnd,
+      keywordStart: current.keywordStart
+    };
+  };
+  for (; i < tokens.length; i++) {
+    const tok = tokens[i];
+    if (tok.depth !== tokens[from].depth) continue;
+    if (stopWords.includes(tok.upper)) break;
+    const pair = `${tok.upper} ${tokens[i + 1]?.upper}`;
+    const keyword = CLAUSE_WORDS[pair] ? pair : (CLAUSE_WORDS[tok.upper] && tok.type === 'keyword' ? tok.upper : null);
+    if (!keyword || clauses[CLAUSE_WORDS[keyword]]) continue;
+    close(i);
+    const width = keyword.includes(' ') ? 2 : 1;
+    current = {
+      key: CLAUSE_WORDS[keyword],
+      keyword,
+      keywordStart: tok.start,
+      keywordEnd: tokens[i + width - 1].end,
+      bodyStart: i + width
+    };
+    i += width - 1;
+  }
+  close(i);
+  return { clauses, stop: i };
+};
+
+// `expr [AS] alias` → { expr, alias, text, tokens }
+const readSelectItem = (stmt, tokens) => {
+  const last = tokens[tokens.length - 1];
+  const beforeLast = tokens[tokens.length - 2];
+  let exprTokens = tokens;
+  let alias = null;
+  if (tokens.length > 2 && beforeLast.upper === 'AS' && (isName(last) || last.type === 'string')) {
+    alias = last.value;
+    exprTokens = tokens.slice(0, -2);
+  } else if (tokens.length > 1 && isName(last) && beforeLast.text !== '.' && beforeLast.type !== 'operator') {
+    alias = last.value;
+    exprTokens = tokens.slice(0, -1);
+  }
+  return { expr: sliceText(stmt, exprTokens), alias, tokens: exprTokens, text: sliceText(stmt, tokens) };
+};
+
+// --- 4. STATEMENT PARSERS ---
+const parseColumnDef = (stmt, tokens) => {
+  const [nameTok, ...rest] = tokens;
+  const column = {
+    name: nameTok.value, type: '', primaryKey: false, notNull: false, unique: false,
+    autoIncrement: false, default: undefined, references: null, constraints: [], start: nameTok.start, end: nameTok.end
+  };
+  const CONSTRAINT_START = ['CONSTRAINT', 'PRIMARY', 'NOT', 'NULL', 'UNIQUE', 'CHECK', 'DEFAULT', 'COLLATE', 'REFERENCES', 'GENERATED', 'AS'];
+  let i = 0;
+  const typeParts = [];
+  while (i < rest.length && !CONSTRAINT_START.includes(rest[i].upper)) {
+    if (rest[i].text === '(') {
+      const args = `(${parenBody(rest, i).map(t => t.text).join('')})`;
+      if (typeParts.length) typeParts[typeParts.length - 1] += args;
+      else typeParts.push(args);
+      i = skipParens(rest, i);
+    } else {
+      typeParts.push(rest[i].text);
+      i++;
+    }
+  }
+  column.type = typeParts.join(' ').toUpperCase();
+
+  for (; i < rest.length; i++) {
+    const word = rest[i].upper;
+    if (word === 'PRIMARY') {
+      column.primaryKey = true;
+      column.constraints.push('PRIMARY KEY');
+    } else if (word === 'AUTOINCREMENT') {
+      column.autoIncrement = true;
+    } else if (word === 'NOT' && rest[i + 1]?.upper === 'NULL') {
+      column.notNull = true;
+      column.constraints.push('NOT NULL');
+      i++;
+    } else if (word === 'UNIQUE') {
+      column.unique = true;
+      column.constraints.push('UNIQUE');
+    } else if (word === 'DEFAULT') {
+      const next = rest[i + 1];
+      if (next?.text === '(') {
+        const close = skipParens(rest, i + 1);
+        column.default = sliceText(stmt, rest.slice(i + 1, close));
+        i = close - 1;
+      } else if ((next?.text === '-' || next?.text === '+') && rest[i + 2]) {
+        column.default = literalValue(rest.slice(i + 1, i + 3));
+        i += 2;
+      } else if (next) {
+        column.default = literalValue([next]);
+        i++;
+      }
+      column.constraints.push('DEFAULT');
+    } else if (word === 'CHECK' && rest[i + 1]?.text === '(') {
+      const close = skipParens(rest, i + 1);
+      column.constraints.push(`CHECK ${sliceText(stmt, rest.slice(i + 1, close))}`);
+      i = close - 1;
+    } else if (word === 'REFERENCES' && rest[i + 1]) {
+      const refCol = rest[i + 2]?.text === '(' ? rest[i + 3]?.value : null;
+      column.references = { table: rest[i + 1].value, column: refCol };
+      column.constraints.push('REFERENCES');
+      i += refCol ? 4 : 1;
+    }
+  }
+  return column;
+};
+
+const parseCreate = (stmt, tokens, result) => {
+  const tableIdx = tokens.findIndex(t => ['TABLE', 'VIEW', 'INDEX', 'TRIGGER'].includes(t.upper));
+  if (tableIdx === -1) return result;
+  result.objectType = tokens[tableIdx].upper;
+  let i = tableIdx + 1;
+  if (tokens[i]?.upper === 'IF') i += tokens[i + 1]?.upper === 'NOT' ? 3 : 2;
+  if (tokens[i + 1]?.text === '.') i += 2;
+  const nameTok = tokens[i];
+  if (!nameTok) return result;
+  result.name = nameTok.value;
+  if (result.objectType !== 'TABLE') return result;
+
+  result.target = nameTok.value;
+  const create = { table: nameTok.value, columns: [], primaryKey: [], foreignKeys: [], asSelect: false };
+  result.create = create;
+  const open = i + 1;
+  if (tokens[open]?.upper === 'AS') {
+    create.asSelect = true;
+    return result;
+  }
+  if (tokens[open]?.text !== '(') return result;
+
+  splitList(parenBody(tokens, open)).forEach(item => {
+    let parts = item;
+    if (parts[0].upper === 'CONSTRAINT') parts = parts.slice(2);
+    const head = parts[0]?.upper;
+    const listAfter = (idx) => (
+      parts[idx]?.text === '(' ? splitList(parenBody(parts, idx)).map(col => col[0].value) : []
+    );
+    if (head === 'PRIMARY') {
+      create.primaryKey = listAfter(2);
+    } else if (head === 'FOREIGN') {
+      const columns = listAfter(2);
+      const refIdx = parts.findIndex(t => t.upper === 'REFERENCES');
+      if (refIdx !== -1 && parts[refIdx + 1]) {
+        create.foreignKeys.push({ columns, refTable: parts[refIdx + 1].value, refColumns: listAfter(refIdx + 2) });
+      }
+    } else if (head === 'UNIQUE' || head === 'CHECK') {
+      // Table-level constraints that do not change the column list
+    } else if (parts.length && (isName(parts[0]) || parts[0].type === 'keyword')) {
+      create.columns.push(parseColumnDef(stmt, parts));
+    }
+  });
+
+  create.columns.forEach(col => {
+    if (create.primaryKey.some(name => name.toLowerCase() === col.name.toLowerCase())) col.primaryKey = true;
+    if (col.primaryKey && !create.primaryKey.length) create.primaryKey = [col.name];
+    if (col.references) {
+      create.foreignKeys.push({ columns: [col.name], refTable: col.references.table, refColumns: col.references.column ? [col.references.column] : [] });
+    }
+  });
+  return result;
+};
+
+const parseSelect = (stmt, tokens, from, result) => {
+  const { clauses } = readClauses(stmt, tokens, from, ['UNION', 'INTERSECT', 'EXCEPT']);
+  result.clauses = clauses;
+  result.compound = tokens.some(t => t.depth === tokens[from].depth && ['UNION', 'INTERSECT', 'EXCEPT'].includes(t.upper));
+  const selectTokens = clauses.select ? clauses.select.tokens : [];
+  result.distinct = selectTokens[0]?.upper === 'DISTINCT';
+  const items = ['DISTINCT', 'ALL'].includes(selectTokens[0]?.upper) ? selectTokens.slice(1) : selectTokens;
+  result.columns = splitList(items).map(item => readSelectItem(stmt, item));
+  return result;
+};
+
+const parseInsert = (stmt, tokens, result) => {
+  const intoIdx = tokens.findIndex(t => t.upper === 'INTO');
+  const read = intoIdx === -1 ? null : readTableRef(tokens, intoIdx + 1);
+  const insert = { table: null, columns: null, rows: [], fromSelect: false };
+  result.insert = insert;
+  if (!read) return result;
+  insert.table = read.ref.name;
+  result.target = read.ref.name;
+
+  // readTableRef may have swallowed the first token after the table as an alias; INSERT has none.
+  let i = tokens.findIndex(t => t.start === read.ref.start) + 1;
+  if (tokens[i]?.upper === 'AS') i += 2;
+  if (tokens[i]?.text === '(') {
+    insert.columns = splitList(parenBody(tokens, i)).map(col => col[0].value);
+    i = skipParens(tokens, i);
+  }
+  if (tokens[i]?.upper === 'SELECT' || tokens[i]?.upper === 'WITH') {
+    insert.fromSelect = true;
+    return result;
+  }
+  if (tokens[i]?.upper !== 'VALUES') return result;
+
+  for (let j = i + 1; j < tokens.length; j++) {
+    if (tokens[j].text !== '(' || tokens[j].depth !== tokens[i].depth) continue;
+    insert.rows.push(splitList(parenBody(tokens, j)).map(literalValue));
+    j = skipParens(tokens, j) - 1;
+  }
+  return result;
+};
+
+const parseUpdate = (stmt, tokens, result) => {
+  const tables = collectTables(tokens);
+  result.target = tables[0] ? tables[0].name : null;
+  const setIdx = tokens.findIndex(t => t.upper === 'SET' && t.depth === 0);
+  if (setIdx === -1) return result;
+  const { clauses } = readClauses(stmt, tokens, setIdx);
+  result.clauses = clauses;
+  result.assignments = clauses.set ? splitList(clauses.set.tokens).map(item => ({
+    column: item[0].value,
+    expr: sliceText(stmt, item.slice(2)),
+    start: item[0].start,
+    end: item[0].end
+  })) : [];
+  return result;
+};
+
+const parseDelete = (stmt, tokens, result) => {
+  const fromIdx = tokens.findIndex(t => t.upper === 'FROM');
+  const read = fromIdx === -1 ? null : readTableRef(tokens, fromIdx + 1);
+  result.target = read ? read.ref.name : null;
+  result.clauses = fromIdx === -1 ? {} : readClauses(stmt, tokens, fromIdx).clauses;
+  return result;
+};
+
+const parseAlter = (stmt, tokens, result) => {
+  const read = tokens[1]?.upper === 'TABLE' ? readTableRef(tokens, 2) : null;
+  if (!read) return result;
+  result.target = read.ref.name;
+  let i = tokens.findIndex(t => t.start === read.ref.start) + 1;
+  const action = tokens[i]?.upper;
+  if (tokens[i + 1]?.upper === 'COLUMN') i++;
+  const rest = tokens.slice(i + 1);
+  if (action === 'ADD' && rest.length) {
+    result.alter = { action: 'ADD_COLUMN', column: parseColumnDef(stmt, rest) };
+  } else if (action === 'DROP' && rest.length) {
+    result.alter = { action: 'DROP_COLUMN', column: { name: rest[0].value } };
+  } else if (action === 'RENAME' && rest[0]?.upper === 'TO') {
+    result.alter = { action: 'RENAME_TABLE', newName: rest[1]?.value || null };
+  } else if (action === 'RENAME' && rest.length) {
+    result.alter = { action: 'RENAME_COLUMN', column: { name: rest[0].value }, newName: rest[2]?.value || null };
+  }
+  return result;
+};
+
+const parseDrop = (stmt, tokens, result) => {
+  result.objectType = tokens[1]?.upper || null;
+  let i = 2;
+  if (tokens[i]?.upper === 'IF') i += 2;
+  if (tokens[i + 1]?.text === '.') i += 2;
+  result.name = tokens[i] ? tokens[i].value : null;
+  if (result.objectType === 'TABLE') result.target = result.name;
+  return result;
+};
+
+// Parses one statement from splitStatements into { type, tables, target, ... }.
+// type is the leading verb (SELECT, INSERT, UPDATE, DELETE, CREATE, ALTER, DROP, PRAGMA, ...).
+export const parseStatement = (stmt) => {
+  const tokens = annotateDepth(stmt.tokens);
+  const result = { ...stmt, type: tokens[0] ? tokens[0].upper : '', tables: collectTables(tokens), target: null, ctes: [] };
+  let body = 0;
+
+  if (result.type === 'WITH') {
+    let i = tokens[1]?.upper === 'RECURSIVE' ? 2 : 1;
+    while (isName(tokens[i])) {
+      result.ctes.push(tokens[i].value);
+      i++;
+      if (tokens[i]?.text === '(') i = skipParens(tokens, i);
+      if (tokens[i]?.upper === 'AS') i++;
+      if (tokens[i]?.upper === 'NOT') i++;
+      if (tokens[i]?.upper === 'MATERIALIZED') i++;
+      if (tokens[i]?.text === '(') i = skipParens(tokens, i);
+      if (tokens[i]?.text !== ',') break;
+      i++;
+    }
+    body = i;
+    result.type = tokens[i] ? tokens[i].upper : 'WITH';
+    const cteNames = result.ctes.map(name => name.toLowerCase());
+    result.tables = result.tables.filter(t => !cteNames.includes(t.name.toLowerCase()));
+  }
+
+  const rest = tokens.slice(body);
+  switch (result.type) {
+    case 'SELECT':
+      parseSelect(result, tokens, body, result);
+      result.target = result.tables[0] ? result.tables[0].name : null;
+      return result;
+    case 'VALUES':
+      result.type = 'SELECT';
+      return result;
+    case 'REPLACE':
+    case 'INSERT':
+      result.type = 'INSERT';
+      return parseInsert(result, rest, result);
+    case 'UPDATE':
+      return parseUpdate(result, rest, result);
+    case 'DELETE':
+      return parseDelete(result, rest, result);
+    case 'CREATE':
+      return parseCreate(result, tokens, result);
+    case 'ALTER':
+      return parseAlter(result, tokens, result);
+    case 'DROP':
+      return parseDrop(result, tokens, result);
+    default:
+      return result;
+  }
+};
+
+// --- 5. PUBLIC HELPERS ---
+export const parseScript = (sql) => splitStatements(sql || '').map(parseStatement);
+
+// Every CREATE TABLE in a script as { name, columns: [{ name, type, ... }], primaryKey, foreignKeys }.
+export const parseSchema = (sql) => parseScript(sql)
+  .filter(stmt => stmt.create)
+  .map(stmt => ({ name: stmt.create.table, columns: stmt.create.columns, primaryKey: stmt.create.primaryKey, foreignKeys: stmt.create.foreignKeys }));
+
+// The statement the caret sits in (up to and including its ';'), or null between statements.
+export const statementAt = (statements, offset) => (
+  statements.find(s => s.start <= offset && offset <= s.terminatorStart) || null
+);
+
+// Distinct table names (lower-cased) touched anywhere in a script, in first-seen order.
+export const getReferencedTables = (statements) => {
+  const seen = [];
+  statements.forEach(stmt => stmt.tables.forEach(t => {
+    const name = t.name.toLowerCase();
+    if (!seen.includes(name)) seen.push(name);
+  }));
+  return seen;
+};
@@ -0,0 +1,107 @@
+import { getReferencedTables, parseSchema, parseScript, quoteIdentifier, splitStatements, tokenize } from './sqlParser';
+
+test('tokenizer keeps quoted strings, identifiers and comments intact', () => {
+  const tokens = tokenize(`SELECT "first name", 'Smith, J' -- trailing, comment\nFROM [my table] /* a; b */`);
+  expect(tokens.map(t => t.type)).toEqual(['keyword', 'identifier', 'punct', 'string', 'keyword', 'identifier']);
+  expect(tokens[1].value).toBe('first name');
+  expect(tokens[3].value).toBe('Smith, J');
+  expect(tokens[5].value).toBe('my table');
+  expect(tokenize("'it''s'")[0].value).toBe("it's");
+  expect(tokenize('-- note', { comments: true })[0].type).toBe('comment');
+});
+
+test('splits scripts on top-level semicolons only', () => {
+  const statements = splitStatements("INSERT INTO t VALUES ('a;b');\n-- just a comment;\nSELECT 1;;");
+  expect(statements.map(s => s.text)).toEqual(["INSERT INTO t VALUES ('a;b')", 'SELECT 1']);
+
+  const trigger = splitStatements('CREATE TRIGGER trg AFTER INSERT ON t BEGIN UPDATE t SET a = 1; DELETE FROM u; END; SELECT 2');
+  expect(trigger).toHaveLength(2);
+});
+
+test('parses every CREATE TABLE with real types and constraints', () => {
+  const [orders, items] = parseSchema(`
+    CREATE TABLE orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      total DECIMAL(10,2) NOT NULL DEFAULT 0,
+      placed_on DATE,
+      "customer name" VARCHAR(40) UNIQUE
+    );
+    CREATE TABLE IF NOT EXISTS items (
+      order_id INT REFERENCES orders(id),
+      sku TEXT,
+      price DOUBLE PRECISION,
+      PRIMARY KEY (order_id, sku),
+      CONSTRAINT fk FOREIGN KEY (sku) REFERENCES products (sku)
+    );
+  `);
+  expect(orders.name).toBe('orders');
+  expect(orders.columns.map(c => [c.name, c.type])).toEqual([
+    ['id', 'INTEGER'], ['total', 'DECIMAL(10,2)'], ['placed_on', 'DATE'], ['customer name', 'VARCHAR(40)']
+  ]);
+  expect(orders.columns[0]).toMatchObject({ primaryKey: true, autoIncrement: true });
+  expect(orders.columns[1]).toMatchObject({ notNull: true, default: 0 });
+  expect(orders.primaryKey).toEqual(['id']);
+
+  expect(items.columns.map(c => c.name)).toEqual(['order_id', 'sku', 'price']);
+  expect(items.columns[2].type).toBe('DOUBLE PRECISION');
+  expect(items.primaryKey).toEqual(['order_id', 'sku']);
+  expect(items.foreignKeys).toEqual([
+    { columns: ['sku'], refTable: 'products', refColumns: ['sku'] },
+    { columns: ['order_id'], refTable: 'orders', refColumns: ['id'] }
+  ]);
+});
+
+test('reads multi-row VALUES with explicit column lists, NULLs and embedded commas', () => {
+  const [stmt] = parseScript("INSERT INTO student (emp_name, emp_id) VALUES ('Smith, J', 7), (NULL, -2), ('O''Neil', 3.5)");
+  expect(stmt.type).toBe('INSERT');
+  expect(stmt.insert.table).toBe('student');
+  expect(stmt.insert.columns).toEqual(['emp_name', 'emp_id']);
+  expect(stmt.insert.rows).toEqual([['Smith, J', 7], [null, -2], ["O'Neil", 3.5]]);
+});
+
+test('tolerates half-typed inserts', () => {
+  const [stmt] = parseScript("INSERT INTO student VALUES (1, 'Al");
+  expect(stmt.insert.rows).toEqual([[1, 'Al']]);
+});
+
+test('reports every table a query touches, with aliases', () => {
+  const statements = parseScript(`
+    SELECT s.emp_name, d.dept_name FROM student s JOIN department AS d ON s.departmenit_id = d.dept_id
+    WHERE s.emp_id IN (SELECT course_id FROM courses);
+    UPDATE courses SET credits = 4;
+  `);
+  expect(statements[0].tables.map(t => [t.name, t.alias])).toEqual([
+    ['student', 's'], ['department', 'd'], ['courses', null]
+  ]);
+  expect(getReferencedTables(statements)).toEqual(['student', 'department', 'courses']);
+  expect(statements[1].target).toBe('courses');
+});
+
+test('splits a SELECT into its top-level clauses', () => {
+  const [stmt] = parseScript(
+    'SELECT DISTINCT dept, COUNT(*) AS n FROM student WHERE emp_id > 2 GROUP BY dept HAVING COUNT(*) > 1 ORDER BY n DESC LIMIT 3'
+  );
+  expect(stmt.distinct).toBe(true);
+  expect(stmt.columns.map(c => [c.expr, c.alias])).toEqual([['dept', null], ['COUNT(*)', 'n']]);
+  expect(stmt.clauses.where.text).toBe('emp_id > 2');
+  expect(stmt.clauses.groupBy.text).toBe('dept');
+  expect(stmt.clauses.having.text).toBe('COUNT(*) > 1');
+  expect(stmt.clauses.orderBy.text).toBe('n DESC');
+  expect(stmt.clauses.limit.text).toBe('3');
+});
+
+test('classifies DDL and CTE statements', () => {
+  const [alter, drop, cte] = parseScript(
+    'ALTER TABLE student ADD COLUMN gpa REAL; DROP TABLE IF EXISTS courses; WITH top AS (SELECT * FROM student) SELECT * FROM top'
+  );
+  expect(alter.alter).toMatchObject({ action: 'ADD_COLUMN', column: { name: 'gpa', type: 'REAL' } });
+  expect(drop).toMatchObject({ type: 'DROP', objectType: 'TABLE', name: 'courses', target: 'courses' });
+  expect(cte.type).toBe('SELECT');
+  expect(cte.ctes).toEqual(['top']);
+  expect(cte.tables.map(t => t.name)).toEqual(['student']);
+});
+
+test('quoteIdentifier leaves plain names bare and quotes keywords and odd names', () => {
+  expect(['student', 'emp_id', 'order', 'Group', 'my data', 'say "hi"', '2nd'].map(quoteIdentifier))
+    .toEqual(['student', 'emp_id', '"order"', '"Group"', '"my data"', '"say ""hi"""', '"2nd"']);
+});
@@ -0,0 +1,229 @@
+import { foreignKeyEdges } from './schemaRegistry';
+import { quoteIdentifier } from './sqlParser';
+
+// --- CURIOSITY CORNER SUGGESTIONS ---
+// Generated from the active table's columns/types, a small data profile and the parsed query,
+// so they work for any table. Each one is { id, label, sql, explanation }.
+
+const MAX_SUGGESTIONS = 6;
+const NUMERIC_TYPE = /INT|REAL|FLOA|DOUB|NUM|DEC/i;
+const DATE_TYPE = /DATE|TIME/i;
+const DATE_NAME = /(^|_)(date|day|time|year)s?$|_at$|_on$|^(created|updated|born|joined)/i;
+
+// --- 1. COLUMN CLASSIFICATION ---
+const literal = (value) => (typeof value === 'number' ? String(value) : `'${String(value).replace(/'/g, "''")}'`);
+
+const isKey = (table, column) => column.primaryKey || (table.primaryKey || []).includes(column.name);
+const isIdLike = (column) => /(^id$|_id$|^id_)/i.test(column.name);
+const isNumeric = (column) => NUMERIC_TYPE.test(column.type || '');
+const isDate = (column) => DATE_TYPE.test(column.type || '') || DATE_NAME.test(column.name);
+
+// Few distinct values relative to the row count: a natural thing to group by
+const isLowCardinality = (stats, rowCount) => (
+  Boolean(stats) && stats.distinct > 1 && stats.distinct <= Math.max(5, Math.floor(rowCount / 2)) && stats.distinct < rowCount
+);
+
+// Best human-readable column of a table (first non-key text column), used for JOIN output.
+const labelColumn = (table) => {
+  const text = table.columns.find(c => !isKey(table, c) && !isNumeric(c) && !isIdLike(c));
+  return (text || table.columns[0]).name;
+};
+
+// --- 2. DATA PROFILE ---
+// One cheap aggregate query: row count plus distinct/non-NULL counts and a sample value per column.
+export const profileQuery = (table) => {
+  const parts = table.columns.flatMap(c => {
+    const col = quoteIdentifier(c.name);
+    return [`COUNT(DISTINCT ${col})`, `COUNT(${col})`, `MIN(${col})`];
+  });
+  return `SELECT COUNT(*), ${parts.join(', ')} FROM ${quoteIdentifier(table.name)};`;
+};
+
+// Engine result of profileQuery → { rowCount, columns: { name: { distinct, nulls, sample } } }
+export const readProfile = (table, result) => {
+  if (!result || result.status !== 'success' || !result.data.length) return null;
+  const [rowCount, ...values] = result.data[0];
+  const columns = {};
+  table.columns.forEach((c, i) => {
+    const [distinct, nonNull, sample] = values.slice(i * 3, i * 3 + 3);
+    columns[c.name] = { distinct, nulls: rowCount - nonNull, sample };
+  });
+  return { rowCount, columns };
+};
+
+// --- 3. QUERY EDITING ---
+const CLAUSE_ORDER = ['select', 'from', 'where', 'groupBy', 'having', 'window', 'orderBy', 'limit'];
+const CLAUSE_KEYWORDS = { where: 'WHERE', groupBy: 'GROUP BY', having: 'HAVING', orderBy: 'ORDER BY', limit: 'LIMIT' };
+
+// The statement with a new clause slotted in before whichever later clause comes first.
+export const withClause = (stmt, key, body) => {
+  const later = CLAUSE_ORDER.slice(CLAUSE_ORDER.indexOf(key) + 1).map(k => stmt.clauses[k]).find(Boolean);
+  const clause = `${CLAUSE_KEYWORDS[key]} ${body}`;
+  if (!later) return `${stmt.text} ${clause};`;
+  const at = later.keywordStart - stmt.start;
+  return `${stmt.text.slice(0, at)}${clause} ${stmt.text.slice(at)};`;
+};
+
+// --- 4. SUGGESTION RULES ---
+const tableSuggestions = (table, registry, profile) => {
+  const name = quoteIdentifier(table.name);
+  const rowCount = profile ? profile.rowCount : 0;
+  const stats = (c) => (profile ? profile.columns[c.name] : null);
+  const plain = table.columns.filter(c => !isKey(table, c));
+  const suggestions = [];
+
+  const groupable = plain.find(c => isLowCardinality(stats(c), rowCount))
+    || (!profile && plain.find(c => isIdLike(c) && !isNumeric(c)));
+  if (groupable) {
+    const col = quoteIdentifier(groupable.name);
+    suggestions.push({
+      id: 'group-count',
+      label: `📊 Count rows per ${groupable.name}`,
+      sql: `SELECT ${col}, COUNT(*) AS total FROM ${name} GROUP BY ${col} ORDER BY total DESC;`,
+      explanation: 'GROUP BY folds rows that share a value into one row, so COUNT(*) counts each group.'
+    });
+  }
+
+  const numeric = plain.find(c => isNumeric(c) && !isIdLike(c));
+  if (numeric) {
+    const col = quoteIdentifier(numeric.name);
+    suggestions.push({
+      id: 'min-max',
+      label: `📈 Range of ${numeric.name}`,
+      sql: `SELECT MIN(${col}) AS lowest, MAX(${col}) AS highest, AVG(${col}) AS average FROM ${name};`,
+      explanation: 'Aggregates reduce a whole column to one value: MIN and MAX find the extremes, AVG the mean.'
+    });
+  }
+
+  const edges = foreignKeyEdges(registry);
+  const outgoing = edges.find(e => e.from.toLowerCase() === table.name.toLowerCase());
+  const incoming = edges.find(e => e.to.toLowerCase() === table.name.toLowerCase());
+  const refTable = outgoing && registry[outgoing.to.toLowerCase()];
+  const childTable = incoming && registry[incoming.from.toLowerCase()];
+  if (refTable) {
+    const refCol = outgoing.refColumn || (refTable.primaryKey || [])[0];
+    suggestions.push({
+      id: 'join-parent',
+      label: `🔗 Add ${refTable.name} details`,
+      sql: `SELECT t.*, r.${quoteIdentifier(labelColumn(refTable))} FROM ${name} t JOIN ${quoteIdentifier(refTable.name)} r ON t.${quoteIdentifier(outgoing.column)} = r.${quoteIdentifier(refCol)};`,
+      explanation: `JOIN follows the foreign key ${table.name}.${outgoing.column} → ${refTable.name}.${refCol} to put matching rows side by side.`
+    });
+  } else if (childTable) {
+    suggestions.push({
+      id: 'join-children',
+      label: `🔗 ${childTable.name} per ${table.name}`,
+      sql: `SELECT t.${quoteIdentifier(labelColumn(table))}, COUNT(c.${quoteIdentifier(incoming.column)}) AS ${quoteIdentifier(`${childTable.name}_count`)} FROM ${name} t LEFT JOIN ${quoteIdentifier(childTable.name)} c ON c.${quoteIdentifier(incoming.column)} = t.${quoteIdentifier(incoming.refColumn)} GROUP BY t.${quoteIdentifier(incoming.refColumn)};`,
+      explanation: `LEFT JOIN keeps every ${table.name} row even with no matching ${childTable.name}, so empty ones show a count of 0.`
+    });
+  }
+
+  const date = table.columns.find(isDate);
+  if (date) {
+    suggestions.push({
+      id: 'order-date',
+      label: `🗓 Most recent by ${date.name}`,
+      sql: `SELECT * FROM ${name} ORDER BY ${quoteIdentifier(date.name)} DESC LIMIT 5;`,
+      explanation: 'ORDER BY on a date sorts chronologically; DESC puts the newest first and LIMIT keeps the top few.'
+    });
+  }
+
+  const nullable = plain.find(c => stats(c) && stats(c).nulls > 0);
+  if (nullable) {
+    suggestions.push({
+      id: 'is-null',
+      label: `❓ Rows missing ${nullable.name}`,
+      sql: `SELECT * FROM ${name} WHERE ${quoteIdentifier(nullable.name)} IS NULL;`,
+      explanation: 'NULL means "unknown", so it is found with IS NULL; = NULL is never true.'
+    });
+  }
+
+  const text = plain.find(c => !isNumeric(c) && !isDate(c) && stats(c) && typeof stats(c).sample === 'string' && stats(c).distinct > 2);
+  if (text) {
+    suggestions.push({
+      id: 'like',
+      label: `🔤 ${text.name} starting with "${stats(text).sample[0]}"`,
+      sql: `SELECT * FROM ${name} WHERE ${quoteIdentifier(text.name)} LIKE ${literal(`${stats(text).sample[0]}%`)};`,
+      explanation: 'LIKE matches text patterns: % stands for any run of characters and _ for exactly one.'
+    });
+  }
+
+  if (groupable) {
+    suggestions.push({
+      id: 'distinct',
+      label: `🧮 Distinct ${groupable.name} values`,
+      sql: `SELECT DISTINCT ${quoteIdentifier(groupable.name)} FROM ${name};`,
+      explanation: 'DISTINCT removes duplicate rows from the result, leaving each value once.'
+    });
+  }
+  return suggestions;
+};
+
+// Next steps for the query the student already has open.
+const contextSuggestions = (table, stmt, profile) => {
+  if (!stmt || stmt.type !== 'SELECT' || stmt.compound || !stmt.clauses || !stmt.clauses.from) return [];
+  const { clauses } = stmt;
+  const stats = (c) => (profile ? profile.columns[c.name] : null);
+  const plain = table.columns.filter(c => !isKey(table, c));
+  const selectAll = stmt.columns.length === 1 && stmt.columns[0].expr === '*';
+  const suggestions = [];
+
+  if (clauses.groupBy && !clauses.having) {
+    suggestions.push({
+      id: 'add-having',
+      label: '🎯 Only groups with more than one row',
+      sql: withClause(stmt, 'having', 'COUNT(*) > 1'),
+      explanation: 'HAVING filters groups after GROUP BY, the way WHERE filters rows before it.'
+    });
+  }
+
+  if (!clauses.where && !clauses.groupBy) {
+    const filterable = plain.find(c => stats(c) && stats(c).sample !== null && stats(c).sample !== undefined && stats(c).distinct > 1);
+    if (filterable) {
+      suggestions.push({
+        id: 'add-where',
+        label: `🏷 Filter where ${filterable.name} = ${literal(stats(filterable).sample)}`,
+        sql: withClause(stmt, 'where', `${quoteIdentifier(filterable.name)} = ${literal(stats(filterable).sample)}`),
+        explanation: 'WHERE keeps only the rows that match a condition instead of returning the whole table.'
+      });
+    }
+  }
+
+  if (selectAll && plain.length > 1) {
+    const picked = [labelColumn(table), ...plain.map(c => c.name)].filter((n, i, all) => all.indexOf(n) === i).slice(0, 2);
+    suggestions.push({
+      id: 'pick-columns',
+      label: `✂ Just ${picked.join(' and ')}`,
+      sql: `SELECT ${picked.map(quoteIdentifier).join(', ')} ${stmt.text.slice(clauses.from.keywordStart - stmt.start)};`,
+      explanation: 'Naming columns instead of * returns only what you need, in the order you choose.'
+    });
+  }
+
+  if (!clauses.orderBy && !clauses.groupBy) {
+    const sortBy = table.columns.find(isDate) || plain.find(c => isNumeric(c) && !isIdLike(c)) || plain[0];
+    if (sortBy) {
+      const desc = isDate(sortBy) || isNumeric(sortBy);
+      suggestions.push({
+        id: 'add-order',
+        label: `↕ Sort by ${sortBy.name}`,
+        sql: withClause(stmt, 'orderBy', `${quoteIdentifier(sortBy.name)}${desc ? ' DESC' : ''}`),
+        explanation: 'Without ORDER BY, SQL promises no particular row order; ORDER BY makes it explicit.'
+      });
+    }
+  } else if (clauses.orderBy && !clauses.limit) {
+    suggestions.push({
+      id: 'add-limit',
+      label: '🔝 Keep the top 3',
+      sql: withClause(stmt, 'limit', '3'),
+      explanation: 'LIMIT after ORDER BY gives a "top N" list: sort first, then keep the first rows.'
+    });
+  }
+  return suggestions;
+};
+
+// table: registry entry; stmt: parsed statement reading it (optional); profile: readProfile() output (optional).
+export const buildSuggestions = ({ table, registry = {}, stmt = null, profile = null }) => {
+  if (!table || !table.columns || !table.columns.length) return [];
+  const context = contextSuggestions(table, stmt, profile);
+  const general = tableSuggestions(table, registry, profile).filter(s => !context.some(c => c.sql === s.sql));
+  return [...context, ...general].slice(0, MAX_SUGGESTIONS);
+};
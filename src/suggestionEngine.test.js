@@ -0,0 +1,50 @@
+import { buildRegistry } from './schemaRegistry';
+import { parseSchema, parseScript } from './sqlParser';
+import { SEED_SQL } from './seedData';
+import { buildSuggestions, profileQuery, readProfile } from './suggestionEngine';
+
+const registry = buildRegistry(parseSchema(SEED_SQL));
+const student = registry.student;
+// COUNT(*), then COUNT(DISTINCT c), COUNT(c), MIN(c) per column
+const profile = readProfile(student, {
+  status: 'success',
+  data: [[8, 8, 8, 1, 8, 8, 'Aarav Sharma', 4, 7, 'CS']]
+});
+
+test('profiles every column in one query', () => {
+  expect(profileQuery(registry.courses)).toBe(
+    'SELECT COUNT(*), COUNT(DISTINCT course_id), COUNT(course_id), MIN(course_id), COUNT(DISTINCT course_title), COUNT(course_title), MIN(course_title), COUNT(DISTINCT credits), COUNT(credits), MIN(credits) FROM courses;'
+  );
+  expect(profile.columns.departmenit_id).toEqual({ distinct: 4, nulls: 1, sample: 'CS' });
+
+  // Imported tables can use keywords as names
+  const [orders] = parseSchema('CREATE TABLE "my orders" ("order" INTEGER)');
+  expect(profileQuery(orders)).toBe('SELECT COUNT(*), COUNT(DISTINCT "order"), COUNT("order"), MIN("order") FROM "my orders";');
+  expect(buildSuggestions({ table: orders, registry: buildRegistry([orders]) }).find(s => s.id === 'min-max').sql)
+    .toBe('SELECT MIN("order") AS lowest, MAX("order") AS highest, AVG("order") AS average FROM "my orders";');
+});
+
+test('derives table suggestions from columns, data and foreign keys', () => {
+  const byId = Object.fromEntries(buildSuggestions({ table: student, registry, profile }).map(s => [s.id, s.sql]));
+  expect(byId['group-count']).toBe('SELECT departmenit_id, COUNT(*) AS total FROM student GROUP BY departmenit_id ORDER BY total DESC;');
+  expect(byId['join-parent']).toBe('SELECT t.*, r.dept_name FROM student t JOIN department r ON t.departmenit_id = r.dept_id;');
+  expect(byId['is-null']).toBe('SELECT * FROM student WHERE departmenit_id IS NULL;');
+
+  const courses = buildSuggestions({ table: registry.courses, registry });
+  expect(courses.find(s => s.id === 'min-max').sql).toBe('SELECT MIN(credits) AS lowest, MAX(credits) AS highest, AVG(credits) AS average FROM courses;');
+  expect(buildSuggestions({ table: registry.department, registry }).find(s => s.id === 'join-children').sql)
+    .toBe('SELECT t.dept_name, COUNT(c.departmenit_id) AS student_count FROM department t LEFT JOIN student c ON c.departmenit_id = t.dept_id GROUP BY t.dept_id;');
+});
+
+test('reacts to what the current query already does', () => {
+  const [bare] = parseScript('SELECT * FROM student LIMIT 10');
+  const forBare = buildSuggestions({ table: student, registry, stmt: bare, profile });
+  expect(forBare[0]).toMatchObject({ id: 'add-where', sql: 'SELECT * FROM student WHERE emp_name = \'Aarav Sharma\' LIMIT 10;' });
+  expect(forBare.every(s => s.explanation)).toBe(true);
+
+  const [grouped] = parseScript('SELECT departmenit_id, COUNT(*) FROM student GROUP BY departmenit_id ORDER BY 2');
+  expect(buildSuggestions({ table: student, registry, stmt: grouped, profile })[0]).toMatchObject({
+    id: 'add-having',
+    sql: 'SELECT departmenit_id, COUNT(*) FROM student GROUP BY departmenit_id HAVING COUNT(*) > 1 ORDER BY 2;'
+  });
+});
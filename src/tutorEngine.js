@@ -0,0 +1,331 @@
+import { parseScript, tokenize } from './sqlParser';
+import { closestNames } from './sqlLanguage';
+
+// --- RULE-BASED LOGIC TUTOR ---
+// Question text → intents → ordered roadmap. Every step is ticked by inspecting the parsed
+// statement (clauses, tables, tokens), so a stray keyword in a comment or string never counts.
+
+const AGGREGATES = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'GROUP_CONCAT', 'TOTAL'];
+
+// --- 1. INTENT RULES (checked in order; several can match one question) ---
+const INTENTS = [
+  { id: 'delete', label: 'delete rows', pattern: /\b(delete|remove|get rid of|erase|wipe)\b/ },
+  { id: 'update', label: 'change rows', pattern: /\b(update|change|modify|set|rename|increase|decrease|raise|lower|correct|move|reassign)\b/ },
+  { id: 'insert', label: 'add rows', pattern: /\b(insert|add|register|enrol|enroll|new (student|course|department|row|record))\b/ },
+  { id: 'aggregate', label: 'aggregate', pattern: /\b(how many|count|number of|total|sum|average|avg|mean|maximum|minimum|max|min)\b/ },
+  { id: 'group', label: 'group', pattern: /\b(per|each|every|by|group(ed)?|breakdown)\b/, requires: ['aggregate'] },
+  { id: 'having', label: 'filter groups', pattern: /\b(more|fewer|less|greater|at least|at most|over|under)\b.*\d|\bhaving\b/, requires: ['group'] },
+  { id: 'join', label: 'join', pattern: /\b(join|combine|together with|along with|next to|alongside|their (department|course)s?|matching)\b/ },
+  { id: 'subquery', label: 'subquery', pattern: /\b(above|below|than) (the )?(average|mean|overall)|\b(never|no) .*\b(any|at all)\b|\bnot in\b|\bexists\b|\bsubquery\b/ },
+  { id: 'distinct', label: 'distinct', pattern: /\b(distinct|unique|different|without duplicates|no duplicates)\b/ },
+  { id: 'null', label: 'NULL handling', pattern: /\b(null|missing|unassigned|not assigned|blank|unknown|without an?|no (department|value|course))\b/ },
+  { id: 'sort', label: 'sort', pattern: /\b(sort(ed)?|order(ed)?|rank(ed)?|highest|lowest|top|bottom|alphabetical(ly)?|ascending|descending|largest|smallest|oldest|newest|first|last)\b/ },
+  { id: 'limit', label: 'limit', pattern: /\b(top|first|last|bottom|only) \d+\b|\blimit\b|\b\d+ (best|highest|lowest|largest|smallest)\b/ },
+  { id: 'filter', label: 'filter', pattern: /\b(where|whose|who (are|is|have|has)|in the|equal|between|like|contain(s|ing)?|start(s|ing)? with|end(s|ing)? with|more than|less than|greater|only|that (are|is|have|has))\b|'[^']+'/ },
+  { id: 'select', label: 'read rows', pattern: /\b(list|show|find|select|who|which|what|display|get|return|give|names?)\b/ }
+];
+
+const WRITE_INTENTS = ['delete', 'update', 'insert'];
+
+// Registry tables named in the question, allowing plural/singular forms ("students" → student).
+export const findMentionedTables = (question, registry) => {
+  const q = question.toLowerCase();
+  return Object.values(registry).filter(table => {
+    const name = table.name.toLowerCase();
+    const stem = name.replace(/e?s$/, '');
+    return new RegExp(`\\b(${name}|${stem}|${stem}s|${stem}es)\\b`).test(q);
+  }).map(table => table.name);
+};
+
+export const detectIntents = (question, mentionedTables = []) => {
+  const q = ` ${question.toLowerCase()} `;
+  const found = [];
+  INTENTS.forEach(intent => {
+    if (intent.requires && !intent.requires.every(id => found.includes(id))) return;
+    if (intent.pattern.test(q)) found.push(intent.id);
+  });
+  if (mentionedTables.length > 1 && !found.includes('join') && !found.includes('subquery')) found.push('join');
+  // A write question is not also a read question, and sorting means nothing when changing rows
+  const write = WRITE_INTENTS.find(id => found.includes(id));
+  if (write) return found.filter(id => id === write || ['filter', 'null', 'subquery'].includes(id));
+  if (found.length && !found.includes('select')) found.push('select');
+  return found;
+};
+
+// --- 2. STRUCTURAL CHECKS (statement → boolean) ---
+const clauseTokens = (stmt, key) => (stmt.clauses && stmt.clauses[key] ? stmt.clauses[key].tokens : []);
+const hasClause = (stmt, key) => clauseTokens(stmt, key).length > 0;
+const callsAny = (tokens, names) => tokens.some((tok, i) => names.includes(tok.upper) && tokens[i + 1]?.text === '(');
+const readsTable = (stmt, name) => stmt.tables.some(t => t.name.toLowerCase() === name.toLowerCase());
+
+const hasJoinCondition = (stmt) => {
+  const from = clauseTokens(stmt, 'from');
+  return from.some(tok => tok.depth === from[0].depth && ['ON', 'USING', 'NATURAL'].includes(tok.upper))
+    || clauseTokens(stmt, 'where').some(tok => tok.text === '=');
+};
+
+const hasSubquery = (stmt) => stmt.tokens.some(tok => tok.upper === 'SELECT' && tok.depth > 0);
+
+// IS [NOT] NULL / COALESCE / IFNULL, and no "= NULL" comparison (which is never true)
+const comparesNull = (tokens, i) => ['=', '!=', '<>'].includes(tokens[i - 1]?.text) && tokens[i].upper === 'NULL';
+const handlesNull = (stmt) => {
+  const tokens = stmt.tokens;
+  if (tokens.some((tok, i) => comparesNull(tokens, i))) return false;
+  return tokens.some((tok, i) => (tok.upper === 'NULL' && ['IS', 'NOT'].includes(tokens[i - 1]?.upper)) || ['ISNULL', 'NOTNULL'].includes(tok.upper))
+    || callsAny(tokens, ['COALESCE', 'IFNULL']);
+};
+
+// --- 3. ROADMAPS ---
+const step = (text, check) => ({ text, check });
+const onTable = (tables, fallback) => (tables.length ? tables.join(' + ') : fallback);
+
+const STEP_BUILDERS = {
+  select: () => [step('Start with SELECT and the columns you need (or *)', s => s.type === 'SELECT' && s.columns.length > 0)],
+  aggregate: () => [step('Summarise with an aggregate: COUNT(), SUM(), AVG(), MIN() or MAX()', s => callsAny(s.tokens, AGGREGATES))],
+  distinct: () => [step('Remove duplicates with SELECT DISTINCT (or COUNT(DISTINCT col))', s => s.distinct || s.tokens.some(t => t.upper === 'DISTINCT'))],
+  join: () => [
+    step('Bring in the second table with JOIN', s => s.tables.length > 1),
+    step('Connect the tables: ON a.key = b.key', s => s.tables.length > 1 && hasJoinCondition(s))
+  ],
+  subquery: () => [step('Compute the inner value in a subquery: ( SELECT ... )', hasSubquery)],
+  filter: () => [step('Keep only matching rows with WHERE [Condition]', s => hasClause(s, 'where'))],
+  null: () => [step('Test for missing values with IS NULL / IS NOT NULL (never = NULL)', handlesNull)],
+  group: () => [step('Make one row per group with GROUP BY [Column]', s => hasClause(s, 'groupBy'))],
+  having: () => [step('Filter the groups themselves with HAVING [Aggregate Condition]', s => hasClause(s, 'having'))],
+  sort: () => [step('Sort the result with ORDER BY [Column] ASC/DESC', s => hasClause(s, 'orderBy'))],
+  limit: () => [step('Keep only the first rows with LIMIT n', s => hasClause(s, 'limit'))]
+};
+
+// Step order follows the order the clauses are written in, not the order the intents matched.
+const READ_ORDER = ['select', 'distinct', 'aggregate', 'from', 'join', 'subquery', 'filter', 'null', 'group', 'having', 'sort', 'limit'];
+
+const readSteps = (intents, tables) => READ_ORDER.flatMap(id => {
+  if (id === 'from') {
+    return [step(`Identify Source: FROM ${onTable(tables.slice(0, 1), '[Table]')}`, s => (tables.length ? readsTable(s, tables[0]) : s.tables.length > 0))];
+  }
+  return intents.includes(id) ? STEP_BUILDERS[id]() : [];
+});
+
+const writeSteps = (verb, intents, tables) => {
+  const table = tables[0];
+  const targets = (s) => s.type === verb && Boolean(s.target) && (!table || s.target.toLowerCase() === table.toLowerCase());
+  // WHERE already has its own step below, so only the extra condition shapes are added
+  const conditions = ['null', 'subquery'].filter(id => intents.includes(id)).flatMap(id => STEP_BUILDERS[id]());
+  if (verb === 'INSERT') {
+    return [
+      step(`Start with INSERT INTO ${onTable([table].filter(Boolean), '[Table]')} (columns...)`, s => targets(s) && Boolean(s.insert.columns)),
+      step('Supply one VALUES (...) row per record, in column order', s => targets(s) && (s.insert.rows.length > 0 || s.insert.fromSelect))
+    ];
+  }
+  if (verb === 'UPDATE') {
+    return [
+      step(`Start with UPDATE ${onTable([table].filter(Boolean), '[Table]')}`, targets),
+      step('Say what changes: SET column = new value', s => targets(s) && s.assignments && s.assignments.length > 0),
+      step('Limit it to the right rows with WHERE [Condition]', s => targets(s) && hasClause(s, 'where')),
+      ...conditions
+    ];
+  }
+  return [
+    step(`Start with DELETE FROM ${onTable([table].filter(Boolean), '[Table]')}`, targets),
+    step('Limit it to the right rows with WHERE [Condition] (without it every row goes)', s => targets(s) && hasClause(s, 'where')),
+    ...conditions
+  ];
+};
+
+// → { intents: [label], tables, verb, steps: [{ id, text, check }] }; steps is empty when nothing matched.
+export const planQuestion = (question, registry = {}) => {
+  const tables = findMentionedTables(question, registry);
+  const intents = detectIntents(question, tables);
+  const write = WRITE_INTENTS.find(id => intents.includes(id));
+  const verb = write ? write.toUpperCase() : 'SELECT';
+  const steps = write ? writeSteps(verb, intents, tables) : (intents.length ? readSteps(intents, tables) : []);
+  return {
+    intents: intents.map(id => INTENTS.find(intent => intent.id === id).label),
+    tables,
+    verb,
+    steps: steps.map((s, i) => ({ ...s, id: i + 1 }))
+  };
+};
+
+// Ticks each step against the first statement of the planned type (or the first statement).
+export const evaluateRoadmap = (plan, sql) => {
+  const statements = parseScript(sql);
+  const stmt = statements.find(s => s.type === plan.verb) || statements[0];
+  return plan.steps.map(s => ({ ...s, done: Boolean(stmt) && Boolean(s.check(stmt)) }));
+};
+
+// --- 4. ERROR EXPLANATIONS ---
+const lastPart = (name) => name.split('.').pop();
+
+// First token whose text/value is `needle` (case-insensitive); qualified names match on their last part.
+const locate = (sql, needle) => {
+  if (!needle) return null;
+  const target = lastPart(needle).toLowerCase();
+  const tok = tokenize(sql).find(t => t.text.toLowerCase() === needle.toLowerCase() || String(t.value).toLowerCase() === target);
+  return tok ? { text: tok.text, start: tok.start, end: tok.end } : null;
+};
+
+const columnsOf = (registry, sql) => parseScript(sql)
+  .flatMap(s => s.tables)
+  .flatMap(ref => {
+    const table = registry[ref.name.toLowerCase()];
+    return table ? table.columns.map(c => c.name) : [];
+  });
+
+const ERROR_RULES = [
+  {
+    pattern: /no such column: ([\w.]+)/i,
+    explain: ([, name], sql, registry) => {
+      const suggestions = closestNames(lastPart(name), columnsOf(registry, sql));
+      return {
+        summary: `There is no column called "${name}" in the tables this query reads.`,
+        detail: name.includes('.')
+          ? 'Check both halves: the alias before the dot must be declared in FROM/JOIN, and the column must exist in that table.'
+          : 'Check the spelling, and if you meant a text value, wrap it in single quotes.',
+        token: name,
+        suggestions
+      };
+    }
+  },
+  {
+    pattern: /no such table: ([\w.]+)/i,
+    explain: ([, name], sql, registry) => ({
+      summary: `There is no table called "${name}".`,
+      detail: 'Table names must match exactly. The Schema Explorer lists every table that exists.',
+      token: name,
+      suggestions: closestNames(lastPart(name), Object.values(registry).map(t => t.name))
+    })
+  },
+  {
+    pattern: /ambiguous column name: ([\w.]+)/i,
+    explain: ([, name]) => ({
+      summary: `"${name}" exists in more than one of the joined tables, so SQL can't tell which one you mean.`,
+      detail: `Prefix it with a table name or alias, e.g. s.${name}.`,
+      token: name
+    })
+  },
+  {
+    pattern: /near "([^"]*)": syntax error/i,
+    explain: ([, near]) => ({
+      summary: `SQL stopped understanding the query at "${near}".`,
+      detail: /^(FROM|WHERE|GROUP|ORDER|HAVING|LIMIT|VALUES|SET|ON|JOIN)$/i.test(near)
+        ? `Look just before ${near.toUpperCase()}: a trailing comma, a missing column, or a missing closing parenthesis are the usual causes.`
+        : 'Usually a missing comma or quote, a misspelt keyword, or clauses in the wrong order (SELECT … FROM … WHERE … GROUP BY … HAVING … ORDER BY … LIMIT).',
+      token: near
+    })
+  },
+  {
+    pattern: /incomplete input/i,
+    explain: () => ({
+      summary: 'The query ends before it is finished.',
+      detail: 'Look for an unclosed parenthesis or quote, or a clause keyword with nothing after it.'
+    })
+  },
+  {
+    pattern: /unrecognized token: "?([^"]*)"?/i,
+    explain: ([, text]) => ({
+      summary: `"${text}" isn't valid SQL on its own.`,
+      detail: "Text values use single quotes ('CS'); a quote that is opened must also be closed.",
+      token: text
+    })
+  },
+  {
+    pattern: /no such function: (\w+)/i,
+    explain: ([, name]) => ({
+      summary: `SQLite has no function called ${name}().`,
+      detail: 'Hover a function in the editor to see the ones that are available.',
+      token: name,
+      suggestions: closestNames(name, ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'LENGTH', 'LOWER', 'UPPER', 'ROUND', 'COALESCE', 'SUBSTR', 'TRIM'])
+    })
+  },
+  {
+    pattern: /misuse of aggregate(?: function)?:? ?(\w+)?/i,
+    explain: ([, name]) => ({
+      summary: 'An aggregate like COUNT() or MAX() was used where single rows are being checked.',
+      detail: 'WHERE filters rows before they are grouped, so it cannot use aggregates. Move that condition into HAVING (after GROUP BY), or compute it in a subquery.',
+      token: name
+    })
+  },
+  {
+    pattern: /a GROUP BY clause is required before HAVING/i,
+    explain: () => ({
+      summary: 'HAVING filters groups, but the query never makes any.',
+      detail: 'Add GROUP BY [Column] before HAVING, or use WHERE if you meant to filter individual rows.',
+      token: 'HAVING'
+    })
+  },
+  {
+    pattern: /table (\w+) has (\d+) columns but (\d+) values were supplied/i,
+    explain: ([, table, columns, values]) => ({
+      summary: `${table} has ${columns} columns but the row gives ${values} values.`,
+      detail: 'Either supply a value for every column, or list the columns you are filling: INSERT INTO t (a, b) VALUES (...).',
+      token: table
+    })
+  },
+  {
+    pattern: /(\d+) values for (\d+) columns/i,
+    explain: ([, values, columns]) => ({
+      summary: `The row has ${values} values but ${columns} columns were listed.`,
+      detail: 'Each VALUES (...) row needs exactly one value per listed column, in the same order.'
+    })
+  },
+  {
+    pattern: /UNIQUE constraint failed: (\w+)\.(\w+)/i,
+    explain: ([, table, column]) => ({
+      summary: `Another row in ${table} already has that ${column}.`,
+      detail: `${column} must be unique (often it is the primary key). Pick a value that isn't used yet, or UPDATE the existing row instead.`,
+      token: column
+    })
+  },
+  {
+    pattern: /NOT NULL constraint failed: (\w+)\.(\w+)/i,
+    explain: ([, table, column]) => ({
+      summary: `${table}.${column} can't be left empty.`,
+      detail: `Give ${column} a value, or add it to the column list if you left it out.`,
+      token: column
+    })
+  },
+  {
+    pattern: /FOREIGN KEY constraint failed/i,
+    explain: () => ({
+      summary: 'The row points at something that does not exist (or is still pointed at by other rows).',
+      detail: 'Insert the referenced row first, or remove/update the rows that still reference the one you are deleting.'
+    })
+  },
+  {
+    pattern: /table (\w+) already exists/i,
+    explain: ([, table]) => ({
+      summary: `A table called ${table} already exists.`,
+      detail: 'Use CREATE TABLE IF NOT EXISTS, pick another name, or DROP the old table first.',
+      token: table
+    })
+  },
+  {
+    pattern: /datatype mismatch/i,
+    explain: () => ({
+      summary: 'A value has the wrong type for its column.',
+      detail: 'INTEGER PRIMARY KEY columns only accept whole numbers; check that text and numbers are in the right places.'
+    })
+  }
+];
+
+// Backend/sandbox error message → { summary, detail, suggestions, token: { text, start, end } | null },
+// or null when the message isn't recognised. Token offsets are relative to `sql`.
+export const explainError = (message, sql = '', registry = {}) => {
+  if (!message) return null;
+  for (const rule of ERROR_RULES) {
+    const match = message.match(rule.pattern);
+    if (!match) continue;
+    const explanation = rule.explain(match, sql, registry);
+    return { suggestions: [], ...explanation, token: locate(sql, explanation.token) };
+  }
+  return null;
+};
+
+// The source line holding `token`, with a ^^^ marker underneath.
+export const pointAt = (sql, token) => {
+  const lineStart = sql.lastIndexOf('\n', token.start - 1) + 1;
+  const lineEnd = sql.indexOf('\n', token.end);
+  const line = sql.slice(lineStart, lineEnd === -1 ? sql.length : lineEnd);
+  return { line, caret: ' '.repeat(token.start - lineStart) + '^'.repeat(Math.max(1, token.end - token.start)) };
+};
@@ -0,0 +1,47 @@
+import { buildRegistry } from './schemaRegistry';
+import { parseSchema } from './sqlParser';
+import { SEED_SQL } from './seedData';
+import { detectIntents, evaluateRoadmap, explainError, planQuestion } from './tutorEngine';
+
+const registry = buildRegistry(parseSchema(SEED_SQL));
+const ticks = (plan, sql) => evaluateRoadmap(plan, sql).map(s => s.done);
+
+test('recognises grouped, filtered and sorted questions', () => {
+  expect(detectIntents('How many students are in each department, highest first?')).toEqual(['aggregate', 'group', 'sort', 'select']);
+  expect(detectIntents('Remove the students with no department')).toEqual(['delete', 'null']);
+});
+
+test('ticks steps from the parsed query, not from keywords anywhere in the text', () => {
+  const plan = planQuestion('What is the maximum credits of the courses?', registry);
+  expect(plan.steps.map(s => s.text)).toEqual([
+    'Start with SELECT and the columns you need (or *)',
+    'Summarise with an aggregate: COUNT(), SUM(), AVG(), MIN() or MAX()',
+    'Identify Source: FROM courses'
+  ]);
+  expect(ticks(plan, "SELECT MAX(credits) FROM student -- FROM courses")).toEqual([true, true, false]);
+  expect(ticks(plan, 'SELECT MAX(credits) FROM courses')).toEqual([true, true, true]);
+});
+
+test('builds a join roadmap when two tables are mentioned', () => {
+  const plan = planQuestion('Show each student with their department name', registry);
+  expect(plan.tables).toEqual(['department', 'student']);
+  expect(ticks(plan, 'SELECT * FROM student, department')).toEqual([true, true, true, false]);
+  expect(ticks(plan, 'SELECT * FROM student s JOIN department d ON s.departmenit_id = d.dept_id')).toEqual([true, true, true, true]);
+});
+
+test('does not accept = NULL as NULL handling', () => {
+  const plan = planQuestion('List students without a department', registry);
+  const nullStep = plan.steps.findIndex(s => s.text.includes('IS NULL'));
+  expect(ticks(plan, 'SELECT * FROM student WHERE departmenit_id = NULL')[nullStep]).toBe(false);
+  expect(ticks(plan, 'SELECT * FROM student WHERE departmenit_id IS NULL')[nullStep]).toBe(true);
+});
+
+test('explains backend errors and points at the offending token', () => {
+  const sql = 'SELECT emp_name, department_id FROM student';
+  const explanation = explainError('no such column: department_id', sql, registry);
+  expect(explanation.summary).toBe('There is no column called "department_id" in the tables this query reads.');
+  expect(explanation.suggestions).toEqual(['departmenit_id']);
+  expect(explanation.token).toEqual({ text: 'department_id', start: 17, end: 30 });
+  expect(explainError('near "FROM": syntax error', 'SELECT emp_name, FROM student').token.start).toBe(17);
+  expect(explainError('something odd happened', sql)).toBeNull();
+});